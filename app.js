@@ -5,12 +5,10 @@
  * - Supports availability blocks (admin)
  *
  * IMPORTANT:
- *  - Change ADMIN_PIN below.
+ *  - The management PIN lives on the server (ADMIN_PIN_HASH); see README.
  *  - Hosting: works as a static site (GitHub Pages, Netlify, etc.)
  */
 
-const ADMIN_PIN = "dunesea"; // <-- CHANGE THIS
-
 // -------------------- Server-backed schedule --------------------
 // The schedule (pending + booked) is authoritative on the server.
 // Client loads it on startup and uses it to render the calendar.
@@ -76,14 +74,50 @@ function getServerBase(){
 const serverSchedule = {
   online: false,
   booked: [],
-  pending: []
+  pending: [],
+  closed: [] // no-shows and cancellations (management view only)
+};
+
+// Job lifecycle, mirroring JOB_STATUSES / JOB_TRANSITIONS in server.js.
+// "pending" and "accepted" are the stored names for Requested / Confirmed.
+const JOB_STATUS_LABELS = {
+  pending: "Requested",
+  accepted: "Confirmed",
+  en_route: "En route",
+  on_site: "On site",
+  waiting_parts: "Waiting on parts",
+  completed: "Completed",
+  no_show: "No-show",
+  canceled: "Canceled",
+};
+const JOB_NEXT = {
+  pending: ["accepted", "canceled"],
+  accepted: ["en_route", "on_site", "no_show", "canceled"],
+  en_route: ["on_site", "no_show", "canceled"],
+  on_site: ["waiting_parts", "completed"],
+  waiting_parts: ["en_route", "on_site", "completed", "canceled"],
 };
+// Field updates a technician can make from the job modal
+const JOB_FIELD_ACTIONS = [
+  { status:"en_route", path:"/api/schedule/en-route", label:"En Route" },
+  { status:"on_site", path:"/api/schedule/on-site", label:"On Site" },
+  { status:"waiting_parts", path:"/api/schedule/waiting-parts", label:"Waiting on Parts" },
+  { status:"no_show", path:"/api/schedule/no-show", label:"No-Show" },
+];
+function jobStatusLabel(status){
+  return JOB_STATUS_LABELS[status] || String(status || "");
+}
+// Active = still on the calendar and not finished yet
+function isActiveJob(a){
+  return ["accepted", "en_route", "on_site", "waiting_parts"].includes(a?.status);
+}
 
 // Server-backed availability (weekly template + specific blocked slots)
 const serverAvailability = {
   online: false,
   weekly: {},
-  blocks: {}
+  blocks: {},
+  settings: {} // { slotMinutes, serviceDurations: { [serviceType]: slots }, defaultDurationSlots }
 };
 
 // Server-backed inventory
@@ -102,6 +136,13 @@ async function fetchJson(url, opts){
   const res = await fetch(url, opts);
   const isJson = (res.headers.get("content-type") || "").includes("application/json");
   const data = isJson ? await res.json().catch(()=>null) : null;
+  if(res.status === 401 && isAdmin){
+    // Session expired or was revoked on the server: drop out of management mode
+    setAdminToken("");
+    adminUser = null;
+    setAdmin(false);
+    toast("Management session expired. Please log in again.");
+  }
   if(!res.ok){
     const msg = (data && data.error) ? data.error : `HTTP ${res.status}`;
     throw new Error(msg);
@@ -193,25 +234,23 @@ async function applyInventoryVisibility(){
 }
 async function loadServerSchedule(){
   try{
-    const url = `${getServerBase()}/api/schedule`;
-    const j = await fetchJson(url, { method:"GET" });
+    // Logged-in staff get the role-scoped management view (technicians only see their own jobs);
+    // everyone else only gets slot occupancy ({ startISO, slots }, no ids or names)
+    const url = adminUser ? `${getServerBase()}/api/admin/schedule` : `${getServerBase()}/api/schedule`;
+    const j = await fetchJson(url, { method:"GET", headers: authHeaders(), credentials: "include" });
     serverSchedule.booked = Array.isArray(j.booked) ? j.booked : [];
     serverSchedule.pending = Array.isArray(j.pending) ? j.pending : [];
+    serverSchedule.closed = Array.isArray(j.closed) ? j.closed : [];
     serverSchedule.online = true;
 
     try{ reconcileLocalAppointments(); }catch(_){ }
 
     console.log(`[schedule] server online. booked=${serverSchedule.booked.length} pending=${serverSchedule.pending.length}`);
-    try{
-      console.table([
-        ...serverSchedule.booked.map(a => ({ status:"booked", startISO:a.startISO, id:a.id, name:a.name })),
-        ...serverSchedule.pending.map(a => ({ status:"pending", startISO:a.startISO, id:a.id, name:a.name })),
-      ].sort((a,b)=>String(a.startISO).localeCompare(String(b.startISO))));
-    }catch(_){}
   }catch(err){
     serverSchedule.online = false;
     serverSchedule.booked = [];
     serverSchedule.pending = [];
+    serverSchedule.closed = [];
     console.warn("[schedule] server offline/unreachable:", err);
   }
   return serverSchedule.online;
@@ -224,6 +263,7 @@ async function loadServerAvailability(){
     const a = j && j.availability ? j.availability : j;
     serverAvailability.weekly = (a && typeof a.weekly === "object" && a.weekly) ? a.weekly : {};
     serverAvailability.blocks = (a && typeof a.blocks === "object" && a.blocks) ? a.blocks : {};
+    serverAvailability.settings = (j && typeof j.settings === "object" && j.settings) ? j.settings : {};
     serverAvailability.online = true;
     console.log(`[availability] server online. blockedDays=${Object.keys(serverAvailability.blocks||{}).length}`);
   }catch(err){
@@ -269,7 +309,8 @@ async function postGallery(path, payload){
   const url = `${getServerBase()}${path}`;
   return fetchJson(url, {
     method: "POST",
-    headers: { "Content-Type":"application/json" },
+    headers: { "Content-Type":"application/json", ...authHeaders() },
+    credentials: "include",
     body: JSON.stringify(payload)
   });
 }
@@ -278,7 +319,8 @@ async function postInventory(path, payload){
   const url = `${getServerBase()}${path}`;
   return fetchJson(url, {
     method: "POST",
-    headers: { "Content-Type":"application/json" },
+    headers: { "Content-Type":"application/json", ...authHeaders() },
+    credentials: "include",
     body: JSON.stringify(payload)
   });
 }
@@ -287,7 +329,8 @@ async function postAvailability(path, payload){
   const url = `${getServerBase()}${path}`;
   return fetchJson(url, {
     method: "POST",
-    headers: { "Content-Type":"application/json" },
+    headers: { "Content-Type":"application/json", ...authHeaders() },
+    credentials: "include",
     body: JSON.stringify(payload)
   });
 }
@@ -307,12 +350,17 @@ function scheduleSignature(){
   // cheap signature: counts + latest timestamps
   const booked = Array.isArray(serverSchedule.booked) ? serverSchedule.booked : [];
   const pending = Array.isArray(serverSchedule.pending) ? serverSchedule.pending : [];
+  const closed = Array.isArray(serverSchedule.closed) ? serverSchedule.closed : [];
   const maxTs = (arr)=> arr.reduce((m,a)=> Math.max(m, Date.parse(a?.createdISO||a?.startISO||0) || 0), 0);
+  // Status changes append to history, so its length moves when a job moves along
+  const moves = (arr)=> arr.reduce((n,a)=> n + (Array.isArray(a?.history) ? a.history.length : 0), 0);
   return [
     booked.length,
     pending.length,
+    closed.length,
     maxTs(booked),
     maxTs(pending),
+    moves(booked) + moves(closed),
   ].join("|");
 }
 async function syncScheduleUI(force){
@@ -329,35 +377,186 @@ function startScheduleAutoSync(){
   if(_scheduleSyncTimer) return;
   // initial signature after first load
   _lastScheduleSig = scheduleSignature();
+  // Polling is only the fallback for when the live socket is down
   _scheduleSyncTimer = setInterval(()=>{
     // Don't spam when tab is hidden
-    if(document.hidden) return;
+    if(document.hidden || liveConnected()) return;
     syncScheduleUI(false).catch(()=>{});
   }, 15000);
-  window.addEventListener("focus", ()=> syncScheduleUI(true).catch(()=>{}));
+  window.addEventListener("focus", ()=>{ if(!liveConnected()) syncScheduleUI(true).catch(()=>{}); });
+}
+
+// -------------------- Live updates (WebSocket) --------------------
+// The server pushes typed events (appointment.*, availability.changed, inventory.changed,
+// gallery.changed) that are applied straight to the server* caches and re-rendered.
+// Staff sockets authenticate with the session token and get full job rows; public ones
+// get slot occupancy only. After a reconnect everything is reloaded once, since events sent while
+// the socket was down are lost. Other code can listen for "dsd_live_update" on document.
+let _live = null;
+let _liveStaff = false;
+let _liveRetryMs = 1000;
+let _liveEverOpen = false;
+
+function liveConnected(){
+  return !!_live && _live.readyState === WebSocket.OPEN;
+}
+
+function connectLive(){
+  if(typeof WebSocket === "undefined" || _live) return;
+  const base = getServerBase();
+  const url = `${base.replace(/^http/, "ws") || `${location.protocol === "https:" ? "wss:" : "ws:"}//${location.host}`}/`;
+  let ws;
+  try{ ws = new WebSocket(url); }catch(_){ return; }
+  _live = ws;
+  ws.addEventListener("open", ()=>{
+    _liveRetryMs = 1000;
+    const token = getAdminToken();
+    if(token) ws.send(JSON.stringify({ type:"auth", token }));
+    if(_liveEverOpen) resyncAfterReconnect();
+    _liveEverOpen = true;
+  });
+  ws.addEventListener("message", (e)=>{
+    let msg = null;
+    try{ msg = JSON.parse(e.data); }catch(_){ return; }
+    if(msg?.type === "hello"){ _liveStaff = !!msg.staff; return; }
+    applyLiveEvent(msg);
+  });
+  ws.addEventListener("close", ()=>{
+    if(_live === ws) _live = null;
+    _liveStaff = false;
+    setTimeout(connectLive, _liveRetryMs);
+    _liveRetryMs = Math.min(_liveRetryMs * 2, 30000);
+  });
+}
+
+// Logging in or out changes what this socket may see: start a fresh one
+function reconnectLive(){
+  const ws = _live;
+  if(!ws) return;
+  _live = null;
+  _liveRetryMs = 1000;
+  ws.close();
+  connectLive();
+}
+
+async function resyncAfterReconnect(){
+  await Promise.all([loadServerAvailability(), loadServerInventory(), loadServerGallery(), loadTechnicians()]).catch(()=>{});
+  await syncScheduleUI(true).catch(()=>{});
+  if($("#inventoryWrap")) renderInventory();
+  if($("#jobsGallery")) renderGallery();
+}
+
+function applyLiveEvent(msg){
+  const type = String(msg?.type || "");
+  if(type.startsWith("appointment.")){
+    // A staff page only takes staff rows (and vice versa) so names never mix with bare slots
+    if(_liveStaff !== !!adminUser) return;
+    applyAppointmentEvent(msg);
+    if($("#calGrid")) renderCalendar();
+    if(isAdmin && ($("#pendingTableBody") || $("#acceptedTableBody"))) renderAppointmentsTables();
+    _lastScheduleSig = scheduleSignature();
+  }else if(type === "availability.changed" && msg.availability){
+    serverAvailability.weekly = msg.availability.weekly || {};
+    serverAvailability.blocks = msg.availability.blocks || {};
+    state.availability.weekly = structuredClone(serverAvailability.weekly);
+    state.availability.blocks = structuredClone(serverAvailability.blocks);
+    saveState(state);
+    if($("#calGrid")) renderCalendar();
+    if($("#adminPanel") && isAdmin) renderAdminPanels();
+  }else if(type === "technicians.changed"){
+    if(_liveStaff !== !!adminUser) return;
+    if(_liveStaff){
+      loadTechnicians().then(()=>{
+        if($("#techPanel") && can("availability.edit")) renderTechPanel();
+        renderCalTechFilter();
+        if($("#calGrid")) renderCalendar();
+      });
+    }else{
+      applyAppointmentEvent(msg);
+      if($("#calGrid")) renderCalendar();
+    }
+  }else if(type === "inventory.changed" && Array.isArray(msg.items)){
+    serverInventory.items = msg.items;
+    serverInventory.online = true;
+    if($("#inventoryWrap")) renderInventory();
+  }else if(type === "gallery.changed" && Array.isArray(msg.photos)){
+    serverGallery.photos = msg.photos;
+    serverGallery.online = true;
+    if($("#jobsGallery")) renderGallery();
+  }else{
+    return;
+  }
+  try{ document.dispatchEvent(new CustomEvent("dsd_live_update", { detail: msg })); }catch(e){}
+}
+
+// Staff: moves the job into the list its status belongs to (or drops it).
+// Public: the event carries the whole slot occupancy, which replaces ours.
+function applyAppointmentEvent(msg){
+  if(!_liveStaff){
+    serverSchedule.booked = Array.isArray(msg.booked) ? msg.booked : [];
+    serverSchedule.pending = Array.isArray(msg.pending) ? msg.pending : [];
+    reconcileLocalAppointments();
+    return;
+  }
+  const a = msg.appt;
+  const id = String(a?.id || msg.id || "");
+  if(!id) return;
+  const drop = (arr)=> (Array.isArray(arr) ? arr : []).filter(x => String(x.id) !== id);
+  serverSchedule.booked = drop(serverSchedule.booked);
+  serverSchedule.pending = drop(serverSchedule.pending);
+  serverSchedule.closed = drop(serverSchedule.closed);
+  if(a && msg.type !== "appointment.rejected" && msg.type !== "appointment.removed"){
+    if(a.status === "pending") serverSchedule.pending.push(a);
+    else if(a.status === "canceled" || a.status === "no_show") serverSchedule.closed.push(a);
+    else serverSchedule.booked.push(a);
+  }
 }
 
 function getAllScheduleRows(){
-  // Normalized for existing UI (status: pending/accepted)
-  const booked = serverSchedule.booked.map(a => ({ ...a, status:"accepted" }));
+  // Everything holding a slot: requests ("pending") and booked jobs in any active/completed status
+  const booked = serverSchedule.booked.map(a => ({ ...a, status: a.status || "accepted" }));
   const pending = serverSchedule.pending.map(a => ({ ...a, status:"pending" }));
   return [...pending, ...booked];
 }
+// Any job the management view knows about, including no-shows and cancellations
+function findJobRow(id){
+  return getAllScheduleRows().find(x => String(x.id) === String(id))
+    || (serverSchedule.closed || []).find(x => String(x.id) === String(id))
+    || null;
+}
 
 async function postSchedule(path, payload){
   const url = `${getServerBase()}${path}`;
   return fetchJson(url, {
     method: "POST",
-    headers: { "Content-Type":"application/json" },
+    headers: { "Content-Type":"application/json", ...authHeaders() },
+    credentials: "include",
     body: JSON.stringify(payload)
   });
 }
 
+// Streams photos to /api/uploads as multipart/form-data (kind: "inv" | "gal" | "req")
+// and returns [{ imagePath, name, bytes, key? }] for the JSON routes to reference.
+const UPLOAD_MAX_MB = 8;
+async function uploadFiles(kind, files){
+  if(!files.length) return [];
+  const form = new FormData();
+  files.forEach((f, i) => form.append(`file${i}`, f, f.name || "photo"));
+  const j = await fetchJson(`${getServerBase()}/api/uploads?kind=${encodeURIComponent(kind)}`, {
+    method: "POST",
+    headers: authHeaders(),
+    credentials: "include",
+    body: form
+  });
+  return Array.isArray(j?.files) ? j.files : [];
+}
+
 // -------------------------------------------------------------------
 
 
 const STORAGE_KEY = "dsd_site_v1";
 const ADMIN_MODE_KEY = "dsd_admin_mode_v1";
+const ADMIN_TOKEN_KEY = "dsd_admin_token_v1";
 
 function getPersistedAdmin(){
   try{ return localStorage.getItem(ADMIN_MODE_KEY) === "1"; }
@@ -370,8 +569,71 @@ function setPersistedAdmin(v){
   }catch(e){}
 }
 
+// Signed session issued by /api/admin/login. The server also sets an HttpOnly cookie,
+// but when the site is hosted on a different origin we need to send it as a bearer token.
+function getAdminToken(){
+  try{ return String(localStorage.getItem(ADMIN_TOKEN_KEY) || ""); }
+  catch(e){ return ""; }
+}
+function setAdminToken(token){
+  try{
+    if(token) localStorage.setItem(ADMIN_TOKEN_KEY, token);
+    else localStorage.removeItem(ADMIN_TOKEN_KEY);
+  }catch(e){}
+}
+function authHeaders(){
+  const t = getAdminToken();
+  return t ? { "Authorization": `Bearer ${t}` } : {};
+}
+
+// Logged-in account: { id, name, role: owner|technician|frontdesk, permissions: [...] }
+let adminUser = null;
+
+function can(perm){
+  return !!(isAdmin && adminUser && Array.isArray(adminUser.permissions) && adminUser.permissions.includes(perm));
+}
+
+// Leave username empty to log in with the shared owner PIN.
+async function loginAdmin(username, password){
+  const j = await fetchJson(`${getServerBase()}/api/admin/login`, {
+    method: "POST",
+    headers: { "Content-Type":"application/json" },
+    credentials: "include",
+    body: JSON.stringify({ username, password })
+  });
+  setAdminToken(j?.token || "");
+  adminUser = j?.user || null;
+  return j;
+}
+async function checkAdminSession(){
+  try{
+    const j = await fetchJson(`${getServerBase()}/api/admin/session`, {
+      method: "GET",
+      headers: authHeaders(),
+      credentials: "include"
+    });
+    return j?.user || null;
+  }catch(_){
+    return null;
+  }
+}
+function logoutAdmin(){
+  fetchJson(`${getServerBase()}/api/admin/logout`, {
+    method: "POST",
+    headers: authHeaders(),
+    credentials: "include"
+  }).catch(()=>{});
+  setAdminToken("");
+  adminUser = null;
+  setAdmin(false);
+  loadServerSchedule().then(()=>{
+    if($("#calGrid")) renderCalendar();
+  });
+}
+
 
 const DEFAULT_STATE = {
+  // Keep in sync with BUSINESS in server.js (used in customer emails)
   business: {
     name: "Dune Sea Diagnostics",
     phone: "(913) 213-1439",
@@ -385,7 +647,13 @@ const DEFAULT_STATE = {
     closeHour: 18,
     daysShown: 7, // week view
     leadDays: 1, // earliest booking is tomorrow
-    appointmentDurationSlots: 1, // 2 slots of slotMinutes each
+    appointmentDurationSlots: 1, // fallback length (in slots) when a service type has no default
+    // Overridden by the server's list (/api/availability settings.serviceDurations)
+    serviceDurations: {
+      "Repair (House Call)": 1,
+      "Inventory Purchase": 1,
+      "Rental Inquiry": 1,
+    },
   },
   availability: {
     // weekly template (0=Sun..6=Sat) - true means generally available
@@ -402,7 +670,7 @@ const DEFAULT_STATE = {
     blocks: {}
   },
   inventory: [],
-  appointments: [] // {id, startISO, slots, name, phone, email, serviceType, appliance, notes, status: pending|accepted|rejected, createdISO}
+  appointments: [] // {id, startISO, slots, name, phone, email, serviceType, appliance, notes, status: pending|accepted|canceled|no_show, createdISO, manageToken}
 };
 
 function uid(){
@@ -504,6 +772,9 @@ function startOfWeek(d){
 }
 
 async function init(){
+  // Resolve the management session first so the schedule load picks the right (role-scoped) view
+  if(getPersistedAdmin()) adminUser = await checkAdminSession();
+
   // Load authoritative schedule from server
   await loadServerSchedule();
   await applyInventoryVisibility();
@@ -544,7 +815,7 @@ async function init(){
   const adminBtn = $("#adminBtn");
   if(adminBtn) adminBtn.addEventListener("click", ()=>openAdmin());
   const adminLogoutBtn = $("#adminLogoutBtn");
-  if(adminLogoutBtn) adminLogoutBtn.addEventListener("click", ()=>setAdmin(false));
+  if(adminLogoutBtn) adminLogoutBtn.addEventListener("click", ()=>logoutAdmin());
 
   // Hotkey: Ctrl+Shift+A toggles admin mode (opens PIN when OFF; turns OFF when ON)
   if(!window.__dsdAdminHotkeyBound){
@@ -556,7 +827,7 @@ async function init(){
         const isTyping = tag === "input" || tag === "textarea" || tag === "select" || (t && t.isContentEditable);
         if(isTyping) return;
         e.preventDefault();
-        if(isAdmin){ setAdmin(false); toast("Management mode disabled."); }
+        if(isAdmin){ logoutAdmin(); toast("Management mode disabled."); }
         else{ openAdmin(); }
       }
     });
@@ -574,6 +845,21 @@ async function init(){
   // Contact page
   if($("#contactFormNew")) wireContactForm();
 
+  // Customer manage page (link from request confirmation)
+  if($("#manageApp")) initManagePage();
+
+  // Owner activity log
+  if($("#auditApp")) initAuditPage();
+
+  // Day route plan / run sheet (staff)
+  if($("#routeApp")) initRoutePage();
+
+  // Customer records (owner / front desk)
+  if($("#crmApp")) initCustomersPage();
+
+  // Contact messages inbox (owner / front desk)
+  if($("#msgApp")) initMessagesPage();
+
   // Calendar
   const calPrev = $("#calPrev");
   if(calPrev) calPrev.addEventListener("click", ()=>{ viewStart = addDays(viewStart, -7); renderCalendar(); });
@@ -590,21 +876,52 @@ async function init(){
 
   const requestForm = $("#requestForm");
   if(requestForm) requestForm.addEventListener("submit", onSubmitRequest);
+  // "Convert to booking" from the messages inbox (schedule.html?fromMessage=<id>)
+  if($("#fromMessageBanner")){
+    loadBookingFromMessage();
+    document.addEventListener("dsd_admin_change", loadBookingFromMessage);
+    const cancelBtn = $("#fromMessageCancel");
+    if(cancelBtn) cancelBtn.addEventListener("click", clearBookingFromMessage);
+  }
+
+  // Staff booking for a caller: their known appliances show up once phone/email is typed
+  ["#reqPhone", "#reqEmail"].forEach(sel=>{
+    const el = $(sel);
+    if(el) el.addEventListener("change", ()=>{ if(can("schedule.manage")) loadKnownAppliances(); });
+  });
+  const knownSel = $("#reqApplianceId");
+  if(knownSel) knownSel.addEventListener("change", syncApplianceFields);
+  const reqZip = $("#reqZip");
+  if(reqZip) reqZip.addEventListener("change", checkServiceZip);
+  const reqServiceType = $("#reqServiceType");
+  if(reqServiceType && reqZip) reqServiceType.addEventListener("change", checkServiceZip);
 
   // Admin panels
   const adminPinForm = $("#adminPinForm");
-  if(adminPinForm) adminPinForm.addEventListener("submit", (e)=>{
+  if(adminPinForm) adminPinForm.addEventListener("submit", async (e)=>{
     e.preventDefault();
+    const username = ($("#adminUser")?.value || "").trim();
     const pin = $("#adminPin").value.trim();
-    if(pin === ADMIN_PIN){
+    try{
+      await loginAdmin(username, pin);
+      await loadServerSchedule();
       setAdmin(true);
       closeModal();
       toast("Management mode enabled.");
-    }else{
-      toast("Wrong PIN.");
+    }catch(err){
+      toast(String(err?.message || "Wrong PIN."));
     }
   });
 
+  if($("#userForm")) wireUsersForm();
+  if($("#techForm")) wireTechForm();
+  const calTech = $("#calTech");
+  if(calTech) calTech.addEventListener("change", ()=>{ calTechFilter = calTech.value; renderCalendar(); });
+  if($("#billingForm")) wireBillingForm();
+
+  const calFeedLink = $("#calFeedLink");
+  if(calFeedLink) calFeedLink.addEventListener("click", (e)=>{ e.preventDefault(); copyCalendarFeedUrl(); });
+
   const availabilityForm = $("#availabilityForm");
   if(availabilityForm) availabilityForm.addEventListener("submit", onSaveAvailability);
   const blockDateBtn = $("#blockDateBtn");
@@ -622,18 +939,43 @@ async function init(){
     }
   });
 
-    // Persist admin mode across pages (schedule/inventory) using localStorage
-  if(getPersistedAdmin()) setAdmin(true);
+    // Persist admin mode across pages (schedule/inventory) using localStorage,
+  // but only while the server still honors the session.
+  if(getPersistedAdmin()){
+    if(adminUser) setAdmin(true);
+    else{ setAdminToken(""); setAdmin(false); }
+  }
 if($("#calGrid")) renderCalendar();
   if($("#adminPanel")) renderAdminPanels();
   if($("#pendingTableBody") || $("#acceptedTableBody")) renderAppointmentsTables();
 
-  // Cross-device freshness (phone <-> browser)
+  // Cross-device freshness (phone <-> browser): live events, polling while they're down
+  connectLive();
+  document.addEventListener("dsd_admin_change", reconnectLive);
   if($("#calGrid") || $("#pendingTableBody") || $("#acceptedTableBody")){
     startScheduleAutoSync();
   }
 }
 
+// A stored photo as <picture>: the WebP sizes first, then the JPEG/PNG ones, so the
+// browser fetches only the size it needs. Photos saved before sizes existed (no
+// variants) stay a plain <img>.
+function responsiveImg(rec, alt, sizes){
+  const base = getServerBase();
+  const v = rec?.variants;
+  if(!v || !v.full){
+    return `<img src="${escapeHtml(base + (rec?.imagePath || "/uploads/default.png"))}" alt="${escapeHtml(alt)}" loading="lazy">`;
+  }
+  const set = (key)=>{
+    const seen = new Set();
+    return Object.values(v).filter(x => !seen.has(x.width) && seen.add(x.width)).map(x => `${base}${x[key]} ${x.width}w`).join(", ");
+  };
+  return `<picture>
+    <source type="image/webp" srcset="${escapeHtml(set("webp"))}" sizes="${escapeHtml(sizes)}">
+    <img src="${escapeHtml(base + (v.medium || v.full).fallback)}" srcset="${escapeHtml(set("fallback"))}" sizes="${escapeHtml(sizes)}" alt="${escapeHtml(alt)}" loading="lazy">
+  </picture>`;
+}
+
 function renderInventory(){
   const wrap = $("#inventoryWrap");
   wrap.innerHTML = "";
@@ -650,7 +992,7 @@ function renderInventory(){
     const div = document.createElement("div");
     div.className = "card item";
     div.innerHTML = `
-      <img src="${escapeHtml(getServerBase() + (it.imagePath || '/uploads/default.png'))}" alt="Inventory item photo">
+      ${responsiveImg(it, "Inventory item photo", "110px")}
       <div>
         <div style="display:flex; align-items:center; justify-content:space-between; gap:10px;">
           <h3>${escapeHtml(it.title)}</h3>
@@ -687,16 +1029,15 @@ function renderGallery(){
   for(const p of photos){
     const wrap = document.createElement("div");
     wrap.className = "gallery-item";
-    const src = getServerBase() + (p.imagePath || "/uploads/default.png");
     wrap.innerHTML = `
-      <img src="${escapeHtml(src)}" alt="Gallery photo">
+      ${responsiveImg(p, "Gallery photo", "(max-width: 980px) 50vw, 25vw")}
       ${p.caption ? `<div class="gallery-cap">${escapeHtml(p.caption)}</div>` : ``}
-      ${isAdmin ? `<button class="gallery-del" data-id="${escapeHtml(p.id)}" title="Delete">✕</button>` : ``}
+      ${can("gallery.edit") ? `<button class="gallery-del" data-id="${escapeHtml(p.id)}" title="Delete">✕</button>` : ``}
     `;
     g.appendChild(wrap);
   }
 
-  if(isAdmin){
+  if(can("gallery.edit")){
     g.querySelectorAll(".gallery-del").forEach(btn=>{
       btn.addEventListener("click", async ()=>{
         const id = btn.getAttribute("data-id");
@@ -718,7 +1059,7 @@ function renderGallery(){
 function renderCalendar(){
   $("#calRange").textContent = `${fmtDate(viewStart)} → ${fmtDate(addDays(viewStart, 6))}`;
 
-  const slotMin = state.settings.slotMinutes;
+  const slotMin = slotMinutes();
   const rows = [];
   const heads = [];
 
@@ -757,63 +1098,85 @@ function renderCalendar(){
 
       const online = serverOnline();
        const availOnline = availabilityOnline();
-      const appt = online ? findAppointmentByStart(start.toISOString()) : null;
+      // Multi-slot jobs render across every slot they cover; later cells get a "cont" style.
+      // Filtered to one technician, only their jobs and their own hours count.
+      const tech = calTechnician();
+      let covering = online ? appointmentsCovering(start.toISOString()) : [];
+      if(tech) covering = covering.filter(a => a.assignedTo === tech.id);
+      const appt = covering[0] || null;
+      const isContinuation = !!appt && _epoch(appt.startISO) !== start.getTime();
       const dow = day.getDay();
       const weeklyConf = (availOnline ? (serverAvailability.weekly?.[String(dow)] ?? serverAvailability.weekly?.[dow]) : (state.availability.weekly?.[String(dow)] ?? state.availability.weekly?.[dow]));
       const weeklyEnabled = !!weeklyConf?.enabled;
       const wStart = Number(weeklyConf?.start ?? state.availability.weekly?.[String(dow)]?.start ?? state.settings.openHour);
       const wEnd = Number(weeklyConf?.end ?? state.availability.weekly?.[String(dow)]?.end ?? state.settings.closeHour);
-      const withinWeekly = (weeklyEnabled && hh >= wStart && hh < wEnd);
+      const withinWeekly = (weeklyEnabled && hh >= wStart && hh < wEnd) && (!tech || techOnShift(tech, start));
       const blocked = availOnline ? isBlockedServer(dayISO, hh, mm) : isBlockedLocal(dayISO, hh, mm);
+      const techBlocked = !!tech && techBlockedAt(tech, start);
+      // Everyone's calendar with technicians: how many more jobs this slot can take
+      const open = (isAdmin && !tech && activeTechnicians().length) ? openTechCount(start, covering) : null;
+      // This device's own request (localStorage) shows as Pending/Reserved for that customer only
+      const mine = (!isAdmin && online) ? getLocalMyApptCovering(start.toISOString()) : null;
 
       let cls = "slot";
       let text = "Available";
       let btn = "";
+      let bookable = false;
 
       if(!online){
         cls += " unavail";
         text = "Temporarily Unavailable";
-      }else if(appt){
+      }else if(mine){
+        if(mine.status === "pending"){
+          cls += " pending";
+          text = "Pending";
+        }else{
+          cls += " taken";
+          text = "Reserved";
+        }
+      }else if(appt && !(open > 0)){
+        if(isContinuation) cls += " cont";
         // Admin sees explicit status + details, public sees clean "Unavailable"
-        // BUT: if this device submitted the request (localStorage), show Pending/Reserved for that customer only.
         if(!isAdmin){
-          const mine = (state.appointments || []).find(x=>String(x.id)===String(appt.id)) || getLocalMyApptForStart(start.toISOString());
-          if(mine){
-            if(appt.status === "pending"){
-              cls += " pending";
-              text = "Pending";
-            }else{
-              cls += " taken";
-              text = "Reserved";
-            }
-          }else{
-            cls += " unavail";
-            text = "Unavailable";
-          }
+          cls += " unavail";
+          text = "Unavailable";
         }else{
           if(appt.status === "pending"){
             cls += " pending";
             text = "Awaiting Confirmation";
-          }else if(appt.status === "accepted"){
+          }else{
             cls += " taken";
-            text = "Reserved";
+            text = appt.status === "accepted" ? "Reserved" : jobStatusLabel(appt.status);
           }
+          if(open !== null && appt.assignedTo) text += ` · ${techName(appt.assignedTo)}`;
+          if(covering.length > 1) text += ` +${covering.length - 1}`;
         }
-      }else if(blocked){
+      }else if(blocked || techBlocked){
         cls += " blocked";
-        text = (isAdmin ? "Blocked" : "Unavailable");
+        text = (isAdmin ? (tech && !techBlocked ? "Blocked (shop)" : "Blocked") : "Unavailable");
       }else if(!withinWeekly){
         cls += " unavail";
         text = "Unavailable";
+      }else if(open !== null && open <= 0){
+        cls += " unavail";
+        text = "No technician free";
+      }else if(appt){
+        // Some technicians busy, others still free
+        cls += " partial";
+        text = `${covering.length} booked · ${open} open`;
+        bookable = true;
+      }else{
+        bookable = true;
       }
 const data = `data-start="${start.toISOString()}" data-date="${dayISO}" data-h="${hh}" data-m="${mm}"`;
-      if(online && text==="Available"){
-        if(isAdmin) btn = `<button class="sbtn" ${data} data-action="book">Book</button>`;
-        else btn = `<button class="sbtn" ${data} data-action="request">Request</button>`;
-      }else if(online && isAdmin && !appt){
-        // Admin convenience: allow toggling blocks directly from the grid
-        if(blocked) btn = `<button class="sbtn" ${data} data-action="unblock">Unblock</button>`;
-        else btn = `<button class="sbtn" ${data} data-action="block">Block</button>`;
+      if(online && bookable){
+        if(can("schedule.manage")) btn = `<button class="sbtn" ${data} data-action="book">Book</button>`;
+        else if(!isAdmin) btn = `<button class="sbtn" ${data} data-action="request">Request</button>`;
+      }else if(online && can("availability.edit") && !appt && !(tech && blocked && !techBlocked)){
+        // Admin convenience: allow toggling blocks directly from the grid (the technician's own when filtered)
+        const who = tech ? ` data-tech="${escapeHtml(tech.id)}"` : "";
+        if(blocked || techBlocked) btn = `<button class="sbtn" ${data}${who} data-action="unblock">Unblock</button>`;
+        else btn = `<button class="sbtn" ${data}${who} data-action="block">Block</button>`;
       }else{
         btn = "";
       }
@@ -832,12 +1195,11 @@ rows.push(`<div class="${cls}" ${data}><span>${text}</span>${btn}</div>`);
       const action = b.getAttribute("data-action") || "request";
       if(action === "request" || action === "book"){
         openRequestModal(startISO);
-      }else if(action === "block"){
-        if(!isAdmin) return;
-        blockSlotServer(startISO, true);
-      }else if(action === "unblock"){
-        if(!isAdmin) return;
-        blockSlotServer(startISO, false);
+      }else if(action === "block" || action === "unblock"){
+        if(!can("availability.edit")) return;
+        const techId = b.getAttribute("data-tech");
+        if(techId) blockTechSlot(techId, startISO, action === "block");
+        else blockSlotServer(startISO, action === "block");
       }
     });
   });
@@ -917,57 +1279,107 @@ function _epoch(iso){
   const t = Date.parse(iso);
   return Number.isFinite(t) ? t : null;
 }
-function findAppointmentByStart(startISO){
+// Slot length and per-service durations come from the server when it's reachable.
+function slotMinutes(){
+  return Number(serverAvailability.settings?.slotMinutes) || state.settings.slotMinutes;
+}
+function durationSlotsFor(serviceType){
+  const server = serverAvailability.settings?.serviceDurations || {};
+  const n = Number(server[serviceType] ?? state.settings.serviceDurations?.[serviceType])
+    || Number(serverAvailability.settings?.defaultDurationSlots)
+    || Number(state.settings.appointmentDurationSlots) || 1;
+  return clamp(n, 1, 8);
+}
+function apptEnd(a){
+  const t = _epoch(a.startISO);
+  if(t == null) return null;
+  return t + (Number(a.slots) || 1) * slotMinutes() * 60 * 1000;
+}
+// Appointments whose [start, start + slots*slotMinutes) interval contains this instant.
+function appointmentsCovering(startISO){
   const target = _epoch(startISO);
-  if(target == null) return null;
-  const all = getAllScheduleRows();
-  // Compare by time instant, not raw string (prevents timezone / formatting mismatches)
-  return all.find(a => {
+  if(target == null) return [];
+  return getAllScheduleRows().filter(a => {
     const t = _epoch(a.startISO);
-    return t != null && t === target && (a.status==="pending" || a.status==="accepted");
-  }) || null;
+    const end = apptEnd(a);
+    return t != null && target >= t && target < end;
+  });
 }
-function findAppointmentById(id){
-  if(!id) return null;
-  const all = getAllScheduleRows();
-  return all.find(a => String(a.id) === String(id)) || null;
+// True when no other job overlaps [startISO, startISO + slots). ignoreStartISO skips the
+// caller's own job (public rows have no ids, but no two jobs start at the same time).
+function rangeFree(startISO, slots, ignoreStartISO){
+  const t0 = _epoch(startISO);
+  if(t0 == null) return false;
+  const t1 = t0 + (Number(slots) || 1) * slotMinutes() * 60 * 1000;
+  const ignoreT = ignoreStartISO ? _epoch(ignoreStartISO) : null;
+  return !getAllScheduleRows().some(a => {
+    const t = _epoch(a.startISO);
+    if(ignoreT != null && t === ignoreT) return false;
+    const end = apptEnd(a);
+    return t != null && t < t1 && t0 < end;
+  });
 }
-function getLocalMyApptForStart(startISO){
+// This browser's own request/booking covering this instant (public rows don't say whose a slot is)
+function getLocalMyApptCovering(startISO){
   const target = _epoch(startISO);
   if(target == null) return null;
   const arr = Array.isArray(state.appointments) ? state.appointments : [];
   return arr.find(a=>{
     const t=_epoch(a.startISO);
-    return t!=null && t===target && (a.status==="pending" || a.status==="accepted");
+    return t!=null && target >= t && target < apptEnd(a) && (a.status==="pending" || a.status==="accepted");
   }) || null;
 }
-function reconcileLocalAppointments(){
-  // Keep customer's local confirmation in sync with server truth (pending -> accepted, etc.)
+// Keeps this browser's own requests in sync (pending -> confirmed, moved, canceled) by
+// asking about their manage tokens, since the public schedule doesn't say whose a slot
+// is. Requests the server no longer has (rejected) are dropped; canceled jobs and no-shows
+// stay as closed entries, since their links still count for /api/manage/appliances.
+const isClosedLocalAppt = (a) => a.status === "canceled" || a.status === "no_show";
+let _reconcileBusy = false;
+async function reconcileLocalAppointments(){
+  if(isAdmin || _reconcileBusy) return;
   const arr = Array.isArray(state.appointments) ? state.appointments : [];
-  if(arr.length===0) return;
-  let changed = false;
-  for(const a of arr){
-    const server = findAppointmentById(a.id) || findAppointmentByStart(a.startISO);
-    if(server){
-      const nextStatus = server.status === "pending" ? "pending" : "accepted";
-      if(a.status !== nextStatus){
-        a.status = nextStatus;
+  const mine = arr.filter(a => a.manageToken && !isClosedLocalAppt(a)).slice(-10);
+  if(mine.length === 0) return;
+  _reconcileBusy = true;
+  try{
+    const url = `${getServerBase()}/api/manage/status?${mine.map(a => `token=${encodeURIComponent(a.manageToken)}`).join("&")}`;
+    const j = await fetchJson(url, { method:"GET" });
+    const rows = Array.isArray(j?.appts) ? j.appts : [];
+    const gone = new Set();
+    let changed = false;
+    mine.forEach((a, i)=>{
+      const server = rows[i];
+      if(!server){
+        gone.add(a);
+        return;
+      }
+      const status = isClosedLocalAppt(server) ? server.status : (server.status === "pending" ? "pending" : "accepted");
+      if(a.status !== status || a.startISO !== server.startISO || a.slots !== server.slots){
+        Object.assign(a, { status, startISO: server.startISO, slots: server.slots });
         changed = true;
       }
+    });
+    if(changed || gone.size){
+      state.appointments = arr.filter(a => !gone.has(a));
+      saveState(state);
+      if($("#calGrid")) renderCalendar();
     }
+  }catch(_){
+  }finally{
+    _reconcileBusy = false;
   }
-  if(changed) saveState(state);
 }
 
 function openRequestModal(startISO){
   // Pre-fill
-  setText("#modalTitle", isAdmin ? "Book an Appointment" : "Request an Appointment");
+  setText("#modalTitle", can("schedule.manage") ? "Book an Appointment" : "Request an Appointment");
   try{
     const btn = document.querySelector("#requestForm button[type=\"submit\"]");
-    if(btn) btn.textContent = isAdmin ? "Book" : "Submit Request";
+    if(btn) btn.textContent = can("schedule.manage") ? "Book" : "Submit Request";
   }catch(e){}
   setDisplay("#adminGate", "none");
   setDisplay("#jobDetailsGate", "none");
+  setDisplay("#requestDoneGate", "none");
   setDisplay("#requestGate", "block");
 
   $("#reqStart").value = startISO;
@@ -975,14 +1387,145 @@ function openRequestModal(startISO){
   setText("#reqWhen", `${fmtDate(d)} at ${d.toLocaleTimeString([], {hour:"numeric", minute:"2-digit"})}`);
   $("#requestForm").reset();
   $("#reqStart").value = startISO;
+  // Managers booking directly may override the service's default length
+  setDisplay("#reqSlotsWrap", can("schedule.manage") ? "block" : "none");
+  const m = can("schedule.manage") ? bookingFromMessage : null;
+  if(m){
+    $("#reqName").value = m.name || "";
+    $("#reqEmail").value = m.email || "";
+    $("#reqServiceType").value = MESSAGE_SERVICE_TYPES[m.type] || "Repair (House Call)";
+    $("#reqNotes").value = m.description || "";
+  }
+  loadKnownAppliances();
+  setText("#reqAreaNote", "");
+  if(!can("schedule.manage")) armFormGuard("request");
 
   showModal();
 }
 
+// The request form checks the ZIP once it's typed: the zone (and its trip fee) or why we
+// can't come, and whether the picked time leaves room to drive there. The server checks again.
+let _zipCheckSeq = 0;
+async function checkServiceZip(){
+  const note = $("#reqAreaNote");
+  const zip = ($("#reqZip")?.value || "").trim();
+  if(!note) return;
+  if(!/^\d{5}(-\d{4})?$/.test(zip)){
+    note.textContent = "";
+    return;
+  }
+  const seq = ++_zipCheckSeq;
+  const q = new URLSearchParams({ zip, startISO: $("#reqStart").value, serviceType: $("#reqServiceType").value });
+  try{
+    const j = await fetchJson(`${getServerBase()}/api/service-area?${q}`, { method:"GET" });
+    if(seq !== _zipCheckSeq) return;
+    const fee = Number(j?.zone?.tripFee);
+    const zone = j?.zone ? `${j.zone.name}${fee > 0 ? ` (trip fee $${fee})` : ""}` : "";
+    note.textContent = j?.slot ? `${zone ? `${zone}: ` : ""}${j.slot}` : (zone ? `We come to ${zone}.` : "");
+  }catch(err){
+    if(seq === _zipCheckSeq) note.textContent = String(err?.message || "");
+  }
+}
+
+// -------------------- Booking from an inbox message --------------------
+// The request form is pre-filled from the message and the booking is linked back to it.
+const MESSAGE_SERVICE_TYPES = { "Appliance Repair":"Repair (House Call)", "Sales":"Inventory Purchase", "Rentals":"Rental Inquiry" };
+let bookingFromMessage = null;
+
+async function loadBookingFromMessage(){
+  const id = new URLSearchParams(location.search).get("fromMessage");
+  if(!id || !can("messages.manage") || !can("schedule.manage")){
+    bookingFromMessage = null;
+    setDisplay("#fromMessageBanner", "none");
+    return;
+  }
+  if(bookingFromMessage?.id === id) return;
+  try{
+    const j = await fetchJson(`${getServerBase()}/api/messages/${encodeURIComponent(id)}`, { method:"GET", headers: authHeaders(), credentials: "include" });
+    bookingFromMessage = j.message;
+    setText("#fromMessageText", `Booking for ${j.message.name || "a message"} (${j.message.type || "Other"}). Pick a slot; the form is filled in from their message.`);
+    setDisplay("#fromMessageBanner", "block");
+  }catch(err){
+    toast(String(err?.message || "Server error"));
+  }
+}
+
+function clearBookingFromMessage(){
+  bookingFromMessage = null;
+  setDisplay("#fromMessageBanner", "none");
+  history.replaceState(null, "", location.pathname);
+}
+
+// -------------------- Known appliances (request form) --------------------
+// Returning customers are recognized by the manage links saved in this browser; staff
+// booking for a caller look them up by phone/email instead.
+function renderKnownAppliances(list){
+  const sel = $("#reqApplianceId");
+  if(!sel) return;
+  const rows = Array.isArray(list) ? list : [];
+  sel.innerHTML = rows.map(a => `<option value="${escapeHtml(a.id)}">${escapeHtml(a.label || a.type || "Appliance")}</option>`).join("")
+    + `<option value="">A different appliance</option>`;
+  sel.value = rows[0]?.id || "";
+  setDisplay("#reqKnownWrap", rows.length ? "block" : "none");
+  syncApplianceFields();
+}
+
+function syncApplianceFields(){
+  setDisplay("#reqNewAppliance", $("#reqApplianceId")?.value ? "none" : "block");
+}
+
+async function loadKnownAppliances(){
+  renderKnownAppliances([]);
+  if(!$("#reqApplianceId")) return;
+  let url = "";
+  if(can("schedule.manage")){
+    const phone = ($("#reqPhone")?.value || "").trim();
+    const email = ($("#reqEmail")?.value || "").trim();
+    if(!phone && !email) return;
+    url = `/api/appliances?phone=${encodeURIComponent(phone)}&email=${encodeURIComponent(email)}`;
+  }else{
+    const tokens = (Array.isArray(state.appointments) ? state.appointments : []).map(x => x.manageToken).filter(Boolean).slice(-10);
+    if(!tokens.length) return;
+    url = `/api/manage/appliances?${tokens.map(t => `token=${encodeURIComponent(t)}`).join("&")}`;
+  }
+  try{
+    const j = await fetchJson(`${getServerBase()}${url}`, { method:"GET", headers: authHeaders(), credentials: "include" });
+    renderKnownAppliances(j?.appliances);
+  }catch(_){ }
+}
+
+// Request photos are uploaded first (uploadFiles "req"), then referenced as attachments
+const REQUEST_PHOTO_MAX = 4;
+function requestPhotoProblem(files){
+  if(files.length > REQUEST_PHOTO_MAX) return `Attach up to ${REQUEST_PHOTO_MAX} photos.`;
+  if(files.some(f => !String(f.type || "").startsWith("image/"))) return "Photos only, please (JPG, PNG, WebP).";
+  if(files.some(f => (f.size || 0) > UPLOAD_MAX_MB * 1024 * 1024)) return `Each photo must be under ${UPLOAD_MAX_MB}MB.`;
+  return "";
+}
+
+// What the request form says about the appliance: { appliance (summary text), applianceId?, applianceInfo? }
+function requestApplianceFields(){
+  const applianceId = $("#reqApplianceId")?.value || "";
+  if(applianceId){
+    const label = $("#reqApplianceId").selectedOptions?.[0]?.textContent || "";
+    return { applianceId, appliance: label };
+  }
+  if(!$("#reqApplianceType")) return { appliance: ($("#reqAppliance")?.value || "").trim() };
+  const applianceInfo = {
+    type: $("#reqApplianceType").value,
+    brand: ($("#reqBrand")?.value || "").trim(),
+    model: ($("#reqModel")?.value || "").trim(),
+    serial: ($("#reqSerial")?.value || "").trim(),
+  };
+  const appliance = [applianceInfo.brand, applianceInfo.type, applianceInfo.model].filter(Boolean).join(" ");
+  return { appliance, applianceInfo };
+}
+
 function openAdmin(){
   setText("#modalTitle", "Management Mode");
   setDisplay("#requestGate", "none");
   setDisplay("#jobDetailsGate", "none");
+  setDisplay("#requestDoneGate", "none");
   setDisplay("#adminGate", "block");
   $("#adminPin").value = "";
   showModal();
@@ -991,7 +1534,7 @@ function openAdmin(){
 
 function openJobDetailsModal(apptId){
   if(!isAdmin) return;
-  const a = getAllScheduleRows().find(x=>x.id===apptId);
+  const a = findJobRow(apptId);
   if(!a) return;
 
   const d = new Date(a.startISO);
@@ -999,40 +1542,218 @@ function openJobDetailsModal(apptId){
   setText("#modalTitle", "Job Details");
   setDisplay("#requestGate", "none");
   setDisplay("#adminGate", "none");
+  setDisplay("#requestDoneGate", "none");
   setDisplay("#jobDetailsGate", "block");
 
   // Fill fields
   setText("#jobWhen", when);
-  setText("#jobStatus", a.status || "");
+  setText("#jobStatus", jobStatusLabel(a.status));
   setText("#jobName", a.name || "");
+  setDisplay("#jobCustomerLink", (a.customerId && can("customers.manage")) ? "inline" : "none");
+  setHref("#jobCustomerLink", a.customerId ? `customers.html?id=${encodeURIComponent(a.customerId)}` : "#");
   setText("#jobContact", `${a.phone || ""}${(a.phone && a.email) ? " • " : ""}${a.email || ""}`);
+  setText("#jobAddress", [[a.address, a.zip].filter(Boolean).join(", "), a.zoneName].filter(Boolean).join(" • "));
   setText("#jobService", a.serviceType || "");
   setText("#jobAppliance", a.appliance || "");
-  setText("#jobNotes", a.notes || "");
+  const notesEl = $("#jobNotes");
+  if(notesEl){
+    notesEl.value = a.notes || "";
+    notesEl.readOnly = !(can("jobs.update") || can("jobs.updateOwn"));
+  }
+
+  // Assignment (owner / front desk)
+  const assignEl = $("#jobAssign");
+  setDisplay("#jobAssignWrap", can("schedule.manage") ? "block" : "none");
+  if(assignEl && can("schedule.manage")){
+    // With technician schedules only they can take jobs; accepting without a pick assigns whoever is free
+    const scheduled = activeTechnicians();
+    const techs = scheduled.length
+      ? scheduled.map(x => ({ id: x.id, name: x.name })).concat(a.assignedTo && !scheduled.some(x => x.id === a.assignedTo) ? [{ id: a.assignedTo, name: techName(a.assignedTo) }] : [])
+      : staffList.filter(u => u.role === "technician" || u.id === a.assignedTo);
+    const none = (scheduled.length && a.status === "pending") ? "Any free technician" : "Unassigned";
+    assignEl.innerHTML = `<option value="">${none}</option>` + techs.map(u =>
+      `<option value="${escapeHtml(u.id)}">${escapeHtml(u.name || u.username)}</option>`
+    ).join("");
+    assignEl.value = a.assignedTo || "";
+  }
+
+  renderJobAppliance(a);
+  renderJobPhotos(a);
+  renderJobTimeline(a);
+  renderWorkOrder(a.workOrder);
+  renderJobBilling(a);
 
-  // Buttons: show/hide based on status
+  // Buttons: show/hide based on status and role
   const isPending = (a.status === "pending");
-  const isAccepted = (a.status === "accepted");
-setDisplay("#jobAcceptBtn", isPending ? "inline-flex" : "none");
-  setDisplay("#jobRejectBtn", isPending ? "inline-flex" : "none");
-// Delete is always available in admin (for cleanup)
-  setDisplay("#jobDeleteBtn", "inline-flex");
+  const canManage = can("schedule.manage");
+  const next = JOB_NEXT[a.status] || [];
+  // Technicians move their own jobs along; owner / front desk can move any
+  const canWork = can("jobs.update") || (can("jobs.updateOwn") && adminUser && a.assignedTo === adminUser.id);
+setDisplay("#jobAcceptBtn", (canManage && isPending) ? "inline-flex" : "none");
+  setDisplay("#jobRejectBtn", (canManage && isPending) ? "inline-flex" : "none");
+  // Requests are rejected instead; finished jobs stay on record
+  setDisplay("#jobDeleteBtn", (canManage && !isPending && next.includes("canceled")) ? "inline-flex" : "none");
+  setDisplay("#jobSaveBtn", (can("jobs.update") || can("jobs.updateOwn")) ? "inline-flex" : "none");
+
+  const flow = $("#jobFlowBtns");
+  if(flow){
+    const acts = canWork ? JOB_FIELD_ACTIONS.filter(x => next.includes(x.status)) : [];
+    flow.innerHTML = acts.map(x =>
+      `<button class="btn" type="button" data-flow="${x.status}">${escapeHtml(x.label)}</button>`
+    ).join("") + ((canWork && next.includes("completed")) ? `<button class="btn primary" type="button" data-flow="completed">Complete…</button>` : "");
+    setDisplay("#jobFlowBtns", flow.innerHTML ? "grid" : "none");
+    flow.querySelectorAll("[data-flow]").forEach(btn=>{
+      btn.onclick = ()=>{
+        const status = btn.getAttribute("data-flow");
+        if(status === "completed"){
+          setDisplay("#jobWorkOrderForm", "block");
+          $("#woDiagnosis")?.focus();
+          return;
+        }
+        const act = JOB_FIELD_ACTIONS.find(x => x.status === status);
+        advanceJob(apptId, act);
+        closeModal();
+      };
+    });
+  }
+  setDisplay("#jobWorkOrderForm", "none");
+  ["#woDiagnosis", "#woParts", "#woLabor", "#woTechNotes"].forEach(sel=>{ const el = $(sel); if(el) el.value = ""; });
+  const woBtn = $("#woSubmitBtn");
+  if(woBtn) woBtn.onclick = ()=>{
+    const diagnosis = String($("#woDiagnosis")?.value || "").trim();
+    if(!diagnosis){ toast("Enter a diagnosis first."); return; }
+    completeJob({
+      id: apptId,
+      diagnosis,
+      parts: parsePartsLines($("#woParts")?.value),
+      laborMinutes: Number($("#woLabor")?.value) || 0,
+      techNotes: String($("#woTechNotes")?.value || "").trim(),
+    });
+    closeModal();
+  };
 
   // Wire actions (overwrite handlers each open)
   const acceptBtn = $("#jobAcceptBtn");
   const rejectBtn = $("#jobRejectBtn");
 const delBtn = $("#jobDeleteBtn");
+  const saveBtn = $("#jobSaveBtn");
   const closeBtn = $("#jobCloseBtn");
 
-  if(acceptBtn) acceptBtn.onclick = ()=>{ acceptAppt(apptId); closeModal(); };
+  if(acceptBtn) acceptBtn.onclick = ()=>{ acceptAppt(apptId, assignEl ? assignEl.value : ""); closeModal(); };
   if(rejectBtn) rejectBtn.onclick = ()=>{ rejectAppt(apptId); closeModal(); };
+  if(saveBtn) saveBtn.onclick = ()=>{
+    const patch = { id: apptId, notes: notesEl ? notesEl.value : a.notes };
+    if(can("schedule.manage") && assignEl) patch.assignedTo = assignEl.value;
+    updateAppt(patch);
+    closeModal();
+  };
 
-  if(delBtn) delBtn.onclick = ()=>{ deleteAppt(apptId); closeModal(); };
+  if(delBtn) delBtn.onclick = ()=>{ cancelAppt(apptId); closeModal(); };
   if(closeBtn) closeBtn.onclick = ()=> closeModal();
 
   showModal();
 }
 
+// The customer's unit on file and what earlier visits found on it
+function renderJobAppliance(a){
+  const el = $("#jobApplianceInfo");
+  if(!el) return;
+  const u = a.applianceRecord;
+  if(!u){
+    el.innerHTML = "";
+    setDisplay("#jobApplianceInfo", "none");
+    return;
+  }
+  const facts = [
+    u.serial ? `Serial ${u.serial}` : "",
+    u.installDate ? `Installed ${u.installDate}` : "",
+    u.purchasedFromUs ? "Bought from us" : "",
+  ].filter(Boolean).join(" • ");
+  const visits = (a.serviceHistory || []).map(h => `
+    <div style="margin-top:6px;">
+      <span class="small">${escapeHtml(fmtDate(new Date(h.startISO)))} • ${escapeHtml(jobStatusLabel(h.status))}</span>
+      <div>${h.diagnosis ? escapeHtml(h.diagnosis) : `<span class="small">No diagnosis recorded</span>`}</div>
+      ${(h.parts || []).length ? `<div class="small">Parts: ${escapeHtml(h.parts.map(p => p.name).join(", "))}</div>` : ""}
+    </div>`).join("");
+  el.innerHTML = `
+    <div class="hr"></div>
+    <div class="small">Appliance on file</div>
+    <div><strong>${escapeHtml([u.brand, u.type, u.model].filter(Boolean).join(" "))}</strong></div>
+    ${facts ? `<div class="small">${escapeHtml(facts)}</div>` : ""}
+    ${u.notes ? `<div class="small" style="white-space:pre-wrap;">${escapeHtml(u.notes)}</div>` : ""}
+    <div class="small" style="margin-top:8px;">Service history</div>
+    ${visits || `<div class="small">First visit for this unit.</div>`}
+  `;
+  setDisplay("#jobApplianceInfo", "block");
+}
+
+function renderJobPhotos(a){
+  const el = $("#jobPhotos");
+  if(!el) return;
+  const files = Array.isArray(a.attachments) ? a.attachments : [];
+  const base = getServerBase();
+  el.innerHTML = files.length ? `
+    <div class="hr"></div>
+    <div class="small">Customer photos</div>
+    <div style="display:flex; gap:8px; flex-wrap:wrap; margin-top:6px;">
+      ${files.map(f => `<a href="${escapeHtml(base + f.imagePath)}" target="_blank" rel="noopener" title="${escapeHtml(f.name || "")}">
+        <img src="${escapeHtml(base + (f.variants?.thumb?.fallback || f.imagePath))}" alt="${escapeHtml(f.name || "Customer photo")}" loading="lazy" style="width:96px; height:96px; object-fit:cover; border-radius:10px;"/>
+      </a>`).join("")}
+    </div>` : "";
+  setDisplay("#jobPhotos", files.length ? "block" : "none");
+}
+
+function renderJobTimeline(a){
+  const el = $("#jobTimeline");
+  if(!el) return;
+  const names = new Map(staffList.map(u => [u.id, u.name || u.username]));
+  const history = Array.isArray(a.history) ? a.history : [];
+  el.innerHTML = history.length ? history.map(h => {
+    const d = new Date(h.atISO);
+    const who = h.by === "customer" ? "customer" : (names.get(h.by) || "");
+    return `<div>${escapeHtml(jobStatusLabel(h.status))} — ${escapeHtml(fmtDate(d))} ${escapeHtml(d.toLocaleTimeString([], {hour:"numeric", minute:"2-digit"}))}${who ? ` <span class="small">(${escapeHtml(who)})</span>` : ""}</div>`;
+  }).join("") : `<div class="small">No status changes recorded.</div>`;
+}
+
+function renderWorkOrder(wo){
+  const el = $("#jobWorkOrder");
+  if(!el) return;
+  if(!wo){
+    el.innerHTML = "";
+    setDisplay("#jobWorkOrder", "none");
+    return;
+  }
+  const parts = (wo.parts || []).map(p =>
+    `<li>${escapeHtml(String(p.qty))} × ${escapeHtml(p.name)}${p.partNumber ? ` <span class="small">(${escapeHtml(p.partNumber)})</span>` : ""}${p.unitPrice != null ? ` @ $${escapeHtml(Number(p.unitPrice).toFixed(2))}` : ""}</li>`
+  ).join("");
+  const labor = Number(wo.laborMinutes) || 0;
+  el.innerHTML = `
+    <div class="hr"></div>
+    <div class="small">Work order</div>
+    <div><strong>${escapeHtml(wo.diagnosis || "")}</strong></div>
+    <div class="small" style="margin-top:6px;">Parts used</div>
+    ${parts ? `<ul style="margin:4px 0 0 18px; padding:0;">${parts}</ul>` : `<div class="small">None</div>`}
+    <div class="small" style="margin-top:6px;">Labor: ${labor ? `${Math.floor(labor/60)}h ${labor%60}m` : "—"}</div>
+    ${wo.techNotes ? `<div class="small" style="margin-top:6px;">Tech notes</div><div style="white-space:pre-wrap;">${escapeHtml(wo.techNotes)}</div>` : ""}
+  `;
+  setDisplay("#jobWorkOrder", "block");
+}
+
+// "2 x Drain pump, W10130694, 45.00" -> { qty:2, name:"Drain pump", partNumber:"W10130694", unitPrice:45 }
+function parsePartsLines(text){
+  return String(text || "").split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(line => {
+    const [first, partNumber = "", price = ""] = line.split(",").map(x => x.trim());
+    const m = first.match(/^(\d+(?:\.\d+)?)\s*[x×]\s*(.+)$/i);
+    const unitPrice = price.replace(/[$\s]/g, "");
+    return {
+      qty: m ? Number(m[1]) : 1,
+      name: m ? m[2] : first,
+      partNumber,
+      unitPrice: unitPrice === "" ? null : Number(unitPrice),
+    };
+  });
+}
+
 function showModal(){
   const mb = $("#modalBackdrop");
   if(!mb) return;
@@ -1058,16 +1779,36 @@ function setAdmin(v){
   if(ap) ap.style.borderColor = "rgba(34,197,94,.35)";
   if(ap) ap.style.color = "#86efac";
 
-  // Admin panels
+  if(ap && v && adminUser) ap.textContent = `Management: ${adminUser.name || adminUser.role}`;
+
+  // Admin panels (only the ones the logged-in role is allowed to use)
   setDisplay("#adminLogoutBtn", "none"); // button removed; keep hidden if it exists
-  setDisplay("#adminPanel", v ? "block" : "none");
-  // Appointment management tables are admin-only
+  setDisplay("#adminPanel", can("availability.edit") ? "block" : "none");
+  setDisplay("#usersPanel", can("users.manage") ? "block" : "none");
+  setDisplay("#billingPanel", can("billing.edit") ? "block" : "none");
+  if(v) loadBillingSettings();
+  // Appointment management tables are admin-only (technicians see only their own jobs)
   setDisplay("#apptTables", v ? "grid" : "none");
 
   saveState(state);
   if($("#calGrid")) renderCalendar();
   if($("#adminPanel")) renderAdminPanels();
   if($("#pendingTableBody") || $("#acceptedTableBody")) renderAppointmentsTables();
+  setDisplay("#techPanel", can("availability.edit") ? "block" : "none");
+  if(v){
+    Promise.all([loadStaff(), loadTechnicians()]).then(()=>{
+      if($("#usersPanel") && can("users.manage")) renderUsersPanel();
+      if($("#techPanel") && can("availability.edit")) renderTechPanel();
+      renderCalTechFilter();
+      if($("#calGrid")) renderCalendar();
+      if($("#acceptedTableBody")) renderAppointmentsTables();
+    });
+  }else{
+    staffList = [];
+    serverTechnicians.list = [];
+    calTechFilter = "";
+    renderCalTechFilter();
+  }
   try{ document.dispatchEvent(new CustomEvent("dsd_admin_change", { detail: { isAdmin: v } })); }catch(e){}
 }
 
@@ -1082,17 +1823,28 @@ function onSubmitRequest(e){
   }
 
   const startISO = $("#reqStart").value;
-  const slots = clamp(Number(state.settings.appointmentDurationSlots) || 2, 1, 8);
-
-  // Server-backed check: only booked/pending matters
-  const existing = findAppointmentByStart(startISO);
-  if(existing){
+  const serviceType = $("#reqServiceType").value;
+  const slotsOverride = can("schedule.manage") ? Number($("#reqSlots")?.value || 0) : 0;
+  const slots = slotsOverride ? clamp(slotsOverride, 1, 8) : durationSlotsFor(serviceType);
+
+  // Server-backed check: only booked/pending matters (across the whole job length).
+  // With technicians, staff can book over other jobs; the server picks who is free.
+  const techBooking = can("schedule.manage") && activeTechnicians().length > 0;
+  if(!techBooking && !rangeFree(startISO, slots)){
     toast("That slot is no longer available.");
     closeModal();
     renderCalendar();
     return;
   }
 
+  // Customers give the service address (checked against the service area); staff may skip it
+  const address = ($("#reqAddress")?.value || "").trim();
+  const zip = ($("#reqZip")?.value || "").trim();
+  if(!can("schedule.manage") && $("#reqZip") && (!address || !zip)){
+    toast("Please enter the service address and ZIP code.");
+    return;
+  }
+
   const appt = {
     id: uid(),
     startISO,
@@ -1100,32 +1852,52 @@ function onSubmitRequest(e){
     name: $("#reqName").value.trim(),
     phone: ($("#reqPhone")?.value?.trim() || ""),
     email: $("#reqEmail").value.trim(),
-    serviceType: $("#reqServiceType").value,
-    appliance: $("#reqAppliance").value.trim(),
+    address,
+    zip,
+    serviceType,
+    ...requestApplianceFields(),
     notes: $("#reqNotes").value.trim(),
     createdISO: new Date().toISOString()
   };
+  const fromMessageId = can("schedule.manage") ? (bookingFromMessage?.id || "") : "";
+
+  const files = Array.from($("#reqPhotos")?.files || []);
+  const photoProblem = requestPhotoProblem(files);
+  if(photoProblem){ toast(photoProblem); return; }
 
   // Persist to server (pending for customers, booked for admin)
-  const endpoint = isAdmin ? "/api/schedule/book" : "/api/schedule/request";
+  const endpoint = can("schedule.manage") ? "/api/schedule/book" : "/api/schedule/request";
 
-  postSchedule(endpoint, appt)
-    .then(async ()=>{
+  const guarded = endpoint === "/api/schedule/request" ? formGuardFields("request", "#reqWebsite") : Promise.resolve({});
+
+  guarded
+    .then(guard => uploadFiles("req", files).then(uploaded =>
+      postSchedule(endpoint, { ...appt, ...guard, fromMessageId, attachments: uploaded.map(f => ({ imagePath: f.imagePath, key: f.key, name: f.name })) })))
+    .then(async (j)=>{
+      if(fromMessageId) clearBookingFromMessage();
       // Customer feedback layer (local) — lets this device show Pending/Reserved for its own request
       if(!isAdmin){
         try{
           const arr = Array.isArray(state.appointments) ? state.appointments : [];
           const exists = arr.some(x=>String(x.id)===String(appt.id));
           if(!exists){
-            arr.push({ id: appt.id, startISO: appt.startISO, slots: appt.slots, status: "pending", createdISO: appt.createdISO });
+            arr.push({ id: appt.id, startISO: appt.startISO, slots: appt.slots, status: "pending", createdISO: appt.createdISO, manageToken: j?.manageToken || "" });
             state.appointments = arr;
             saveState(state);
           }
         }catch(_){ }
       }
       await loadServerSchedule();
-      closeModal();
-      toast(isAdmin ? "Booked." : "Request submitted!");
+      if(!isAdmin && j?.manageToken && $("#requestDoneGate")){
+        // Keep the modal open on a confirmation with the customer's manage link
+        setText("#modalTitle", "Request Submitted");
+        setDisplay("#requestGate", "none");
+        setDisplay("#requestDoneGate", "block");
+        setHref("#manageLinkOut", manageLinkFor(j.manageToken));
+      }else{
+        closeModal();
+      }
+      toast(can("schedule.manage") ? "Booked." : "Request submitted!");
       renderCalendar();
       renderAppointmentsTables();
     })
@@ -1142,60 +1914,895 @@ function onSubmitRequest(e){
 }
 
 
-function renderAppointmentsTables(){
-  const hasTables = ($("#pendingTableBody") || $("#acceptedTableBody") || $("#completedTableBody"));
-  if(!hasTables) return;
+// -------------------- Customer manage page --------------------
+function manageLinkFor(token){
+  return `manage.html?token=${encodeURIComponent(token)}`;
+}
 
-  // Admin-only visibility for tables
-  setDisplay("#apptTables", isAdmin ? "grid" : "none");
-  if(!isAdmin) return;
+// Open start times on a given day, using the same rules the calendar uses.
+// ignoreId lets a customer's own booking not count against itself.
+function openSlotsForDate(dayISO, ignoreStartISO, slots){
+  const out = [];
+  const day = parseISODate(dayISO);
+  const dow = day.getDay();
+  const conf = serverAvailability.weekly?.[String(dow)] ?? serverAvailability.weekly?.[dow];
+  if(!conf?.enabled) return out;
+  const slotMin = slotMinutes();
+  const earliest = startOfDay(addDays(new Date(), state.settings.leadDays));
+  const wStart = Number(conf.start ?? state.settings.openHour);
+  const wEnd = Number(conf.end ?? state.settings.closeHour);
+  for(let m = wStart*60; m < wEnd*60; m += slotMin){
+    const hh = Math.floor(m/60);
+    const mm = m%60;
+    const start = new Date(day);
+    start.setHours(hh, mm, 0, 0);
+    if(start < earliest) continue;
+    if(isBlockedServer(dayISO, hh, mm)) continue;
+    if(!rangeFree(start.toISOString(), slots || 1, ignoreStartISO)) continue;
+    out.push(start);
+  }
+  return out;
+}
 
-  const all = getAllScheduleRows();
-  const pending = all.filter(a=>a.status==="pending").sort((a,b)=>String(a.startISO).localeCompare(String(b.startISO)));
-  const accepted = all.filter(a=>a.status==="accepted").sort((a,b)=>String(a.startISO).localeCompare(String(b.startISO)));
+async function initManagePage(){
+  const token = new URLSearchParams(location.search).get("token") || "";
+  const base = getServerBase();
+  let appt = null;
 
+  const showMissing = (msg)=>{
+    setDisplay("#mgLoading", "none");
+    setDisplay("#mgDetails", "none");
+    setDisplay("#mgMissing", "block");
+    if(msg) setText("#mgMissingText", msg);
+  };
 
-  setText("#pendingCount", String(pending.length));
-  setText("#bookedCount", String(accepted.length));
-const tp = $("#pendingTableBody");
-  const ta = $("#acceptedTableBody");
-if(tp) tp.innerHTML = "";
-  if(ta) ta.innerHTML = "";
-function whenStr(a){
-    const d = new Date(a.startISO);
-    return `${toISODate(d)} ${d.toLocaleTimeString([], {hour:"numeric", minute:"2-digit"})}`;
+  function render(){
+    const d = new Date(appt.startISO);
+    setText("#mgWhen", `${fmtDate(d)} at ${d.toLocaleTimeString([], {hour:"numeric", minute:"2-digit"})}`);
+    setText("#mgStatus", appt.status === "pending" ? "Awaiting confirmation"
+      : appt.etaISO ? `On the way, arriving around ${fmtClock(appt.etaISO)}`
+      : (appt.statusLabel || jobStatusLabel(appt.status)));
+    const pill = $("#mgStatus");
+    if(pill) pill.className = `pill ${appt.status === "pending" ? "" : "avail"}`;
+    // Once the technician is on the way, changes go through the shop
+    setDisplay("#mgChanges", (appt.status === "pending" || appt.status === "accepted") ? "block" : "none");
+    setText("#mgName", appt.name || "");
+    setText("#mgAddress", [appt.address, appt.zip].filter(Boolean).join(", "));
+    setText("#mgService", appt.serviceType || "");
+    setText("#mgAppliance", appt.appliance || "");
+    setDisplay("#mgLoading", "none");
+    setDisplay("#mgMissing", "none");
+    setDisplay("#mgDetails", "block");
   }
 
-  function makeActions(a){
-    const td = document.createElement("td");
-    const id = a.id;
-
-    // Minimal list view: actions happen inside Details modal.
-td.innerHTML = `<button class="btn" data-act="details" data-id="${id}">Details</button>`;
-    return td;
+  function renderSlots(){
+    const wrap = $("#mgSlots");
+    const dayISO = $("#mgDate")?.value;
+    if(!wrap) return;
+    wrap.innerHTML = "";
+    if(!dayISO) return;
+    const slots = openSlotsForDate(dayISO, appt.startISO, appt.slots);
+    if(slots.length === 0){
+      wrap.innerHTML = `<div class="small">No open times that day. Try another date.</div>`;
+      return;
+    }
+    for(const start of slots){
+      const b = document.createElement("button");
+      b.className = "btn";
+      b.type = "button";
+      b.textContent = start.toLocaleTimeString([], {hour:"numeric", minute:"2-digit"});
+      b.addEventListener("click", async ()=>{
+        if(!confirm(`Move your appointment to ${fmtDate(start)} at ${b.textContent}?`)) return;
+        try{
+          const j = await fetchJson(`${base}/api/manage/reschedule`, {
+            method: "POST",
+            headers: { "Content-Type":"application/json" },
+            body: JSON.stringify({ token, startISO: start.toISOString() })
+          });
+          appt = j.appt;
+          await loadServerSchedule();
+          render();
+          renderSlots();
+          toast("Appointment moved. We'll confirm the new time shortly.");
+        }catch(err){
+          await loadServerSchedule();
+          renderSlots();
+          toast(String(err?.message || "Server error"));
+        }
+      });
+      wrap.appendChild(b);
+    }
   }
 
+  if(!token) return showMissing("This link is missing its appointment code.");
+  try{
+    const j = await fetchJson(`${base}/api/manage?token=${encodeURIComponent(token)}`, { method:"GET" });
+    appt = j.appt;
+  }catch(err){
+    return showMissing(String(err?.message || ""));
+  }
+  await loadServerAvailability();
+  render();
 
-  function row(a){
-    const tr = document.createElement("tr");
-
-    const when = escapeHtml(whenStr(a));
-    const customer = escapeHtml(a.name || "");
-    const service = `${escapeHtml(a.serviceType || "")}<div class="small">${escapeHtml(a.appliance || "")}</div>`;
-    // Pending / Booked: minimal list; see full details & actions in Details modal
-    tr.innerHTML = `
-        <td>${when}</td>
-        <td>${customer}</td>
-        <td>${service}</td>
-      `;
-
-    tr.appendChild(makeActions(a));
-    return tr;
+  const dateEl = $("#mgDate");
+  if(dateEl){
+    dateEl.min = toISODate(addDays(new Date(), state.settings.leadDays));
+    dateEl.addEventListener("change", renderSlots);
   }
 
-  for(const a of pending) if(tp) tp.appendChild(row(a));
-  for(const a of accepted) if(ta) ta.appendChild(row(a));
-// bind action buttons
+  const cancelBtn = $("#mgCancelBtn");
+  if(cancelBtn) cancelBtn.addEventListener("click", async ()=>{
+    if(!confirm("Cancel this appointment?")) return;
+    try{
+      await fetchJson(`${base}/api/manage/cancel`, {
+        method: "POST",
+        headers: { "Content-Type":"application/json" },
+        body: JSON.stringify({ token })
+      });
+      // Keep the link (it still finds their appliances next time); it just stops showing as theirs
+      for(const x of state.appointments || []) if(String(x.id) === String(appt.id)) x.status = "canceled";
+      saveState(state);
+      showMissing("Your appointment was canceled. Thanks for letting us know.");
+      toast("Appointment canceled.");
+    }catch(err){
+      toast(String(err?.message || "Server error"));
+    }
+  });
+}
+
+// -------------------- Activity log (audit.html) --------------------
+const AUDIT_ACTION_LABELS = {
+  "appointment.request": "Requested appointment",
+  "appointment.book": "Booked job",
+  "appointment.accept": "Accepted request",
+  "appointment.reject": "Rejected request",
+  "appointment.cancel": "Canceled appointment",
+  "appointment.reschedule": "Rescheduled appointment",
+  "appointment.update": "Edited job",
+  "appointment.en_route": "Marked en route",
+  "appointment.on_site": "Marked on site",
+  "appointment.waiting_parts": "Marked waiting on parts",
+  "appointment.no_show": "Marked no-show",
+  "appointment.complete": "Completed job",
+  "invoice.create": "Created estimate/invoice",
+  "invoice.email": "Emailed estimate/invoice",
+  "billing.set": "Changed billing settings",
+  "customer.create": "New customer",
+  "customer.update": "Edited customer",
+  "customer.merge": "Merged customers",
+  "customer.split": "Split customer",
+  "appliance.create": "Added appliance",
+  "appliance.update": "Edited appliance",
+  "appliance.delete": "Removed appliance",
+  "appointment.superseded": "Removed overlapping request",
+  "availability.set": "Changed availability",
+  "inventory.create": "Added inventory item",
+  "inventory.update": "Edited inventory item",
+  "inventory.delete": "Deleted inventory item",
+  "gallery.add": "Added gallery photo",
+  "gallery.delete": "Deleted gallery photo",
+  "message.create": "Contact message",
+  "message.update": "Updated message",
+  "message.reply": "Replied to message",
+  "user.create": "Created account",
+  "user.update": "Edited account",
+  "user.delete": "Deleted account",
+  "technician.create": "Added technician schedule",
+  "technician.update": "Changed technician schedule",
+  "technician.delete": "Removed technician schedule",
+  "auth.login": "Logged in",
+  "auth.login_failed": "Failed login",
+  "auth.logout": "Logged out",
+  "backup.create": "Took backup",
+  "backup.restore": "Restored backup",
+  "upload.create": "Uploaded file",
+  "uploads.gc": "Cleaned up unused uploads",
+};
+
+function auditActorLabel(actor){
+  const a = actor || {};
+  if(a.type === "staff") return `${a.name || a.id} (${a.role || "staff"})`;
+  if(a.type === "customer") return `Customer${a.name ? `: ${a.name}` : ""} (manage link)`;
+  if(a.type === "cli") return "Server command line";
+  return `Public${a.name ? `: ${a.name}` : ""}`;
+}
+
+function renderAuditList(events){
+  const list = $("#auditList");
+  if(!list) return;
+  list.innerHTML = "";
+  if(events.length === 0){
+    list.innerHTML = `<div class="small">No matching activity.</div>`;
+    return;
+  }
+  for(const e of events){
+    const d = new Date(e.ts);
+    const div = document.createElement("div");
+    div.className = "feature";
+    const changes = (e.before || e.after) ? `
+      <details style="margin-top:8px;">
+        <summary class="small">Before / after</summary>
+        <div class="two-col" style="gap:10px; margin-top:8px;">
+          <pre class="small" style="white-space:pre-wrap; margin:0;">${escapeHtml(e.before ? JSON.stringify(e.before, null, 2) : "—")}</pre>
+          <pre class="small" style="white-space:pre-wrap; margin:0;">${escapeHtml(e.after ? JSON.stringify(e.after, null, 2) : "—")}</pre>
+        </div>
+      </details>` : "";
+    div.innerHTML = `
+      <div style="display:flex; align-items:center; justify-content:space-between; gap:12px; flex-wrap:wrap;">
+        <div>
+          <div style="font-weight:800">${escapeHtml(AUDIT_ACTION_LABELS[e.action] || e.action)}</div>
+          <div class="small">${escapeHtml(auditActorLabel(e.actor))}${e.ip ? ` • ${escapeHtml(e.ip)}` : ""}</div>
+        </div>
+        <div class="small" style="text-align:right;">
+          ${escapeHtml(`${fmtDate(d)} ${d.toLocaleTimeString([], {hour:"numeric", minute:"2-digit", second:"2-digit"})}`)}<br/>
+          <a href="#" data-audit-entity="${escapeHtml(e.entity?.id || "")}">${escapeHtml(e.entity?.type || "")} ${escapeHtml(e.entity?.id || "")}</a>
+        </div>
+      </div>${changes}
+    `;
+    list.appendChild(div);
+  }
+  $all("[data-audit-entity]").forEach(a=>{
+    a.addEventListener("click", (ev)=>{
+      ev.preventDefault();
+      $("#auditEntity").value = a.getAttribute("data-audit-entity");
+      loadAuditLog();
+    });
+  });
+}
+
+async function loadAuditLog(){
+  const q = new URLSearchParams();
+  const entity = ($("#auditEntity")?.value || "").trim();
+  const actor = ($("#auditActor")?.value || "").trim();
+  const action = $("#auditAction")?.value || "";
+  const from = $("#auditFrom")?.value;
+  const to = $("#auditTo")?.value;
+  if(entity) q.set("entity", entity);
+  if(actor) q.set("actor", actor);
+  if(action) q.set("action", action);
+  // Date inputs are local days; send the exact range so the server doesn't guess the timezone
+  if(from) q.set("from", parseISODate(from).toISOString());
+  if(to) q.set("to", new Date(addDays(parseISODate(to), 1).getTime() - 1).toISOString());
+  try{
+    const j = await fetchJson(`${getServerBase()}/api/admin/audit?${q.toString()}`, { method:"GET", headers: authHeaders(), credentials: "include" });
+    const events = Array.isArray(j?.events) ? j.events : [];
+    setText("#auditSummary", j.total > events.length ? `Showing the newest ${events.length} of ${j.total} events.` : `${events.length} event${events.length === 1 ? "" : "s"}.`);
+    renderAuditList(events);
+  }catch(err){
+    setText("#auditSummary", "");
+    renderAuditList([]);
+    toast(String(err?.message || "Server error"));
+  }
+}
+
+function initAuditPage(){
+  const refresh = ()=>{
+    const allowed = can("audit.view");
+    setDisplay("#auditLocked", allowed ? "none" : "block");
+    setDisplay("#auditPanel", allowed ? "block" : "none");
+    if(allowed) loadAuditLog();
+  };
+  const loginBtn = $("#auditLoginBtn");
+  if(loginBtn) loginBtn.addEventListener("click", ()=>openAdmin());
+  const form = $("#auditFilterForm");
+  if(form) form.addEventListener("submit", (e)=>{ e.preventDefault(); loadAuditLog(); });
+  const clearBtn = $("#auditClear");
+  if(clearBtn) clearBtn.addEventListener("click", ()=>{ form.reset(); loadAuditLog(); });
+  document.addEventListener("dsd_admin_change", refresh);
+  refresh();
+}
+
+// -------------------- Day plan (route.html) --------------------
+let routePlanData = null;
+
+function fmtClock(iso){
+  return iso ? new Date(iso).toLocaleTimeString([], {hour:"numeric", minute:"2-digit"}) : "";
+}
+
+function routeStopRow(s, n){
+  const canMove = can("jobs.update") || (can("jobs.updateOwn") && String(s.assignedTo || "") === String(adminUser?.id || ""));
+  const onTheWay = canMove && (s.status === "accepted" || s.status === "waiting_parts");
+  const slot = new Date(s.startISO);
+  return `<tr>
+    <td>${n}</td>
+    <td><strong>${escapeHtml(`${fmtClock(s.windowStartISO)}–${fmtClock(s.windowEndISO)}`)}</strong>
+      <div class="small">Booked ${escapeHtml(slot.toLocaleTimeString([], {hour:"numeric", minute:"2-digit"}))}${s.late ? ` • <span class="pill">After booked time</span>` : ""}</div></td>
+    <td>${escapeHtml(s.name || "")}<div class="small">${escapeHtml(s.phone || "")}</div></td>
+    <td>${escapeHtml(s.address || "")}<div class="small">${escapeHtml([s.zip, s.zoneName].filter(Boolean).join(" • "))}</div></td>
+    <td>${escapeHtml(s.serviceType || "")}<div class="small">${escapeHtml([s.appliance, s.notes].filter(Boolean).join(" • "))}</div></td>
+    <td class="small">${s.legMinutes ? escapeHtml(`${s.legMiles} mi • ${s.legMinutes} min`) : "—"}</td>
+    <td><span class="small">${escapeHtml(jobStatusLabel(s.status))}${s.status === "en_route" && s.etaISO ? ` (ETA ${escapeHtml(fmtClock(s.etaISO))})` : ""}</span>
+      ${onTheWay ? `<button class="btn no-print" type="button" data-route-eta="${escapeHtml(s.id)}" style="margin-top:6px;">On the Way</button>` : ""}</td>
+  </tr>`;
+}
+
+function renderRoutePlans(){
+  const wrap = $("#routePlans");
+  if(!wrap || !routePlanData) return;
+  const techSel = $("#routeTech");
+  if(techSel){
+    const cur = techSel.value || "all";
+    techSel.innerHTML = `<option value="all">Everyone</option>` + routePlanData.plans.map(p =>
+      `<option value="${escapeHtml(p.techId)}">${escapeHtml(p.techName)}</option>`).join("");
+    techSel.value = routePlanData.plans.some(p => p.techId === cur) ? cur : "all";
+  }
+  const pick = techSel?.value || "all";
+  const plans = routePlanData.plans.filter(p => pick === "all" || p.techId === pick);
+  const day = parseISODate(routePlanData.date);
+  setText("#routeSummary", plans.length
+    ? `${plans.reduce((n, p) => n + p.stops.length + p.unrouted.length, 0)} job(s) on ${fmtDate(day)}.${routePlanData.depotZip ? ` Routes start and end at ${routePlanData.depotZip}.` : ""}`
+    : `No booked jobs on ${fmtDate(day)}.`);
+  wrap.innerHTML = plans.map(p => `
+    <div class="card panel route-plan">
+      <div style="display:flex; justify-content:space-between; gap:12px; flex-wrap:wrap;">
+        <h4 style="margin:0;">${escapeHtml(p.techName)} — ${escapeHtml(fmtDate(day))}</h4>
+        <div class="small">${p.stops.length ? escapeHtml(`Leave ${fmtClock(p.leaveISO)} • back about ${fmtClock(p.returnISO)} • ${p.miles} mi, ~${p.driveMinutes} min driving`) : ""}</div>
+      </div>
+      <div class="hr"></div>
+      ${p.stops.length ? `<div class="table-wrap"><table class="table">
+        <thead><tr><th style="width:30px;">#</th><th style="width:150px;">Arrival</th><th>Customer</th><th>Address</th><th>Job</th><th style="width:110px;">Drive</th><th style="width:130px;">Status</th></tr></thead>
+        <tbody>${p.stops.map((s, i) => routeStopRow(s, i + 1)).join("")}</tbody>
+      </table></div>` : ""}
+      ${p.unrouted.length ? `<div class="small" style="margin-top:10px;"><strong>Not on the route (no known ZIP):</strong>
+        ${p.unrouted.map(s => escapeHtml(`${fmtClock(s.startISO)} ${s.name || ""}${s.address ? `, ${s.address}` : ""}`)).join("; ")}</div>` : ""}
+    </div>`).join("");
+  $all("[data-route-eta]").forEach(btn=>{
+    btn.addEventListener("click", ()=> sendOnTheWay(btn.getAttribute("data-route-eta")));
+  });
+}
+
+async function loadRoutePlan(){
+  const date = $("#routeDate")?.value;
+  if(!date) return;
+  try{
+    const j = await fetchJson(`${getServerBase()}/api/route-plan?date=${encodeURIComponent(date)}`, { method:"GET", headers: authHeaders(), credentials: "include" });
+    routePlanData = { date: j.date, depotZip: j.depotZip || "", plans: Array.isArray(j.plans) ? j.plans : [] };
+    renderRoutePlans();
+  }catch(err){
+    routePlanData = null;
+    setText("#routeSummary", "");
+    const wrap = $("#routePlans");
+    if(wrap) wrap.innerHTML = "";
+    toast(String(err?.message || "Server error"));
+  }
+}
+
+// Marks the job en route; the server works out the ETA from the plan and emails it
+async function sendOnTheWay(id){
+  try{
+    const j = await postSchedule("/api/schedule/en-route", { id, notify: true });
+    const eta = j?.appt?.etaISO;
+    toast(eta ? `Marked en route, ETA ${fmtClock(eta)}${j.appt.email ? " sent to the customer" : " (no email on file)"}.` : "Marked en route.");
+  }catch(err){
+    toast(String(err?.message || "Server error"));
+  }
+  loadRoutePlan();
+}
+
+function initRoutePage(){
+  const dateInput = $("#routeDate");
+  if(dateInput) dateInput.value = new URLSearchParams(location.search).get("date") || toISODate(new Date());
+  const refresh = ()=>{
+    const allowed = can("schedule.viewAll") || can("schedule.viewOwn");
+    setDisplay("#routeLocked", allowed ? "none" : "block");
+    setDisplay("#routePanel", allowed ? "block" : "none");
+    if(allowed) loadRoutePlan();
+  };
+  const loginBtn = $("#routeLoginBtn");
+  if(loginBtn) loginBtn.addEventListener("click", ()=>openAdmin());
+  if(dateInput) dateInput.addEventListener("change", ()=>{
+    history.replaceState(null, "", `?date=${encodeURIComponent(dateInput.value)}`);
+    loadRoutePlan();
+  });
+  const techSel = $("#routeTech");
+  if(techSel) techSel.addEventListener("change", renderRoutePlans);
+  const form = $("#routeForm");
+  if(form) form.addEventListener("submit", (e)=>{ e.preventDefault(); loadRoutePlan(); });
+  const printBtn = $("#routePrintBtn");
+  if(printBtn) printBtn.addEventListener("click", ()=> window.print());
+  document.addEventListener("dsd_admin_change", refresh);
+  document.addEventListener("dsd_live_update", (e)=>{
+    if(String(e.detail?.type || "").startsWith("appointment.") && routePlanData) loadRoutePlan();
+  });
+  refresh();
+}
+
+// -------------------- Customers (customers.html) --------------------
+function fmtPhoneDigits(d){
+  const s = String(d || "");
+  return s.length === 10 ? `(${s.slice(0,3)}) ${s.slice(3,6)}-${s.slice(6)}` : s;
+}
+
+function customerCard(c, action){
+  const div = document.createElement("div");
+  div.className = "feature";
+  const ids = [...(c.phones || []).map(fmtPhoneDigits), ...(c.emails || [])].join(" • ");
+  div.innerHTML = `
+    <div style="display:flex; align-items:center; justify-content:space-between; gap:12px;">
+      <div>
+        <div style="font-weight:800">${escapeHtml(c.name || "(no name)")}</div>
+        <div class="small">${escapeHtml(ids || "No phone or email")}</div>
+        <div class="small">${c.appointments} job${c.appointments === 1 ? "" : "s"} • ${c.messages} message${c.messages === 1 ? "" : "s"}</div>
+      </div>
+      <button class="btn" type="button">${escapeHtml(action)}</button>
+    </div>
+  `;
+  return div;
+}
+
+async function searchCustomersApi(q){
+  const j = await fetchJson(`${getServerBase()}/api/customers?q=${encodeURIComponent(q || "")}`, { method:"GET", headers: authHeaders(), credentials: "include" });
+  return Array.isArray(j?.customers) ? j.customers : [];
+}
+
+async function loadCustomerResults(){
+  const list = $("#crmResults");
+  if(!list) return;
+  try{
+    const rows = await searchCustomersApi(($("#crmQuery")?.value || "").trim());
+    setText("#crmSummary", rows.length ? `${rows.length} customer${rows.length === 1 ? "" : "s"}${rows.length >= 50 ? " (newest activity first; refine the search for more)" : ""}.` : "No matching customers.");
+    list.innerHTML = "";
+    for(const c of rows){
+      const card = customerCard(c, "Open");
+      card.querySelector("button").addEventListener("click", ()=> openCustomer(c.id));
+      list.appendChild(card);
+    }
+  }catch(err){
+    setText("#crmSummary", "");
+    toast(String(err?.message || "Server error"));
+  }
+}
+
+async function openCustomer(id){
+  try{
+    const j = await fetchJson(`${getServerBase()}/api/customers/${encodeURIComponent(id)}`, { method:"GET", headers: authHeaders(), credentials: "include" });
+    renderCustomerDetail(j);
+    history.replaceState(null, "", `?id=${encodeURIComponent(id)}`);
+  }catch(err){
+    setDisplay("#crmDetail", "none");
+    toast(String(err?.message || "Server error"));
+  }
+}
+
+function renderCustomerDetail(j){
+  const c = j.customer;
+  $("#crmId").value = c.id;
+  $("#crmName").value = c.name || "";
+  $("#crmPhones").value = (c.phones || []).map(fmtPhoneDigits).join(", ");
+  $("#crmEmails").value = (c.emails || []).join(", ");
+  $("#crmNotes").value = c.notes || "";
+
+  const appts = (j.appointments || []).slice().sort((a,b)=>String(b.startISO).localeCompare(String(a.startISO)));
+  const apptWrap = $("#crmAppts");
+  apptWrap.innerHTML = appts.length ? appts.map(a => {
+    const d = new Date(a.startISO);
+    return `<label class="small" style="display:flex; gap:8px; align-items:flex-start; margin-top:6px;">
+      <input type="checkbox" data-split-appt="${escapeHtml(a.id)}"/>
+      <span><strong>${escapeHtml(fmtDate(d))}</strong> • ${escapeHtml(jobStatusLabel(a.status))} • ${escapeHtml(a.serviceType || "")}
+      ${a.appliance ? `<br/>${escapeHtml(a.appliance)}` : ""}${a.workOrder?.diagnosis ? `<br/>Diagnosis: ${escapeHtml(a.workOrder.diagnosis)}` : ""}
+      <br/>as ${escapeHtml(a.name || "")} • ${escapeHtml(a.phone || "")} ${escapeHtml(a.email || "")}</span>
+    </label>`;
+  }).join("") : `<div class="small">None.</div>`;
+
+  renderCustomerAppliances(j.appliances || []);
+  clearApplianceForm();
+
+  const msgs = (j.messages || []).slice().reverse();
+  const msgWrap = $("#crmMessages");
+  msgWrap.innerHTML = msgs.length ? msgs.map(m => `
+    <label class="small" style="display:flex; gap:8px; align-items:flex-start; margin-top:6px;">
+      <input type="checkbox" data-split-msg="${escapeHtml(m.id)}"/>
+      <span><strong>${escapeHtml(fmtDate(new Date(m.createdISO)))}</strong> • ${escapeHtml(m.type || "General")}<br/>${escapeHtml(m.description || "")}</span>
+    </label>`).join("") : `<div class="small">None.</div>`;
+
+  const base = getServerBase();
+  const docs = j.invoices || [];
+  $("#crmInvoices").innerHTML = docs.length ? docs.map(d => `
+    <div class="small" style="margin-top:6px;">
+      <a href="${escapeHtml(base + d.htmlPath)}" target="_blank" rel="noopener"><strong>${escapeHtml(d.number)}</strong></a>
+      • ${escapeHtml(DOC_KIND_LABELS[d.kind] || d.kind)} • $${escapeHtml(Number(d.total).toFixed(2))} • ${escapeHtml(fmtDate(new Date(d.createdISO)))}
+    </div>`).join("") : `<div class="small">None.</div>`;
+
+  $("#crmMergeResults").innerHTML = "";
+  $("#crmMergeQuery").value = "";
+  setDisplay("#crmDetail", "block");
+}
+
+let customerAppliancesById = new Map();
+
+function renderCustomerAppliances(list){
+  const wrap = $("#crmAppliances");
+  if(!wrap) return;
+  customerAppliancesById = new Map(list.map(u => [u.id, u]));
+  wrap.innerHTML = list.length ? list.map(u => {
+    const facts = [u.serial ? `Serial ${u.serial}` : "", u.installDate ? `Installed ${u.installDate}` : "", u.purchasedFromUs ? "Bought from us" : ""].filter(Boolean).join(" • ");
+    const visits = (u.history || []).map(h =>
+      `<br/>${escapeHtml(fmtDate(new Date(h.startISO)))} • ${escapeHtml(jobStatusLabel(h.status))}${h.diagnosis ? ` — ${escapeHtml(h.diagnosis)}` : ""}`
+    ).join("");
+    return `<div class="small" style="display:flex; gap:8px; align-items:flex-start; justify-content:space-between; margin-top:6px;">
+      <label style="display:flex; gap:8px; align-items:flex-start;">
+        <input type="checkbox" data-split-appliance="${escapeHtml(u.id)}"/>
+        <span><strong>${escapeHtml(u.label || u.type || "Appliance")}</strong>${facts ? `<br/>${escapeHtml(facts)}` : ""}${visits || "<br/>No visits yet."}</span>
+      </label>
+      <span style="display:flex; gap:6px;">
+        <button class="btn" type="button" data-edit-appliance="${escapeHtml(u.id)}">Edit</button>
+        <button class="btn danger" type="button" data-del-appliance="${escapeHtml(u.id)}">Remove</button>
+      </span>
+    </div>`;
+  }).join("") : `<div class="small">None on file.</div>`;
+  wrap.querySelectorAll("[data-edit-appliance]").forEach(btn => btn.addEventListener("click", ()=> fillApplianceForm(customerAppliancesById.get(btn.getAttribute("data-edit-appliance")))));
+  wrap.querySelectorAll("[data-del-appliance]").forEach(btn => btn.addEventListener("click", ()=> deleteAppliance(btn.getAttribute("data-del-appliance"))));
+}
+
+function fillApplianceForm(u){
+  if(!u) return;
+  $("#crmApplianceId").value = u.id;
+  $("#crmApplianceType").value = u.type || "";
+  $("#crmApplianceBrand").value = u.brand || "";
+  $("#crmApplianceModel").value = u.model || "";
+  $("#crmApplianceSerial").value = u.serial || "";
+  $("#crmApplianceInstalled").value = u.installDate || "";
+  $("#crmAppliancePurchased").checked = !!u.purchasedFromUs;
+  $("#crmApplianceNotes").value = u.notes || "";
+  setText("#crmApplianceSave", "Save Appliance");
+}
+
+function clearApplianceForm(){
+  const form = $("#crmApplianceForm");
+  if(!form) return;
+  form.reset();
+  $("#crmApplianceId").value = "";
+  setText("#crmApplianceSave", "Add Appliance");
+}
+
+async function saveAppliance(e){
+  e.preventDefault();
+  const customerId = $("#crmId").value;
+  try{
+    await postSchedule("/api/appliances/upsert", {
+      id: $("#crmApplianceId").value || undefined,
+      customerId,
+      type: $("#crmApplianceType").value,
+      brand: $("#crmApplianceBrand").value,
+      model: $("#crmApplianceModel").value,
+      serial: $("#crmApplianceSerial").value,
+      installDate: $("#crmApplianceInstalled").value,
+      purchasedFromUs: $("#crmAppliancePurchased").checked,
+      notes: $("#crmApplianceNotes").value,
+    });
+    toast("Appliance saved.");
+    await openCustomer(customerId);
+  }catch(err){
+    toast(String(err?.message || "Server error"));
+  }
+}
+
+async function deleteAppliance(id){
+  const u = customerAppliancesById.get(id);
+  if(!confirm(`Remove "${u?.label || "this appliance"}"? Its past jobs stay on the customer.`)) return;
+  try{
+    await postSchedule("/api/appliances/delete", { id });
+    toast("Appliance removed.");
+    await openCustomer($("#crmId").value);
+  }catch(err){
+    toast(String(err?.message || "Server error"));
+  }
+}
+
+async function saveCustomer(e){
+  e.preventDefault();
+  const split = (v)=> String(v || "").split(",").map(x => x.trim()).filter(Boolean);
+  try{
+    const j = await postSchedule("/api/customers/update", {
+      id: $("#crmId").value,
+      name: $("#crmName").value,
+      notes: $("#crmNotes").value,
+      phones: split($("#crmPhones").value),
+      emails: split($("#crmEmails").value),
+    });
+    toast("Customer saved.");
+    await openCustomer(j.customer.id);
+    loadCustomerResults();
+  }catch(err){
+    toast(String(err?.message || "Server error"));
+  }
+}
+
+async function splitSelectedRecords(){
+  const appointments = $all("[data-split-appt]").filter(x => x.checked).map(x => x.getAttribute("data-split-appt"));
+  const messages = $all("[data-split-msg]").filter(x => x.checked).map(x => x.getAttribute("data-split-msg"));
+  const appliances = $all("[data-split-appliance]").filter(x => x.checked).map(x => x.getAttribute("data-split-appliance"));
+  const count = appointments.length + messages.length + appliances.length;
+  if(!count){ toast("Tick the records to split off first."); return; }
+  if(!confirm(`Move ${count} record(s) to a new customer?`)) return;
+  try{
+    const j = await postSchedule("/api/customers/split", { id: $("#crmId").value, appointments, messages, appliances });
+    toast(`Split off as "${j.created.name || "new customer"}".`);
+    await openCustomer(j.created.id);
+    loadCustomerResults();
+  }catch(err){
+    toast(String(err?.message || "Server error"));
+  }
+}
+
+async function findMergeCandidates(e){
+  e.preventDefault();
+  const wrap = $("#crmMergeResults");
+  const targetId = $("#crmId").value;
+  try{
+    const rows = (await searchCustomersApi(($("#crmMergeQuery")?.value || "").trim())).filter(c => c.id !== targetId);
+    wrap.innerHTML = rows.length ? "" : `<div class="small">No other matching customers.</div>`;
+    for(const c of rows.slice(0, 10)){
+      const card = customerCard(c, "Merge Into This One");
+      card.querySelector("button").addEventListener("click", async ()=>{
+        if(!confirm(`Merge "${c.name || "this customer"}" into "${$("#crmName").value || "this customer"}"? Their jobs and messages move over and the duplicate is removed.`)) return;
+        try{
+          await postSchedule("/api/customers/merge", { targetId, sourceId: c.id });
+          toast("Merged.");
+          await openCustomer(targetId);
+          loadCustomerResults();
+        }catch(err){
+          toast(String(err?.message || "Server error"));
+        }
+      });
+      wrap.appendChild(card);
+    }
+  }catch(err){
+    toast(String(err?.message || "Server error"));
+  }
+}
+
+function initCustomersPage(){
+  const refresh = ()=>{
+    const allowed = can("customers.manage");
+    setDisplay("#crmLocked", allowed ? "none" : "block");
+    setDisplay("#crmPanel", allowed ? "grid" : "none");
+    if(!allowed) return;
+    loadCustomerResults();
+    const id = new URLSearchParams(location.search).get("id");
+    if(id) openCustomer(id);
+  };
+  const loginBtn = $("#crmLoginBtn");
+  if(loginBtn) loginBtn.addEventListener("click", ()=>openAdmin());
+  const form = $("#crmSearchForm");
+  if(form) form.addEventListener("submit", (e)=>{ e.preventDefault(); loadCustomerResults(); });
+  const editForm = $("#crmEditForm");
+  if(editForm) editForm.addEventListener("submit", saveCustomer);
+  const applianceForm = $("#crmApplianceForm");
+  if(applianceForm) applianceForm.addEventListener("submit", saveAppliance);
+  const applianceClear = $("#crmApplianceClear");
+  if(applianceClear) applianceClear.addEventListener("click", clearApplianceForm);
+  const splitBtn = $("#crmSplitBtn");
+  if(splitBtn) splitBtn.addEventListener("click", splitSelectedRecords);
+  const mergeForm = $("#crmMergeForm");
+  if(mergeForm) mergeForm.addEventListener("submit", findMergeCandidates);
+  document.addEventListener("dsd_admin_change", refresh);
+  refresh();
+}
+
+// -------------------- Messages inbox --------------------
+const MESSAGE_STATUS_LABELS = { new:"New", read:"Read", replied:"Replied", archived:"Archived" };
+
+async function loadMessageResults(){
+  const list = $("#msgResults");
+  if(!list) return;
+  const params = new URLSearchParams({
+    type: $("#msgType")?.value || "",
+    status: $("#msgStatus")?.value || "",
+    q: ($("#msgQuery")?.value || "").trim(),
+  });
+  try{
+    const j = await fetchJson(`${getServerBase()}/api/messages?${params}`, { method:"GET", headers: authHeaders(), credentials: "include" });
+    const rows = Array.isArray(j?.messages) ? j.messages : [];
+    const counts = j?.counts || {};
+    setText("#msgSummary", `${rows.length} message${rows.length === 1 ? "" : "s"} • ${Object.keys(MESSAGE_STATUS_LABELS).map(k => `${counts[k] || 0} ${MESSAGE_STATUS_LABELS[k].toLowerCase()}`).join(" • ")}`);
+    list.innerHTML = "";
+    for(const m of rows){
+      const div = document.createElement("div");
+      div.className = "feature";
+      div.innerHTML = `
+        <div style="display:flex; align-items:center; justify-content:space-between; gap:12px;">
+          <div>
+            <div style="font-weight:${m.status === "new" ? 800 : 600}">${escapeHtml(m.name || "(no name)")} <span class="pill">${escapeHtml(MESSAGE_STATUS_LABELS[m.status] || m.status)}</span></div>
+            <div class="small">${escapeHtml(fmtDate(new Date(m.createdISO)))} • ${escapeHtml(m.type || "Other")}</div>
+            <div class="small">${escapeHtml(String(m.description || "").slice(0, 120))}</div>
+          </div>
+          <button class="btn" type="button">Open</button>
+        </div>`;
+      div.querySelector("button").addEventListener("click", ()=> openMessage(m.id));
+      list.appendChild(div);
+    }
+  }catch(err){
+    setText("#msgSummary", "");
+    toast(String(err?.message || "Server error"));
+  }
+}
+
+async function openMessage(id){
+  try{
+    let j = await fetchJson(`${getServerBase()}/api/messages/${encodeURIComponent(id)}`, { method:"GET", headers: authHeaders(), credentials: "include" });
+    // Opening a new message marks it read
+    if(j.message.status === "new"){
+      const u = await postSchedule("/api/messages/update", { id, status:"read" });
+      j = { ...j, message: u.message };
+      loadMessageResults();
+    }
+    renderMessageDetail(j);
+    history.replaceState(null, "", `?id=${encodeURIComponent(id)}`);
+  }catch(err){
+    setDisplay("#msgDetail", "none");
+    toast(String(err?.message || "Server error"));
+  }
+}
+
+function renderMessageDetail(j){
+  const m = j.message;
+  $("#msgId").value = m.id;
+  setText("#msgFrom", m.name || "(no name)");
+  setText("#msgMeta", [m.email, m.type || "Other", `${fmtDate(new Date(m.createdISO))} ${new Date(m.createdISO).toLocaleTimeString([], {hour:"numeric", minute:"2-digit"})}`].filter(Boolean).join(" • "));
+  setText("#msgStatusPill", MESSAGE_STATUS_LABELS[m.status] || m.status);
+  setText("#msgBody", m.description || "");
+  const links = [];
+  if(j.customer && can("customers.manage")) links.push(`Customer: <a href="customers.html?id=${encodeURIComponent(j.customer.id)}">${escapeHtml(j.customer.name || "open record")}</a>`);
+  if(j.booking){
+    const d = new Date(j.booking.startISO);
+    links.push(`Booked: ${escapeHtml(fmtDate(d))} at ${escapeHtml(d.toLocaleTimeString([], {hour:"numeric", minute:"2-digit"}))} • ${escapeHtml(jobStatusLabel(j.booking.status))}`);
+  }
+  $("#msgLinks").innerHTML = links.join("<br/>");
+  setHref("#msgConvert", `schedule.html?fromMessage=${encodeURIComponent(m.id)}`);
+  setDisplay("#msgConvert", can("schedule.manage") ? "inline-flex" : "none");
+  setText("#msgArchive", m.status === "archived" ? "Move Back to Inbox" : "Archive");
+  $("#msgSetStatus").value = m.status;
+  $("#msgNotes").value = m.notes || "";
+
+  const replies = m.replies || [];
+  $("#msgReplies").innerHTML = replies.length ? replies.map(r => `
+    <div class="small" style="margin-top:6px;">
+      <strong>${escapeHtml(fmtDate(new Date(r.atISO)))}</strong> • to ${escapeHtml(r.to)} • ${escapeHtml(r.subject)}
+      <div style="white-space:pre-wrap; margin-top:4px;">${escapeHtml(r.body)}</div>
+    </div>`).join("") : `<div class="small">None yet.</div>`;
+  $("#msgReplySubject").value = `Re: your message to ${state.business.name}`;
+  $("#msgReplyBody").value = "";
+  const canReply = !!m.email;
+  $("#msgReplySend").disabled = !canReply;
+  $("#msgReplyBody").placeholder = canReply ? "Write your reply…" : "No email address on this message; call them instead.";
+  setDisplay("#msgDetail", "block");
+}
+
+async function saveMessage(e){
+  e.preventDefault();
+  try{
+    await postSchedule("/api/messages/update", { id: $("#msgId").value, status: $("#msgSetStatus").value, notes: $("#msgNotes").value });
+    toast("Message saved.");
+    await openMessage($("#msgId").value);
+    loadMessageResults();
+  }catch(err){
+    toast(String(err?.message || "Server error"));
+  }
+}
+
+async function toggleMessageArchived(){
+  const archived = $("#msgSetStatus").value === "archived";
+  try{
+    await postSchedule("/api/messages/update", { id: $("#msgId").value, status: archived ? "read" : "archived" });
+    toast(archived ? "Moved back to the inbox." : "Archived.");
+    await openMessage($("#msgId").value);
+    loadMessageResults();
+  }catch(err){
+    toast(String(err?.message || "Server error"));
+  }
+}
+
+async function sendMessageReplyForm(e){
+  e.preventDefault();
+  const body = $("#msgReplyBody").value.trim();
+  if(!body){ toast("Write the reply first."); return; }
+  const btn = $("#msgReplySend");
+  btn.disabled = true;
+  try{
+    await postSchedule("/api/messages/reply", { id: $("#msgId").value, subject: $("#msgReplySubject").value, body });
+    toast("Reply sent.");
+    await openMessage($("#msgId").value);
+    loadMessageResults();
+  }catch(err){
+    toast(String(err?.message || "Server error"));
+  }finally{
+    btn.disabled = false;
+  }
+}
+
+function initMessagesPage(){
+  const refresh = ()=>{
+    const allowed = can("messages.manage");
+    setDisplay("#msgLocked", allowed ? "none" : "block");
+    setDisplay("#msgPanel", allowed ? "grid" : "none");
+    if(!allowed) return;
+    loadMessageResults();
+    const id = new URLSearchParams(location.search).get("id");
+    if(id) openMessage(id);
+  };
+  const loginBtn = $("#msgLoginBtn");
+  if(loginBtn) loginBtn.addEventListener("click", ()=>openAdmin());
+  ["#msgType", "#msgStatus"].forEach(sel=>{
+    const el = $(sel);
+    if(el) el.addEventListener("change", loadMessageResults);
+  });
+  const form = $("#msgSearchForm");
+  if(form) form.addEventListener("submit", (e)=>{ e.preventDefault(); loadMessageResults(); });
+  const notesForm = $("#msgNotesForm");
+  if(notesForm) notesForm.addEventListener("submit", saveMessage);
+  const archiveBtn = $("#msgArchive");
+  if(archiveBtn) archiveBtn.addEventListener("click", toggleMessageArchived);
+  const replyForm = $("#msgReplyForm");
+  if(replyForm) replyForm.addEventListener("submit", sendMessageReplyForm);
+  document.addEventListener("dsd_admin_change", refresh);
+  refresh();
+}
+
+
+function renderAppointmentsTables(){
+  const hasTables = ($("#pendingTableBody") || $("#acceptedTableBody") || $("#completedTableBody"));
+  if(!hasTables) return;
+
+  // Admin-only visibility for tables
+  setDisplay("#apptTables", isAdmin ? "grid" : "none");
+  if(!isAdmin) return;
+
+  const all = getAllScheduleRows();
+  const pending = all.filter(a=>a.status==="pending").sort((a,b)=>String(a.startISO).localeCompare(String(b.startISO)));
+  const accepted = all.filter(isActiveJob).sort((a,b)=>String(a.startISO).localeCompare(String(b.startISO)));
+  // Finished jobs, newest first
+  const completed = [...all.filter(a=>a.status==="completed"), ...(serverSchedule.closed || [])]
+    .sort((a,b)=>String(b.startISO).localeCompare(String(a.startISO)));
+
+
+  setText("#pendingCount", String(pending.length));
+  setText("#bookedCount", String(accepted.length));
+  setText("#completedCount", String(completed.length));
+const tp = $("#pendingTableBody");
+  const ta = $("#acceptedTableBody");
+  const tc = $("#completedTableBody");
+if(tp) tp.innerHTML = "";
+  if(ta) ta.innerHTML = "";
+  if(tc) tc.innerHTML = "";
+function whenStr(a){
+    const d = new Date(a.startISO);
+    return `${toISODate(d)} ${d.toLocaleTimeString([], {hour:"numeric", minute:"2-digit"})}`;
+  }
+
+  function makeActions(a){
+    const td = document.createElement("td");
+    const id = a.id;
+
+    // Minimal list view: actions happen inside Details modal.
+td.innerHTML = `<button class="btn" data-act="details" data-id="${id}">Details</button>`;
+    return td;
+  }
+
+
+  function row(a){
+    const tr = document.createElement("tr");
+
+    // Confirmed is the norm for scheduled rows; show the status once it moves on
+    const status = (a.status === "pending" || a.status === "accepted") ? "" : `<div><span class="pill">${escapeHtml(jobStatusLabel(a.status))}</span></div>`;
+    const when = `${escapeHtml(whenStr(a))}${status}`;
+    const customer = `${escapeHtml(a.name || "")}${(a.assignedTo && a.status !== "pending") ? `<div class="small">${escapeHtml(techName(a.assignedTo))}</div>` : ""}`;
+    const service = `${escapeHtml(a.serviceType || "")}<div class="small">${escapeHtml(a.appliance || "")}</div>${a.zoneName ? `<div class="small">${escapeHtml(a.zoneName)}</div>` : ""}`;
+    // Pending / Booked: minimal list; see full details & actions in Details modal
+    tr.innerHTML = `
+        <td>${when}</td>
+        <td>${customer}</td>
+        <td>${service}</td>
+      `;
+
+    tr.appendChild(makeActions(a));
+    return tr;
+  }
+
+  for(const a of pending) if(tp) tp.appendChild(row(a));
+  for(const a of accepted) if(ta) ta.appendChild(row(a));
+  for(const a of completed) if(tc) tc.appendChild(row(a));
+// bind action buttons
   $all("[data-act]").forEach(btn=>{
     btn.addEventListener("click", ()=>{
       if(!isAdmin) return;
@@ -1207,12 +2814,12 @@ td.innerHTML = `<button class="btn" data-act="details" data-id="${id}">Details</
   });
 }
 
-function acceptAppt(id){
+function acceptAppt(id, assignedTo){
   if(!serverSchedule.online){
     toast("Server offline.");
     return;
   }
-  postSchedule("/api/schedule/accept", { id })
+  postSchedule("/api/schedule/accept", { id, assignedTo: assignedTo || "" })
     .then(loadServerSchedule)
     .then(()=>{
       toast("Appointment accepted (booked).");
@@ -1230,6 +2837,29 @@ function acceptAppt(id){
 }
 
 
+function updateAppt(patch){
+  if(!serverSchedule.online){
+    toast("Server offline.");
+    return;
+  }
+  postSchedule("/api/schedule/update", patch)
+    .then(loadServerSchedule)
+    .then(()=>{
+      toast("Job updated.");
+      renderCalendar();
+      renderAppointmentsTables();
+    })
+    .catch(err=>{
+      console.warn("[schedule] update failed:", err);
+      toast(String(err?.message || "Server error"));
+      loadServerSchedule().then(()=>{
+        renderCalendar();
+        renderAppointmentsTables();
+      });
+    });
+}
+
+
 function rejectAppt(id){
   if(!serverSchedule.online){
     toast("Server offline.");
@@ -1275,6 +2905,51 @@ function cancelAppt(id){
     });
 }
 
+function advanceJob(id, act){
+  if(!serverSchedule.online){
+    toast("Server offline.");
+    return;
+  }
+  postSchedule(act.path, { id })
+    .then(loadServerSchedule)
+    .then(()=>{
+      toast(`Job marked ${jobStatusLabel(act.status).toLowerCase()}.`);
+      renderCalendar();
+      renderAppointmentsTables();
+    })
+    .catch(err=>{
+      console.warn("[schedule] status change failed:", err);
+      toast(String(err?.message || "Server error"));
+      loadServerSchedule().then(()=>{
+        renderCalendar();
+        renderAppointmentsTables();
+      });
+    });
+}
+
+
+function completeJob(workOrder){
+  if(!serverSchedule.online){
+    toast("Server offline.");
+    return;
+  }
+  postSchedule("/api/schedule/complete", workOrder)
+    .then(loadServerSchedule)
+    .then(()=>{
+      toast("Job completed. Work order saved.");
+      renderCalendar();
+      renderAppointmentsTables();
+    })
+    .catch(err=>{
+      console.warn("[schedule] complete failed:", err);
+      toast(String(err?.message || "Server error"));
+      loadServerSchedule().then(()=>{
+        renderCalendar();
+        renderAppointmentsTables();
+      });
+    });
+}
+
 
 
 function deleteAppt(id){
@@ -1376,6 +3051,487 @@ function renderAdminPanels(){
   }
 }
 
+// -------------------- Team accounts (owner) --------------------
+// Staff list is also used by the job details modal to assign technicians.
+let staffList = [];
+
+async function loadStaff(){
+  if(!can("users.manage") && !can("schedule.manage")){
+    staffList = [];
+    return staffList;
+  }
+  try{
+    const j = await fetchJson(`${getServerBase()}/api/users`, { method:"GET", headers: authHeaders(), credentials: "include" });
+    staffList = Array.isArray(j?.users) ? j.users : [];
+  }catch(err){
+    console.warn("[users] load failed:", err);
+    staffList = [];
+  }
+  return staffList;
+}
+
+function renderUsersPanel(){
+  const list = $("#usersList");
+  if(!list) return;
+  list.innerHTML = "";
+  if(staffList.length === 0){
+    list.innerHTML = `<div class="small">No accounts yet. You're logged in with the shared owner PIN.</div>`;
+    return;
+  }
+  for(const u of staffList){
+    const div = document.createElement("div");
+    div.className = "feature";
+    div.innerHTML = `
+      <div style="display:flex; align-items:center; justify-content:space-between; gap:12px;">
+        <div>
+          <div style="font-weight:800">${escapeHtml(u.name || u.username)}</div>
+          <div class="small">${escapeHtml(u.username)} • ${escapeHtml(u.role)}</div>
+        </div>
+        <div style="display:flex; gap:10px; flex-wrap:wrap;">
+          <button class="btn" data-user-edit="${escapeHtml(u.id)}">Edit</button>
+          <button class="btn danger" data-user-del="${escapeHtml(u.id)}">Delete</button>
+        </div>
+      </div>
+    `;
+    list.appendChild(div);
+  }
+
+  $all("[data-user-edit]").forEach(b=>{
+    b.addEventListener("click", ()=>{
+      const u = staffList.find(x=>x.id===b.getAttribute("data-user-edit"));
+      if(!u) return;
+      $("#userId").value = u.id;
+      $("#userUsername").value = u.username || "";
+      $("#userName").value = u.name || "";
+      $("#userRole").value = u.role || "technician";
+      $("#userPassword").value = "";
+      toast("Loaded account for editing. Leave password blank to keep it.");
+    });
+  });
+
+  $all("[data-user-del]").forEach(b=>{
+    b.addEventListener("click", async ()=>{
+      const u = staffList.find(x=>x.id===b.getAttribute("data-user-del"));
+      if(!u) return;
+      if(!confirm(`Delete account "${u.username}"?`)) return;
+      try{
+        await postSchedule("/api/users/delete", { id: u.id });
+        await loadStaff();
+        renderUsersPanel();
+        toast("Account deleted.");
+      }catch(err){
+        console.warn("[users] delete failed:", err);
+        toast(String(err?.message || "Server error"));
+      }
+    });
+  });
+}
+
+function wireUsersForm(){
+  const form = $("#userForm");
+  if(!form) return;
+  form.addEventListener("submit", async (e)=>{
+    e.preventDefault();
+    if(!can("users.manage")){ toast("Owner only."); return; }
+    const payload = {
+      id: $("#userId").value || undefined,
+      username: $("#userUsername").value.trim(),
+      name: $("#userName").value.trim(),
+      role: $("#userRole").value,
+      password: $("#userPassword").value || undefined
+    };
+    try{
+      await postSchedule("/api/users/upsert", payload);
+      form.reset();
+      $("#userId").value = "";
+      await loadStaff();
+      renderUsersPanel();
+      toast("Account saved.");
+    }catch(err){
+      console.warn("[users] save failed:", err);
+      toast(String(err?.message || "Server error"));
+    }
+  });
+}
+
+// -------------------- Technicians --------------------
+// Each technician's own hours (weekly + blocks, the availability shape) and the service
+// types they take. With any active technician the server books a time while someone
+// qualified is free and assigns accepted jobs; the calendar can show one technician.
+const serverTechnicians = { online:false, list:[] };
+let calTechFilter = ""; // "" = everyone, otherwise a technician (user) id
+const WEEKDAY_NAMES = ["Sunday","Monday","Tuesday","Wednesday","Thursday","Friday","Saturday"];
+
+async function loadTechnicians(){
+  if(!adminUser){
+    serverTechnicians.list = [];
+    serverTechnicians.online = false;
+    return serverTechnicians.list;
+  }
+  try{
+    const j = await fetchJson(`${getServerBase()}/api/technicians`, { method:"GET", headers: authHeaders(), credentials: "include" });
+    serverTechnicians.list = Array.isArray(j?.technicians) ? j.technicians : [];
+    serverTechnicians.online = true;
+  }catch(err){
+    console.warn("[technicians] load failed:", err);
+    serverTechnicians.list = [];
+    serverTechnicians.online = false;
+  }
+  if(calTechFilter && !serverTechnicians.list.some(x => x.id === calTechFilter)) calTechFilter = "";
+  return serverTechnicians.list;
+}
+function activeTechnicians(){
+  return serverTechnicians.list.filter(x => x.active !== false);
+}
+function techName(id){
+  const t = serverTechnicians.list.find(x => x.id === id);
+  const u = staffList.find(x => x.id === id);
+  return t?.name || u?.name || u?.username || "Unassigned";
+}
+// Whose calendar is showing: the filter pick, or a technician's own schedule
+function calTechnician(){
+  if(!isAdmin) return null;
+  const id = can("schedule.viewAll") ? calTechFilter : (adminUser?.id || "");
+  return id ? (activeTechnicians().find(x => x.id === id) || null) : null;
+}
+function techOnShift(tech, start){
+  const conf = tech.weekly?.[String(start.getDay())];
+  const hh = start.getHours();
+  return !!conf?.enabled && hh >= Number(conf.start) && hh < Number(conf.end);
+}
+function techBlockedAt(tech, start){
+  const t = `${String(start.getHours()).padStart(2,"0")}:${String(start.getMinutes()).padStart(2,"0")}`;
+  return (tech.blocks?.[toISODate(start)] ?? []).includes(t);
+}
+// Same rule as the server: technicians working and not on a job here, minus the
+// requests and unassigned jobs already claiming the slot.
+function openTechCount(start, covering){
+  const techs = activeTechnicians();
+  const ids = new Set(techs.map(x => x.id));
+  const free = techs.filter(x =>
+    techOnShift(x, start) && !techBlockedAt(x, start) &&
+    !covering.some(a => a.status !== "pending" && a.assignedTo === x.id)
+  );
+  const claims = covering.filter(a => a.status === "pending" || !ids.has(a.assignedTo));
+  return free.length - claims.length;
+}
+
+function renderCalTechFilter(){
+  const sel = $("#calTech");
+  if(!sel) return;
+  const techs = activeTechnicians();
+  const show = isAdmin && can("schedule.viewAll") && techs.length > 0;
+  setDisplay("#calTech", show ? "inline-block" : "none");
+  if(!show) return;
+  sel.innerHTML = `<option value="">All technicians</option>` + techs.map(x =>
+    `<option value="${escapeHtml(x.id)}">${escapeHtml(x.name)}</option>`
+  ).join("");
+  sel.value = calTechFilter;
+}
+
+async function saveTechnician(payload, msg){
+  try{
+    await postSchedule("/api/technicians/upsert", payload);
+    await loadTechnicians();
+    renderTechPanel();
+    renderCalTechFilter();
+    if($("#calGrid")) renderCalendar();
+    toast(msg);
+  }catch(err){
+    console.warn("[technicians] save failed:", err);
+    toast(String(err?.message || "Server error"));
+  }
+}
+function blockTechSlot(techId, startISO, shouldBlock){
+  const tech = serverTechnicians.list.find(x => x.id === techId);
+  if(!tech) return;
+  const d = new Date(startISO);
+  const dateISO = toISODate(d);
+  const t = `${String(d.getHours()).padStart(2,"0")}:${String(d.getMinutes()).padStart(2,"0")}`;
+  const blocks = structuredClone(tech.blocks || {});
+  const arr = (blocks[dateISO] ?? []).filter(x => x !== t);
+  if(shouldBlock) arr.push(t);
+  if(arr.length) blocks[dateISO] = arr.sort();
+  else delete blocks[dateISO];
+  saveTechnician({ id: techId, blocks }, shouldBlock ? `Blocked slot for ${tech.name}.` : `Unblocked slot for ${tech.name}.`);
+}
+
+function techServiceTypes(){
+  return Object.keys(serverAvailability.settings?.serviceDurations || state.settings.serviceDurations || {});
+}
+// Loads a technician (or, for an account without one yet, the shop's hours) into the form
+function fillTechForm(id){
+  const tech = serverTechnicians.list.find(x => x.id === id);
+  const weekly = tech?.weekly || serverAvailability.weekly || state.availability.weekly;
+  $("#techActive").checked = tech ? tech.active !== false : true;
+  $all("#techServices input").forEach(el => { el.checked = !!tech?.serviceTypes?.includes(el.value); });
+  for(let dow=0; dow<7; dow++){
+    const row = document.querySelector(`[data-tech-dow="${dow}"]`);
+    const conf = weekly?.[String(dow)] ?? { enabled:false, start:8, end:18 };
+    row.querySelector(".dowEnabled").checked = !!conf.enabled;
+    row.querySelector(".dowStart").value = conf.start;
+    row.querySelector(".dowEnd").value = conf.end;
+  }
+}
+
+function renderTechPanel(){
+  const list = $("#techList");
+  if(!list) return;
+  const userSel = $("#techUser");
+  const cur = userSel.value;
+  userSel.innerHTML = `<option value="">Pick a staff account…</option>` + staffList.map(u =>
+    `<option value="${escapeHtml(u.id)}">${escapeHtml(u.name || u.username)}${serverTechnicians.list.some(x => x.id === u.id) ? "" : " (no schedule yet)"}</option>`
+  ).join("");
+  userSel.value = staffList.some(u => u.id === cur) ? cur : "";
+
+  if(serverTechnicians.list.length === 0){
+    list.innerHTML = `<div class="small">No technicians yet. Until you add one, every job is booked as if one person does them all.</div>`;
+    return;
+  }
+  list.innerHTML = serverTechnicians.list.map(x => {
+    const days = WEEKDAY_NAMES.filter((_, dow) => x.weekly?.[String(dow)]?.enabled).map(n => n.slice(0,3)).join(", ") || "No days";
+    const blocked = Object.keys(x.blocks || {}).sort().join(", ");
+    return `
+      <div class="feature">
+        <div style="display:flex; align-items:center; justify-content:space-between; gap:12px;">
+          <div>
+            <div style="font-weight:800">${escapeHtml(x.name)}${x.active === false ? ` <span class="pill">Off</span>` : ""}</div>
+            <div class="small">${escapeHtml(x.serviceTypes?.length ? x.serviceTypes.join(", ") : "All services")} • ${escapeHtml(days)}</div>
+            ${blocked ? `<div class="small">Blocked: ${escapeHtml(blocked)}</div>` : ""}
+          </div>
+          <div style="display:flex; gap:10px; flex-wrap:wrap;">
+            <button class="btn" data-tech-edit="${escapeHtml(x.id)}">Edit</button>
+            <button class="btn danger" data-tech-del="${escapeHtml(x.id)}">Remove</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }).join("");
+
+  $all("[data-tech-edit]").forEach(b=>{
+    b.addEventListener("click", ()=>{
+      const id = b.getAttribute("data-tech-edit");
+      $("#techUser").value = id;
+      fillTechForm(id);
+      toast("Loaded technician for editing.");
+    });
+  });
+  $all("[data-tech-del]").forEach(b=>{
+    b.addEventListener("click", async ()=>{
+      const id = b.getAttribute("data-tech-del");
+      if(!confirm(`Remove ${techName(id)}'s technician schedule? (The account stays; their jobs stay assigned.)`)) return;
+      try{
+        await postSchedule("/api/technicians/delete", { id });
+        await loadTechnicians();
+        renderTechPanel();
+        renderCalTechFilter();
+        if($("#calGrid")) renderCalendar();
+        toast("Technician removed.");
+      }catch(err){
+        console.warn("[technicians] delete failed:", err);
+        toast(String(err?.message || "Server error"));
+      }
+    });
+  });
+}
+
+function wireTechForm(){
+  const form = $("#techForm");
+  if(!form) return;
+  $("#techServices").innerHTML = techServiceTypes().map(t =>
+    `<label class="small" style="display:flex; align-items:center; gap:6px;"><input type="checkbox" value="${escapeHtml(t)}"/> ${escapeHtml(t)}</label>`
+  ).join("");
+  $("#techWeekly").innerHTML = WEEKDAY_NAMES.map((name, dow) => `
+    <div class="avail-row" data-tech-dow="${dow}">
+      <span class="day-label">${name}</span>
+      <input class="input hour-input dowStart" max="23" min="0" type="number"/>
+      <input class="input hour-input dowEnd" max="24" min="1" type="number"/>
+      <label class="enabled-wrap small"><input class="dowEnabled" type="checkbox"/> Working</label>
+    </div>
+  `).join("");
+  fillTechForm("");
+
+  $("#techUser").addEventListener("change", ()=> fillTechForm($("#techUser").value));
+  form.addEventListener("submit", (e)=>{
+    e.preventDefault();
+    const id = $("#techUser").value;
+    if(!id){ toast("Pick a staff account first."); return; }
+    const weekly = {};
+    for(let dow=0; dow<7; dow++){
+      const row = document.querySelector(`[data-tech-dow="${dow}"]`);
+      const start = clamp(Number(row.querySelector(".dowStart").value || 8), 0, 23);
+      const end = clamp(Number(row.querySelector(".dowEnd").value || 18), 1, 24);
+      weekly[String(dow)] = { enabled: row.querySelector(".dowEnabled").checked, start: Math.min(start,end-1), end: Math.max(end,start+1) };
+    }
+    saveTechnician({
+      id,
+      weekly,
+      active: $("#techActive").checked,
+      serviceTypes: $all("#techServices input").filter(el => el.checked).map(el => el.value),
+    }, "Technician saved.");
+  });
+  $("#techDayOffBtn").addEventListener("click", ()=>{
+    const id = $("#techUser").value;
+    const date = $("#techDayOff").value;
+    const tech = serverTechnicians.list.find(x => x.id === id);
+    if(!tech){ toast("Save the technician first."); return; }
+    if(!date){ toast("Pick a date first."); return; }
+    saveTechnician({ id, blocks: { ...(tech.blocks || {}), [date]: daySlotTimes() } }, `Blocked ${date} for ${tech.name}.`);
+  });
+}
+
+// -------------------- Estimates & invoices --------------------
+// Documents are numbered and priced on the server (tax, trip fee, labor rate live in
+// the billing settings); the job modal lists them and can create, open and email them.
+const DOC_KIND_LABELS = { estimate: "Estimate", invoice: "Invoice" };
+
+function renderJobBilling(a){
+  const canBill = can("invoices.manage") && a.status !== "canceled" && a.status !== "no_show";
+  setDisplay("#jobBilling", canBill ? "block" : "none");
+  setDisplay("#estForm", "none");
+  if(!canBill) return;
+
+  const list = $("#jobDocs");
+  const docs = Array.isArray(a.docs) ? a.docs : [];
+  const base = getServerBase();
+  if(list){
+    list.innerHTML = docs.length ? docs.map(d => `
+      <div style="display:flex; align-items:center; justify-content:space-between; gap:10px; margin-top:6px;">
+        <div>
+          <strong>${escapeHtml(d.number)}</strong> <span class="small">${escapeHtml(DOC_KIND_LABELS[d.kind] || d.kind)} • $${escapeHtml(Number(d.total).toFixed(2))}${d.emailedISO ? ` • emailed ${escapeHtml(fmtDate(new Date(d.emailedISO)))}` : ""}</span>
+        </div>
+        <div style="display:flex; gap:8px;">
+          <a class="btn" href="${escapeHtml(base + d.htmlPath)}" target="_blank" rel="noopener">View</a>
+          <a class="btn" href="${escapeHtml(base + d.pdfPath)}" target="_blank" rel="noopener">PDF</a>
+          <button class="btn" type="button" data-doc-email="${escapeHtml(d.id)}">Email</button>
+        </div>
+      </div>`).join("") : `<div class="small">None yet.</div>`;
+    list.querySelectorAll("[data-doc-email]").forEach(btn=>{
+      btn.onclick = ()=> emailBillingDoc(btn.getAttribute("data-doc-email"), a);
+    });
+  }
+
+  setDisplay("#jobInvoiceBtn", a.status === "completed" ? "inline-flex" : "none");
+  const invBtn = $("#jobInvoiceBtn");
+  if(invBtn) invBtn.onclick = ()=> createBillingDoc(a.id, { kind:"invoice" });
+
+  // Estimates start from the work order when there is one
+  const estBtn = $("#jobEstimateBtn");
+  if(estBtn) estBtn.onclick = ()=>{
+    const wo = a.workOrder;
+    if($("#estParts")) $("#estParts").value = (wo?.parts || []).map(p =>
+      [`${p.qty} x ${p.name}`, p.partNumber || "", p.unitPrice ?? ""].join(", ").replace(/(, )+$/, "")
+    ).join("\n");
+    if($("#estLabor")) $("#estLabor").value = wo?.laborMinutes || "";
+    if($("#estNotes")) $("#estNotes").value = "";
+    setDisplay("#estForm", "block");
+  };
+  const estSubmit = $("#estSubmitBtn");
+  if(estSubmit) estSubmit.onclick = ()=> createBillingDoc(a.id, {
+    kind: "estimate",
+    parts: parsePartsLines($("#estParts")?.value),
+    laborMinutes: Number($("#estLabor")?.value) || 0,
+    notes: String($("#estNotes")?.value || "").trim(),
+  });
+}
+
+function createBillingDoc(apptId, payload){
+  if(!serverSchedule.online){
+    toast("Server offline.");
+    return;
+  }
+  postSchedule("/api/invoices/create", { apptId, ...payload })
+    .then(async (j)=>{
+      await loadServerSchedule();
+      toast(`${DOC_KIND_LABELS[j.doc.kind]} ${j.doc.number} created.`);
+      renderAppointmentsTables();
+      openJobDetailsModal(apptId);
+    })
+    .catch(err=>{
+      console.warn("[billing] create failed:", err);
+      toast(String(err?.message || "Server error"));
+    });
+}
+
+function emailBillingDoc(id, a){
+  const to = prompt("Email it to:", a.email || "");
+  if(to == null) return;
+  postSchedule("/api/invoices/email", { id, to: to.trim() })
+    .then(async ()=>{
+      await loadServerSchedule();
+      toast("Sent to the customer.");
+      openJobDetailsModal(a.id);
+    })
+    .catch(err=>{
+      console.warn("[billing] email failed:", err);
+      toast(String(err?.message || "Server error"));
+    });
+}
+
+// Owner: tax rate, trip fee, labor rate and numbering
+async function loadBillingSettings(){
+  const form = $("#billingForm");
+  if(!form || !can("billing.edit")) return;
+  try{
+    const j = await fetchJson(`${getServerBase()}/api/admin/billing`, { method:"GET", headers: authHeaders(), credentials: "include" });
+    const b = j.billing || {};
+    $("#billTax").value = b.taxRatePercent ?? "";
+    $("#billTaxLabor").checked = !!b.taxLabor;
+    $("#billTrip").value = b.tripFee ?? "";
+    $("#billLabor").value = b.laborRatePerHour ?? "";
+    $("#billInvoicePrefix").value = b.invoicePrefix || "";
+    $("#billNextInvoice").value = b.nextInvoiceNo ?? "";
+    $("#billEstimatePrefix").value = b.estimatePrefix || "";
+    $("#billNextEstimate").value = b.nextEstimateNo ?? "";
+    $("#billTerms").value = b.terms || "";
+  }catch(err){
+    console.warn("[billing] load failed:", err);
+  }
+}
+
+function wireBillingForm(){
+  const form = $("#billingForm");
+  if(!form) return;
+  form.addEventListener("submit", async (e)=>{
+    e.preventDefault();
+    if(!can("billing.edit")){ toast("Owner only."); return; }
+    try{
+      await postSchedule("/api/admin/billing", {
+        taxRatePercent: $("#billTax").value,
+        taxLabor: $("#billTaxLabor").checked,
+        tripFee: $("#billTrip").value,
+        laborRatePerHour: $("#billLabor").value,
+        invoicePrefix: $("#billInvoicePrefix").value,
+        nextInvoiceNo: $("#billNextInvoice").value,
+        estimatePrefix: $("#billEstimatePrefix").value,
+        nextEstimateNo: $("#billNextEstimate").value,
+        terms: $("#billTerms").value,
+      });
+      await loadBillingSettings();
+      toast("Billing settings saved.");
+    }catch(err){
+      console.warn("[billing] save failed:", err);
+      toast(String(err?.message || "Server error"));
+    }
+  });
+}
+
+// Personal .ics subscription URL (booked jobs; technicians get only theirs)
+async function copyCalendarFeedUrl(){
+  try{
+    const j = await fetchJson(`${getServerBase()}/api/calendar/feed-url`, { method:"GET", headers: authHeaders(), credentials: "include" });
+    const url = `${getServerBase() || location.origin}${j.path}`;
+    try{
+      await navigator.clipboard.writeText(url);
+      toast("Calendar link copied. Add it as a subscribed calendar on your phone.");
+    }catch(_){
+      prompt("Subscribe to this URL in your calendar app:", url);
+    }
+  }catch(err){
+    toast(String(err?.message || "Server error"));
+  }
+}
+
 function onSaveAvailability(e){
   e.preventDefault();
   if(!serverOnline()){
@@ -1416,16 +3572,11 @@ function onSaveAvailability(e){
     });
 }
 
-function onBlockDate(){
-  const date = $("#blockDate").value;
-  if(!date){
-    toast("Pick a date first.");
-    return;
-  }
-  // Block all slots for that date within global open/close
+// "HH:MM" of every calendar slot in a day (global open/close)
+function daySlotTimes(){
   const open = state.settings.openHour;
   const close = state.settings.closeHour;
-  const slotMin = state.settings.slotMinutes;
+  const slotMin = slotMinutes();
   const numSlots = Math.ceil(((close - open) * 60) / slotMin);
 
   const arr = [];
@@ -1435,6 +3586,17 @@ function onBlockDate(){
     const mm = minutesFromOpen%60;
     arr.push(`${String(hh).padStart(2,"0")}:${String(mm).padStart(2,"0")}`);
   }
+  return arr;
+}
+
+function onBlockDate(){
+  const date = $("#blockDate").value;
+  if(!date){
+    toast("Pick a date first.");
+    return;
+  }
+  // Block all slots for that date within global open/close
+  const arr = daySlotTimes();
   if(!serverOnline()){
     toast("Server offline.");
     return;
@@ -1504,6 +3666,8 @@ document.addEventListener("DOMContentLoaded", async ()=>{
   setText("#adminPill", "Management: ON");
   setDisplay("#adminPill", "none");
   setDisplay("#apptTables", "none");
+  setDisplay("#usersPanel", "none");
+  setDisplay("#billingPanel", "none");
   init();
 });
 
@@ -1516,7 +3680,7 @@ function wireInventoryAdmin(){
     btn.addEventListener("click", ()=>openAdmin());
   }
   if(logout){
-    logout.addEventListener("click", ()=>setAdmin(false));
+    logout.addEventListener("click", ()=>logoutAdmin());
   }
 
   const form = $("#invForm");
@@ -1525,7 +3689,7 @@ function wireInventoryAdmin(){
   let editImagePath = "";
 
   const sync = ()=>{
-    setDisplay("#inventoryAdminPanel", isAdmin ? "block" : "none");
+    setDisplay("#inventoryAdminPanel", can("inventory.edit") ? "block" : "none");
     setDisplay("#invAdminPill", isAdmin ? "inline-flex" : "none");
     setDisplay("#invAdminLogout", isAdmin ? "inline-flex" : "none");
   };
@@ -1624,19 +3788,10 @@ function wireInventoryAdmin(){
     clearBtn.addEventListener("click", ()=>clearForm());
   }
 
-  async function fileToDataUrl(file){
-    return new Promise((resolve, reject)=>{
-      const r = new FileReader();
-      r.onerror = ()=>reject(new Error("Failed to read file"));
-      r.onload = ()=>resolve(String(r.result || ""));
-      r.readAsDataURL(file);
-    });
-  }
-
   if(form){
     form.addEventListener("submit", async (e)=>{
       e.preventDefault();
-      if(!isAdmin){ toast("Admin only."); return; }
+      if(!can("inventory.edit")){ toast("Admin only."); return; }
       if(!serverInventory.online){ toast("Server offline."); return; }
 
       const id = $("#invId").value || uid();
@@ -1651,23 +3806,16 @@ function wireInventoryAdmin(){
 
       const imgInput = $("#invImage");
       const file = (imgInput && imgInput.files && imgInput.files[0]) ? imgInput.files[0] : null;
-      let imageDataUrl = null;
-      let imageName = null;
-      if(file){
-        // Base64 data URLs inflate size ~33%. Keep uploads reasonably small.
-        const MAX_MB = 5;
-        if((file.size || 0) > MAX_MB * 1024 * 1024){
-          toast(`Image is too large. Please use a smaller file (under ${MAX_MB}MB).`);
-          return;
-        }
-        imageDataUrl = await fileToDataUrl(file);
-        imageName = file.name;
+      if(file && (file.size || 0) > UPLOAD_MAX_MB * 1024 * 1024){
+        toast(`Image is too large. Please use a smaller file (under ${UPLOAD_MAX_MB}MB).`);
+        return;
       }
 
       const item = { id, title, model, buyPrice, rentPrice, status, note, imagePath: editImagePath };
 
       try{
-        await postInventory("/api/inventory/upsert", { item, imageDataUrl, imageName });
+        if(file) item.imagePath = (await uploadFiles("inv", [file]))[0]?.imagePath || item.imagePath;
+        await postInventory("/api/inventory/upsert", { item });
         await loadServerInventory();
         if($("#inventoryWrap")) renderInventory();
         renderAdminList();
@@ -1687,6 +3835,10 @@ function wireInventoryAdmin(){
     sync();
     renderAdminList();
   };
+  // Another device changed the inventory
+  document.addEventListener("dsd_live_update", (e)=>{
+    if(e.detail?.type === "inventory.changed") renderAdminList();
+  });
 
   renderAdminList();
 }
@@ -1696,23 +3848,14 @@ function wireGalleryAdmin(){
   if(!panel) return;
 
   function sync(){
-    panel.style.display = isAdmin ? "block" : "none";
-  }
-
-  async function fileToDataUrl(file){
-    return new Promise((resolve, reject)=>{
-      const r = new FileReader();
-      r.onerror = ()=>reject(new Error("Failed to read file"));
-      r.onload = ()=>resolve(String(r.result || ""));
-      r.readAsDataURL(file);
-    });
+    panel.style.display = can("gallery.edit") ? "block" : "none";
   }
 
   const form = $("#galleryUploadForm");
   if(form){
     form.addEventListener("submit", async (e)=>{
       e.preventDefault();
-      if(!isAdmin){ toast("Admin only."); return; }
+      if(!can("gallery.edit")){ toast("Admin only."); return; }
       if(!serverGallery.online){ toast("Server offline."); return; }
 
       const caption = $("#galleryCaption")?.value?.trim() || "";
@@ -1720,15 +3863,14 @@ function wireGalleryAdmin(){
       const file = (input && input.files && input.files[0]) ? input.files[0] : null;
       if(!file){ toast("Choose a photo first."); return; }
 
-      const MAX_MB = 6;
-      if((file.size || 0) > MAX_MB * 1024 * 1024){
-        toast(`Image is too large. Please use a smaller file (under ${MAX_MB}MB).`);
+      if((file.size || 0) > UPLOAD_MAX_MB * 1024 * 1024){
+        toast(`Image is too large. Please use a smaller file (under ${UPLOAD_MAX_MB}MB).`);
         return;
       }
 
       try{
-        const imageDataUrl = await fileToDataUrl(file);
-        await postGallery("/api/gallery/add", { caption, imageDataUrl, imageName: file.name });
+        const [uploaded] = await uploadFiles("gal", [file]);
+        await postGallery("/api/gallery/add", { caption, imagePath: uploaded?.imagePath });
         await loadServerGallery();
         renderGallery();
         if(input) input.value = "";
@@ -1753,9 +3895,51 @@ function wireGalleryAdmin(){
   sync();
 }
 
+// -------------------- Spam protection (public forms) --------------------
+// The contact and request forms fetch a signed challenge from the server when they're
+// shown and solve it in the background (a nonce whose SHA-256 with the token starts
+// with `bits` zero bits), so it's usually ready by the time the form is sent. Each
+// token is good for one submission. The hidden "website" field is a honeypot.
+const formGuards = {};
+
+function leadingZeroBits(bytes){
+  let n = 0;
+  for(const b of bytes){
+    if(b === 0){ n += 8; continue; }
+    return n + Math.clz32(b) - 24;
+  }
+  return n;
+}
+
+async function solveFormChallenge(token, bits){
+  if(!bits) return "";
+  if(!window.crypto?.subtle) throw new Error("This browser can't send the form. Please call us instead.");
+  const enc = new TextEncoder();
+  for(let n = 0; ; n++){
+    const hash = new Uint8Array(await crypto.subtle.digest("SHA-256", enc.encode(`${token}:${n}`)));
+    if(leadingZeroBits(hash) >= bits) return String(n);
+  }
+}
+
+function armFormGuard(kind){
+  formGuards[kind] = fetchJson(`${getServerBase()}/api/form-challenge?form=${kind}`, { method:"GET" })
+    .then(async j => ({ challenge: j.token, nonce: await solveFormChallenge(j.token, j.bits) }));
+  formGuards[kind].catch(()=>{});
+}
+
+// { challenge, nonce, website } to send along with the form; starts on the next token.
+async function formGuardFields(kind, honeypotSel){
+  if(!formGuards[kind]) armFormGuard(kind);
+  const pending = formGuards[kind];
+  armFormGuard(kind);
+  const solved = await pending;
+  return { ...solved, website: $(honeypotSel)?.value || "" };
+}
+
 function wireContactForm(){
   const form = $("#contactFormNew");
   if(!form) return;
+  armFormGuard("contact");
   form.addEventListener("submit", async (e)=>{
     e.preventDefault();
     const name = $("#cName")?.value?.trim() || "";
@@ -1769,10 +3953,11 @@ function wireContactForm(){
     }
 
     try{
+      const guard = await formGuardFields("contact", "#cWebsite");
       await fetchJson(`${getServerBase()}/api/contact`, {
         method: "POST",
         headers: { "Content-Type":"application/json" },
-        body: JSON.stringify({ name, email, type, description })
+        body: JSON.stringify({ name, email, type, description, ...guard })
       });
       form.reset();
       toast("Message sent.");
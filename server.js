@@ -2,10 +2,18 @@ const http = require("http");
 const { WebSocketServer } = require("ws");
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
+const zlib = require("zlib");
+const readline = require("readline");
 const nodemailer = require("nodemailer");
+const sharp = require("sharp");
 
 const PORT = process.env.PORT || 8787;
 
+// Public site URL used in links we send to customers (e.g. https://duneseadiagnostics.com).
+// Leave unset to emit site-relative links.
+const PUBLIC_SITE_URL = String(process.env.PUBLIC_SITE_URL || "").replace(/\/+$/, "");
+
 // -------------------- Static site root detection --------------------
 // Depending on how the repo was uploaded to Render, the site files may live in the repo root
 // or inside a nested folder. We auto-detect by looking for index.html.
@@ -25,6 +33,59 @@ const SITE_ROOT = (() => {
   return __dirname;
 })();
 
+// Server-side folders that sit next to the site files but must never be served: the data
+// dir (accounts, the store and its journal), backups, config, installed packages, plus dot files
+// such as .env. Checked against the resolved path, so "/x/../data/..." is caught as well.
+function privateStaticPath(resolved){
+  const norm = (p) => process.platform === "win32" ? path.resolve(p).toLowerCase() : path.resolve(p);
+  const target = norm(resolved);
+  const inside = (dir) => {
+    const rel = path.relative(norm(dir), target);
+    return rel === "" || (!rel.startsWith("..") && !path.isAbsolute(rel));
+  };
+  const rel = path.relative(norm(SITE_ROOT), target);
+  if(rel.split(path.sep).some(part => part.startsWith("."))) return true;
+  return [
+    BUNDLED_DATA_DIR, DATA_DIR,
+    BACKUP_DIR, path.join(__dirname, "backups"), // the old default
+    path.join(__dirname, "config"), path.join(__dirname, "node_modules"),
+  ].some(inside);
+}
+
+// Site URL path -> { status:200, file } or { status:403 } (traversal) / { status:404 }
+// (missing, a directory, or private). "/" and "/dir/" serve index.html; "/services" finds
+// services.html.
+function resolveStaticFile(urlPath){
+  let filePath = path.join(SITE_ROOT, urlPath.replace(/^\/+/, "") || "index.html");
+  if(urlPath === "/" || urlPath.endsWith("/")){
+    filePath = path.join(SITE_ROOT, "index.html");
+  }else if(!path.extname(filePath) && fs.existsSync(filePath + ".html")){
+    filePath += ".html";
+  }
+
+  // Prevent directory traversal
+  const resolved = path.resolve(filePath);
+  if(!resolved.startsWith(path.resolve(SITE_ROOT))) return { status:403 };
+  // Server data and config are never part of the site
+  if(privateStaticPath(resolved)) return { status:404 };
+  if(!fs.existsSync(resolved) || fs.statSync(resolved).isDirectory()) return { status:404 };
+  return { status:200, file: resolved };
+}
+
+// Startup check: none of the files holding customer or account data may be fetchable as a
+// site file (GET /data/store.json must be a 404). Returns the URLs that would be served.
+function servedDataFiles(){
+  const files = [
+    STORE_FILE, JOURNAL_FILE, AUDIT_FILE, USERS_FILE, path.join(BUNDLED_DATA_DIR, "store.json"),
+    ...listBackups().map(b => path.join(BACKUP_DIR, b.name)),
+  ];
+  return [...new Set(files)]
+    .map(f => path.relative(SITE_ROOT, f))
+    .filter(rel => rel && !rel.startsWith("..") && !path.isAbsolute(rel))
+    .map(rel => `/${rel.split(path.sep).join("/")}`)
+    .filter(url => resolveStaticFile(url).status !== 404);
+}
+
 // -------------------- Email (Google Workspace / Gmail SMTP) --------------------
 // Set these environment variables on Render:
 //   GMAIL_USER=service@duneseadiagnostics.com
@@ -32,7 +93,7 @@ const SITE_ROOT = (() => {
 // Optional:
 //   MAIL_TO=service@duneseadiagnostics.com   (where to receive contact form emails)
 //   MAIL_FROM=service@duneseadiagnostics.com (from address shown)
-// If not configured, the server will still store messages in data/messages.json.
+// If not configured, the server will still store messages in the data store.
 const GMAIL_USER = process.env.GMAIL_USER || "";
 const GMAIL_APP_PASSWORD = process.env.GMAIL_APP_PASSWORD || "";
 const MAIL_TO = process.env.MAIL_TO || GMAIL_USER || "";
@@ -89,9 +150,11 @@ async function sendScheduleRequestEmail(appt){
     <p><strong>Name:</strong> ${safe(appt.name)}</p>
     <p><strong>Phone:</strong> ${safe(appt.phone)}</p>
     <p><strong>Email:</strong> ${safe(appt.email)}</p>
+    <p><strong>Address:</strong> ${safe(serviceAddress(appt)) || "Not given"}</p>
     <p><strong>Service Type:</strong> ${safe(appt.serviceType)}</p>
     <p><strong>Appliance:</strong> ${safe(appt.appliance)}</p>
     <p><strong>Slots:</strong> ${safe(appt.slots)}</p>
+    ${(appt.attachments || []).length ? `<p><strong>Photos:</strong> ${appt.attachments.length} attached (see the job details on the schedule page)</p>` : ""}
     <p><strong>Received:</strong> ${safe(appt.createdISO)}</p>
     <hr />
     <p><strong>Notes:</strong></p>
@@ -113,19 +176,224 @@ async function sendScheduleRequestEmail(appt){
   }
 }
 
+// Tells the shop a customer changed their own booking from the /manage page.
+// action: "canceled" | "rescheduled"
+async function sendManageNoticeEmail(appt, action, prevStartISO){
+  if(!mailer || !MAIL_TO || !MAIL_FROM) return { ok:false, skipped:true };
+  const safe = (v) => String(v || "").replace(/[<>]/g, "");
+  const subject = `Customer ${action} booking: ${safe(appt.name) || "Unknown"} (${safe(prevStartISO || appt.startISO)})`;
+
+  const html = `
+    <h2>Booking ${safe(action)} by customer</h2>
+    ${action === "rescheduled"
+      ? `<p><strong>Old slot:</strong> ${safe(prevStartISO)}</p><p><strong>New slot:</strong> ${safe(appt.startISO)} (needs confirmation)</p>`
+      : `<p><strong>Slot:</strong> ${safe(appt.startISO)}</p>`}
+    <p><strong>Name:</strong> ${safe(appt.name)}</p>
+    <p><strong>Phone:</strong> ${safe(appt.phone)}</p>
+    <p><strong>Email:</strong> ${safe(appt.email)}</p>
+    <p><strong>Address:</strong> ${safe(serviceAddress(appt)) || "Not given"}</p>
+    <p><strong>Service Type:</strong> ${safe(appt.serviceType)}</p>
+    <p><strong>Appliance:</strong> ${safe(appt.appliance)}</p>
+  `;
+
+  try{
+    await mailer.sendMail({
+      from: `"Dune Sea Diagnostics" <${MAIL_FROM}>`,
+      to: MAIL_TO,
+      replyTo: appt.email ? safe(appt.email) : undefined,
+      subject,
+      html
+    });
+    return { ok:true };
+  }catch(e){
+    console.error("[MAIL] manage notice send failed:", e);
+    return { ok:false, error:String(e) };
+  }
+}
+
+// -------------------- Customer emails --------------------
+// Keep in sync with DEFAULT_STATE.business in assets/js/app.js.
+const BUSINESS = {
+  name: "Dune Sea Diagnostics",
+  phone: "(913) 213-1439",
+  email: "service@duneseadiagnostics.com",
+  area: "Kansas City Metro",
+  addressLine: "Kansas City, MO",
+};
+// Appointment times are stored in UTC; customers read them in the shop's time zone.
+const BUSINESS_TZ = process.env.BUSINESS_TZ || "America/Chicago";
+
+function fmtApptWhen(startISO){
+  const t = Date.parse(startISO);
+  if(!Number.isFinite(t)) return String(startISO || "");
+  return new Date(t).toLocaleString("en-US", {
+    timeZone: BUSINESS_TZ, weekday:"long", month:"long", day:"numeric", hour:"numeric", minute:"2-digit"
+  });
+}
+function fmtApptTime(iso){
+  const t = Date.parse(iso);
+  return Number.isFinite(t) ? new Date(t).toLocaleTimeString("en-US", { timeZone: BUSINESS_TZ, hour:"numeric", minute:"2-digit" }) : "";
+}
+function escHtml(v){
+  return String(v ?? "").replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;");
+}
+
+// kind: "received" | "accepted" | "rejected" | "canceled" | "rescheduled" | "reminder" | "en_route"
+// extra: { manageLink?, prevStartISO?, hoursBefore?, etaISO? }
+// Returns { subject, text, html }.
+function customerEmailTemplate(kind, appt, extra){
+  const when = fmtApptWhen(appt.startISO);
+  const first = String(appt.name || "").trim().split(/\s+/)[0] || "there";
+  const copy = {
+    received: {
+      subject: `We got your request for ${when}`,
+      lines: [
+        `Thanks for reaching out! We received your ${appt.serviceType || "service"} request for ${when}.`,
+        "This time isn't confirmed yet. We'll email you again once we've reviewed it.",
+      ],
+    },
+    accepted: {
+      subject: `Confirmed: ${when}`,
+      lines: [
+        `Your appointment is confirmed for ${when}.`,
+        "We'll see you then. If anything changes, let us know as soon as you can.",
+      ],
+    },
+    rejected: {
+      subject: `We can't make ${when}`,
+      lines: [
+        `Unfortunately we aren't able to take your request for ${when}.`,
+        "Please pick another time on our schedule, or call us and we'll find one together.",
+      ],
+    },
+    canceled: {
+      subject: `Canceled: ${when}`,
+      lines: [
+        `Your appointment for ${when} has been canceled.`,
+        "If this is a mistake or you'd like to book again, just reply or call us.",
+      ],
+    },
+    rescheduled: {
+      subject: `Moved to ${when}`,
+      lines: [
+        extra?.prevStartISO
+          ? `Your appointment was moved from ${fmtApptWhen(extra.prevStartISO)} to ${when}.`
+          : `Your appointment was moved to ${when}.`,
+        appt.status === "accepted"
+          ? "The new time is confirmed."
+          : "We'll email you again once the new time is confirmed.",
+      ],
+    },
+    reminder: {
+      subject: `Reminder: ${extra?.hoursBefore >= 24 ? "tomorrow" : "today"}, ${when}`,
+      lines: [
+        `Just a reminder that we're scheduled to see you ${when}.`,
+        "Please make sure someone 18+ is home and the appliance is reachable. Need to change it? Call us or use your manage link.",
+      ],
+    },
+    en_route: {
+      subject: extra?.etaISO ? `On our way, arriving around ${fmtApptTime(extra.etaISO)}` : "On our way",
+      lines: [
+        extra?.etaISO
+          ? `Your technician is on the way and should get to you around ${fmtApptTime(extra.etaISO)}.`
+          : "Your technician is on the way to you now.",
+        "Please make sure someone 18+ is home and the appliance is reachable.",
+      ],
+    },
+  }[kind];
+  if(!copy) throw new Error(`unknown customer email: ${kind}`);
+
+  const details = [
+    ["Service", appt.serviceType],
+    ["Appliance", appt.appliance],
+    ["Phone on file", appt.phone],
+  ].filter(([, v]) => v);
+  const manageLink = extra?.manageLink || "";
+  const signoff = `${BUSINESS.name} • ${BUSINESS.phone} • ${BUSINESS.email}\nServing the ${BUSINESS.area} • ${BUSINESS.addressLine}`;
+
+  const text = [
+    `Hi ${first},`,
+    "",
+    ...copy.lines,
+    "",
+    ...details.map(([k, v]) => `${k}: ${v}`),
+    ...(manageLink ? ["", `Check status, cancel or reschedule: ${manageLink}`] : []),
+    "",
+    "—",
+    signoff,
+  ].join("\n");
+
+  const html = `
+    <p>Hi ${escHtml(first)},</p>
+    ${copy.lines.map(l => `<p>${escHtml(l)}</p>`).join("\n    ")}
+    ${details.length ? `<p>${details.map(([k, v]) => `<strong>${escHtml(k)}:</strong> ${escHtml(v)}`).join("<br/>")}</p>` : ""}
+    ${manageLink ? `<p><a href="${escHtml(manageLink)}">Check status, cancel or reschedule</a></p>` : ""}
+    <hr />
+    <p style="color:#64748b; font-size:13px">
+      <strong>${escHtml(BUSINESS.name)}</strong><br/>
+      ${escHtml(BUSINESS.phone)} • <a href="mailto:${escHtml(BUSINESS.email)}">${escHtml(BUSINESS.email)}</a><br/>
+      Serving the ${escHtml(BUSINESS.area)} • ${escHtml(BUSINESS.addressLine)}
+    </p>
+  `;
+
+  return { subject: copy.subject, text, html };
+}
+
+async function sendCustomerEmail(kind, appt, extra){
+  if(!mailer || !MAIL_FROM) return { ok:false, skipped:true };
+  const to = String(appt?.email || "").trim();
+  if(!to || !/^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(to)) return { ok:false, skipped:true, reason:"no email" };
+  const { subject, text, html } = customerEmailTemplate(kind, appt, extra);
+  // Confirmed times carry a single-event .ics so the customer can add it to their calendar
+  const withIcs = kind === "accepted" || (kind === "rescheduled" && appt.status === "accepted");
+  const attachments = withIcs
+    ? [{ filename: "appointment.ics", contentType: "text/calendar; charset=utf-8; method=PUBLISH", content: icsCalendar([appt], { audience:"customer" }) }]
+    : undefined;
+
+  try{
+    await mailer.sendMail({
+      from: `"${BUSINESS.name}" <${MAIL_FROM}>`,
+      to,
+      replyTo: MAIL_TO || undefined,
+      subject,
+      text,
+      html,
+      attachments
+    });
+    return { ok:true };
+  }catch(e){
+    console.error(`[MAIL] customer ${kind} send failed:`, e);
+    return { ok:false, error:String(e) };
+  }
+}
+
+// Fire-and-forget: customer emails never block or fail the HTTP response.
+function notifyCustomer(kind, appt, extra){
+  sendCustomerEmail(kind, appt, extra).then((r)=>{
+    if(r?.ok) console.log(`[MAIL] customer ${kind} email sent id=${appt.id}`);
+    else if(r?.reason === "no email") console.log(`[MAIL] customer ${kind} skipped (no email) id=${appt.id}`);
+    else if(r?.skipped) console.log("[MAIL] skipped (mailer not configured)");
+    else console.log("[MAIL] failed", r?.error || "");
+  });
+}
+
 
 // -------------------- Persistence helpers --------------------
-const DATA_DIR = path.join(__dirname, "data");
+// DATA_DIR holds the store, its journal and uploads. It defaults to ./data (which the static
+// handler refuses to serve); on a host, point it at the persistent disk, outside the site:
+//   DATA_DIR=/var/data/dsd
+const BUNDLED_DATA_DIR = path.join(__dirname, "data");
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : BUNDLED_DATA_DIR;
+// Flat files from before the datastore; only read once by migrateLegacyJson()
 const BOOKED_FILE = path.join(DATA_DIR, "booked.json");
 const PENDING_FILE = path.join(DATA_DIR, "pending.json");
 const AVAIL_FILE = path.join(DATA_DIR, "availability.json");
-
-// Gallery + Contact
 const GALLERY_FILE = path.join(DATA_DIR, "gallery.json");
 const MESSAGES_FILE = path.join(DATA_DIR, "messages.json");
-
-// Inventory
+const USERS_FILE = path.join(DATA_DIR, "users.json");
 const INVENTORY_FILE = path.join(DATA_DIR, "inventory.json");
+
+// Uploaded images (inventory, gallery)
 const UPLOAD_DIR = path.join(DATA_DIR, "uploads");
 const DEFAULT_IMAGE_FILE = "default.png";
 
@@ -138,6 +406,11 @@ const DEFAULT_IMAGE_FILE = "default.png";
 function ensureDataDir(){
   try{ fs.mkdirSync(DATA_DIR, { recursive:true }); }catch(_){}
   try{ fs.mkdirSync(UPLOAD_DIR, { recursive:true }); }catch(_){}
+  // A fresh DATA_DIR elsewhere still needs the placeholder image shipped in ./data/uploads
+  const placeholder = path.join(UPLOAD_DIR, DEFAULT_IMAGE_FILE);
+  if(!fs.existsSync(placeholder)){
+    try{ fs.copyFileSync(path.join(BUNDLED_DATA_DIR, "uploads", DEFAULT_IMAGE_FILE), placeholder); }catch(_){}
+  }
 }
 function safeReadJson(filePath, fallback){
   try{
@@ -226,11 +499,6 @@ function saveUploadedImage({ dataUrl, filenameHint, id, prefix }){
 
 ensureDataDir();
 
-let BOOKED = safeReadJson(BOOKED_FILE, []);
-let PENDING = safeReadJson(PENDING_FILE, []);
-if(!Array.isArray(BOOKED)) BOOKED = [];
-if(!Array.isArray(PENDING)) PENDING = [];
-
 const DEFAULT_AVAILABILITY = {
   weekly: {
     0: { enabled:false, start:8, end:18 },
@@ -244,27 +512,29 @@ const DEFAULT_AVAILABILITY = {
   blocks: {}
 };
 
-let AVAILABILITY = safeReadJson(AVAIL_FILE, DEFAULT_AVAILABILITY);
-if(!AVAILABILITY || typeof AVAILABILITY !== "object") AVAILABILITY = DEFAULT_AVAILABILITY;
-if(!AVAILABILITY.weekly || typeof AVAILABILITY.weekly !== "object") AVAILABILITY.weekly = DEFAULT_AVAILABILITY.weekly;
-if(!AVAILABILITY.blocks || typeof AVAILABILITY.blocks !== "object") AVAILABILITY.blocks = {};
-
-// Inventory shape:
-// [
-//   { id, title, model, buyPrice, rentPrice, status, note, imagePath }
-// ]
-let INVENTORY = safeReadJson(INVENTORY_FILE, []);
-if(!Array.isArray(INVENTORY)) INVENTORY = [];
-
-// Gallery shape:
-// [ { id, imagePath, caption, createdISO } ]
-let GALLERY = safeReadJson(GALLERY_FILE, []);
-if(!Array.isArray(GALLERY)) GALLERY = [];
-
-// Contact messages shape:
-// [ { id, name, email, type, description, createdISO } ]
-let MESSAGES = safeReadJson(MESSAGES_FILE, []);
-if(!Array.isArray(MESSAGES)) MESSAGES = [];
+// Table shapes (every record has a string id):
+//   appointments: normalizeAppt() records (address, zip, zoneId, tripFee: see "Service area");
+//                 status is one of JOB_STATUSES ("pending" = requested,
+//                 "accepted" = confirmed, ...), history: [{ status, atISO, by }], workOrderId,
+//                 attachments: [{ imagePath, variants, name, createdISO }] (the customer's photos),
+//                 etaISO (set when marked en route, see routeEta)
+//   availability: one record, id "current": { weekly, blocks } (see above)
+//   inventory:    { id, title, model, buyPrice, rentPrice, status, note, imagePath, variants? }
+//   gallery:      { id, imagePath, variants?, caption, createdISO }   (variants: see makeImageVariants)
+//   messages:     { id, name, email, type, description, createdISO, customerId, status: MESSAGE_STATUSES,
+//                   notes, replies: [{ atISO, by, to, subject, body }], bookingApptId?, updatedISO }
+//   users:        { id, username, name, role: "owner"|"technician"|"frontdesk", passwordHash, createdISO }
+//   technicians:  normalizeTechnician() records, id = the user's id: { serviceTypes, weekly, blocks,
+//                 active, updatedISO }; appointments.assignedTo points at one once booked
+//   workorders:   { id, apptId, diagnosis, parts: [{ name, partNumber, qty, unitPrice }], laborMinutes,
+//                   techNotes, completedISO, completedBy }
+//   invoices:     { id, kind: "invoice"|"estimate", number, apptId, customer, lines: [{ type, description, qty,
+//                   unitPrice, taxable, amount }], subtotal, tax, total, ..., emailed: [{ atISO, to, by }] }
+//   settings:     named records; "billing" = normalizeBilling() (tax, trip fee, labor rate, numbering)
+//   customers:    { id, name, phones: [digits], emails: [lowercase], notes, mergedIds?, createdISO, updatedISO }
+//                 appointments, messages and appliances point at one with customerId
+//   appliances:   normalizeAppliance() records { id, customerId, type, brand, model, serial, installDate,
+//                 purchasedFromUs, notes }; appointments point at one with applianceId
 
 function normalizeInventoryItem(input){
   const id = String(input?.id || makeId());
@@ -281,15 +551,6 @@ function normalizeInventoryItem(input){
   return { id, title, model, buyPrice, rentPrice, status, note, imagePath };
 }
 
-function persist(){
-  safeWriteJson(BOOKED_FILE, BOOKED);
-  safeWriteJson(PENDING_FILE, PENDING);
-  safeWriteJson(AVAIL_FILE, AVAILABILITY);
-  safeWriteJson(INVENTORY_FILE, INVENTORY);
-  safeWriteJson(GALLERY_FILE, GALLERY);
-  safeWriteJson(MESSAGES_FILE, MESSAGES);
-}
-
 function normalizeAvailability(input){
   const out = { weekly: {}, blocks: {} };
 
@@ -322,7 +583,7 @@ function normalizeAppt(a, status){
     if(Number.isFinite(t)) startISO = new Date(t).toISOString();
   }catch(_){ }
 
-  const slots = Number(a?.slots || 1);
+  const slots = clampSlots(a?.slots) || defaultSlotsFor(a?.serviceType);
   return {
     id: String(a?.id || makeId()),
     startISO,
@@ -333,6 +594,12 @@ function normalizeAppt(a, status){
     serviceType: String(a?.serviceType || ""),
     appliance: String(a?.appliance || ""),
     notes: String(a?.notes || ""),
+    // Service address; zoneId / tripFee are filled in from the ZIP by applyServiceZone()
+    address: String(a?.address || "").trim().slice(0, 200),
+    zip: normalizeZip(a?.zip),
+    zoneId: "",
+    tripFee: null,
+    assignedTo: String(a?.assignedTo || ""),
     status,
     createdISO: String(a?.createdISO || nowStamp())
   };
@@ -347,256 +614,3396 @@ function hasStart(list, startISO){
   });
 }
 
+// -------------------- Datastore --------------------
+// All records live in memory; every change goes through db.tx(), which appends the
+// whole change set as ONE line to data/journal.jsonl (fsynced) before applying it.
+// A multi-record change (e.g. accepting a request) therefore lands completely or not
+// at all, and since tx callbacks are synchronous no other request can interleave.
+// On start the snapshot (data/store.json) is loaded, the journal replayed on top and
+// both compacted into a fresh snapshot. A torn last line from a crash is ignored.
+// Run CLI commands that write (add-user) while the server is stopped.
+const STORE_FILE = path.join(DATA_DIR, "store.json");
+const JOURNAL_FILE = path.join(DATA_DIR, "journal.jsonl");
+const STORE_TABLES = ["appointments", "availability", "inventory", "gallery", "messages", "users", "workorders", "invoices", "settings", "customers", "appliances", "technicians"];
+const JOURNAL_COMPACT_LINES = 500;
 
-// -------------------- tiny HTTP helpers --------------------
-function send(res, status, headers, body){
-  res.writeHead(status, headers);
-  res.end(body);
-}
-function json(res, status, obj){
-  send(res, status, {
-    "Content-Type":"application/json; charset=utf-8",
-    "Access-Control-Allow-Origin":"*",
-    "Access-Control-Allow-Headers":"Content-Type",
-    "Access-Control-Allow-Methods":"POST,OPTIONS,GET",
-  }, JSON.stringify(obj));
-}
-function readBodyJson(req, res, cb){
-  // Inventory image uploads are sent as base64 data URLs.
-  // Those can easily exceed 2MB, especially with phone JPGs.
-  // We allow up to ~15MB here. If we hit the limit, return a 413
-  // instead of hard-dropping the socket (which shows as "Failed to fetch").
-  const MAX = 15 * 1024 * 1024;
-  let raw = "";
-  let responded = false;
-
-  req.on("data", (chunk) => {
-    if(responded) return;
-    raw += chunk;
-    if(raw.length > MAX){
-      responded = true;
-      try{ json(res, 413, { ok:false, error:"Payload too large. Please use a smaller image (try exporting under ~5MB)." }); }catch(_){ }
-      try{ req.pause(); }catch(_){ }
-      try{ req.destroy(); }catch(_){ }
-    }
-  });
-
-  req.on("end", () => {
-    if(responded) return;
-    let payload = {};
-    try{ payload = raw ? JSON.parse(raw) : {}; }
-    catch(e){ payload = { _parseError:String(e), _raw:raw }; }
-    cb(payload);
-  });
+function cloneRecord(r){
+  return r == null ? null : JSON.parse(JSON.stringify(r));
 }
 
-// -------------------- HTTP server --------------------
-const server = http.createServer((req, res) => {
-  // CORS preflight
-  if(req.method === "OPTIONS"){
-    return send(res, 204, {
-      "Access-Control-Allow-Origin":"*",
-      "Access-Control-Allow-Headers":"Content-Type",
-      "Access-Control-Allow-Methods":"POST,OPTIONS,GET",
-    }, "");
-  }
+function createStore({ storeFile = STORE_FILE, journalFile = JOURNAL_FILE, tables = STORE_TABLES, compactLines = JOURNAL_COMPACT_LINES } = {}){
+  const data = new Map(tables.map(name => [name, new Map()])); // table -> (id -> record)
+  let seq = 0;
+  let journalLines = 0;
 
-  // Health
-  if(req.method === "GET" && (req.url === "/health")){
-    return send(res, 200, {
-      "Content-Type":"text/plain; charset=utf-8",
-      "Access-Control-Allow-Origin":"*",
-    }, "ok");
+  function table(name){
+    const t = data.get(name);
+    if(!t) throw new Error(`unknown table: ${name}`);
+    return t;
   }
-
-  // Static uploads (inventory images)
-  if(req.method === "GET" && req.url && req.url.startsWith("/uploads/")){
-    const rel = decodeURIComponent(req.url.replace(/^\/uploads\//, ""));
-    const safe = rel.replace(/[^a-z0-9._-]/gi, "");
-    const full = path.join(UPLOAD_DIR, safe || DEFAULT_IMAGE_FILE);
-    const fallback = path.join(UPLOAD_DIR, DEFAULT_IMAGE_FILE);
-    try{
-      const p = (fs.existsSync(full) ? full : fallback);
-      const ext = path.extname(p);
-      const buf = fs.readFileSync(p);
-      return send(res, 200, {
-        "Content-Type": safeContentTypeFromExt(ext),
-        "Cache-Control":"public, max-age=86400",
-        "Access-Control-Allow-Origin":"*",
-      }, buf);
-    }catch(e){
-      return send(res, 404, {
-        "Content-Type":"text/plain; charset=utf-8",
-        "Access-Control-Allow-Origin":"*",
-      }, "not found");
+  function apply(ops){
+    for(const op of ops){
+      if(op.op === "put") table(op.t).set(op.r.id, op.r);
+      else if(op.op === "del") table(op.t).delete(op.id);
     }
   }
-  // -------------------- Static site --------------------
-  // Serve the website (HTML/CSS/JS) from the repo root.
-  // NOTE: API routes live under /api/*
-  if(req.method === "GET" && req.url && !req.url.startsWith("/api/") && !req.url.startsWith("/uploads/")){
-    const PUBLIC_DIR = SITE_ROOT;
-    const urlPath = decodeURIComponent(req.url.split("?")[0] || "/");
-    const safePath = urlPath.replace(/^\/+/, ""); // remove leading /
-    let filePath = safePath ? path.join(PUBLIC_DIR, safePath) : path.join(PUBLIC_DIR, "index.html");
-
-    // If someone hits "/" or a directory, serve index.html
-    try{
-      if(urlPath === "/" || urlPath.endsWith("/")){
-        filePath = path.join(PUBLIC_DIR, "index.html");
-      }else{
-        // If no extension and an .html file exists, serve that (e.g. "/services" -> "services.html")
-        if(!path.extname(filePath)){
-          const htmlPath = filePath + ".html";
-          if(fs.existsSync(htmlPath)) filePath = htmlPath;
-        }
-      }
 
-      // Prevent directory traversal
-      const resolved = path.resolve(filePath);
-      if(!resolved.startsWith(path.resolve(PUBLIC_DIR))){
-        return send(res, 403, {"Content-Type":"text/plain; charset=utf-8"}, "Forbidden");
+  // Returns { existed, replayed, torn } so the caller knows whether to import / compact.
+  function load(){
+    const snap = safeReadJson(storeFile, null);
+    if(snap?.tables){
+      for(const [name, rows] of Object.entries(snap.tables)){
+        if(!data.has(name) || !Array.isArray(rows)) continue;
+        for(const r of rows) if(r?.id != null) data.get(name).set(String(r.id), r);
       }
-      if(!fs.existsSync(resolved) || fs.statSync(resolved).isDirectory()){
-        return send(res, 404, {"Content-Type":"text/plain; charset=utf-8"}, "Not Found");
+      seq = Number(snap.seq) || 0;
+    }
+    let replayed = 0;
+    let torn = false;
+    if(fs.existsSync(journalFile)){
+      for(const line of fs.readFileSync(journalFile, "utf-8").split("\n")){
+        if(!line.trim()) continue;
+        let entry;
+        try{ entry = JSON.parse(line); }
+        catch(_){ console.warn("[DATA] ignoring torn journal entry"); torn = true; break; }
+        if(!(entry?.seq > seq) || !Array.isArray(entry.ops)) continue;
+        apply(entry.ops);
+        seq = entry.seq;
+        replayed++;
       }
+    }
+    journalLines = replayed;
+    return { existed: !!snap?.tables || replayed > 0, replayed, torn };
+  }
 
-      const ext = path.extname(resolved).toLowerCase();
-      const MIME = {
-        ".html":"text/html; charset=utf-8",
-        ".css":"text/css; charset=utf-8",
-        ".js":"application/javascript; charset=utf-8",
-        ".json":"application/json; charset=utf-8",
-        ".png":"image/png",
-        ".jpg":"image/jpeg",
-        ".jpeg":"image/jpeg",
-        ".webp":"image/webp",
-        ".svg":"image/svg+xml",
-        ".ico":"image/x-icon",
-        ".txt":"text/plain; charset=utf-8"
-      };
-      const ct = MIME[ext] || "application/octet-stream";
-      const body = fs.readFileSync(resolved);
-      return send(res, 200, {"Content-Type": ct}, body);
+  function commit(ops){
+    const entry = { seq: seq + 1, ts: nowStamp(), ops };
+    const fd = fs.openSync(journalFile, "a");
+    const size = fs.fstatSync(fd).size;
+    try{
+      fs.writeSync(fd, JSON.stringify(entry) + "\n");
+      fs.fsyncSync(fd);
     }catch(e){
-      console.error("[STATIC] error", e);
-      return send(res, 500, {"Content-Type":"text/plain; charset=utf-8"}, "Server Error");
+      // Don't leave half a line behind for the next append to glue onto
+      try{ fs.ftruncateSync(fd, size); }catch(_){ }
+      throw e;
+    }finally{
+      fs.closeSync(fd);
     }
+    seq = entry.seq;
+    apply(ops);
+    if(++journalLines >= compactLines) compact();
   }
 
+  // Point-in-time copy of every table (the store.json shape).
+  function snapshot(){
+    const snap = { version: 1, seq, savedISO: nowStamp(), tables: {} };
+    for(const [name, t] of data) snap.tables[name] = Array.from(t.values(), cloneRecord);
+    return snap;
+  }
 
-
-  // ✅ Load schedule table
-  // Returns the authoritative server schedule (booked + pending)
-  if(req.method === "GET" && req.url === "/api/schedule"){
-    return json(res, 200, { ok:true, booked: BOOKED, pending: PENDING });
+  // Write every table to the snapshot and start an empty journal.
+  function compact(){
+    if(!safeWriteJson(storeFile, snapshot())) return false;
+    fs.writeFileSync(journalFile, "", "utf-8");
+    journalLines = 0;
+    return true;
   }
 
-  // ✅ Load availability (weekly + blocked slots)
-  if(req.method === "GET" && req.url === "/api/availability"){
-    return json(res, 200, { ok:true, availability: AVAILABILITY });
+  // Swap in a whole snapshot (backup restore). Callers validate it first.
+  function replace(snap){
+    for(const t of data.values()) t.clear();
+    for(const [name, rows] of Object.entries(snap?.tables || {})){
+      if(!data.has(name) || !Array.isArray(rows)) continue;
+      for(const r of rows) if(r?.id != null) data.get(name).set(String(r.id), cloneRecord({ ...r, id: String(r.id) }));
+    }
+    seq += 1;
+    if(!compact()) throw new Error("failed to write the restored snapshot");
   }
 
-  // ✅ Replace availability (admin)
-  if(req.method === "POST" && req.url === "/api/availability/set"){
-    return readBodyJson(req, res, async (payload)=>{
-      const next = normalizeAvailability(payload?.availability ?? payload);
-      AVAILABILITY = next;
-      persist();
-      console.log(`\n[AVAIL] set weekly+blocks  blocksDays=${Object.keys(AVAILABILITY.blocks||{}).length}`);
-      return json(res, 200, { ok:true });
-    });
+  // Reads return copies; the only way to change a record is tx().
+  function get(name, id){
+    return cloneRecord(table(name).get(String(id)) ?? null);
+  }
+  function list(name){
+    return Array.from(table(name).values(), cloneRecord);
+  }
+  function count(name){
+    return table(name).size;
   }
 
-  // ✅ Load inventory
-  if(req.method === "GET" && req.url === "/api/inventory"){
-    return json(res, 200, { ok:true, items: INVENTORY });
+  // fn(t) stages writes with t.put(table, record) / t.del(table, id) and sees its own
+  // staged writes through t.get / t.list. Whatever fn returns is returned; if it throws,
+  // nothing is written. fn must not be async.
+  function tx(fn){
+    const staged = new Map(); // "table\0id" -> record, or null when deleted
+    const ops = [];
+    const key = (name, id) => `${name}\0${id}`;
+    const t = {
+      get(name, id){
+        const k = key(name, String(id));
+        return staged.has(k) ? cloneRecord(staged.get(k)) : get(name, id);
+      },
+      list(name){
+        const out = [];
+        for(const [id, r] of table(name)){
+          const k = key(name, id);
+          const v = staged.has(k) ? staged.get(k) : r;
+          if(v) out.push(cloneRecord(v));
+        }
+        for(const [k, v] of staged){
+          if(v && k.startsWith(`${name}\0`) && !table(name).has(v.id)) out.push(cloneRecord(v));
+        }
+        return out;
+      },
+      put(name, record){
+        table(name);
+        if(record?.id == null || record.id === "") throw new Error(`${name}: record needs an id`);
+        const r = cloneRecord({ ...record, id: String(record.id) });
+        staged.set(key(name, r.id), r);
+        ops.push({ op:"put", t:name, r });
+        return cloneRecord(r);
+      },
+      del(name, id){
+        const existed = t.get(name, id) != null;
+        staged.set(key(name, String(id)), null);
+        if(existed) ops.push({ op:"del", t:name, id:String(id) });
+        return existed;
+      },
+    };
+    const result = fn(t);
+    if(result && typeof result.then === "function") throw new Error("db.tx callback must be synchronous");
+    if(ops.length) commit(ops);
+    return result;
   }
 
-  // ✅ Create/update inventory item (admin)
-  // Payload:
-  // { item: {...}, imageDataUrl?: "data:image/png;base64,...", imageName?: "..." }
-  if(req.method === "POST" && req.url === "/api/inventory/upsert"){
-    return readBodyJson(req, res, (payload)=>{
-      const rawItem = payload?.item ?? payload;
-      let item = normalizeInventoryItem(rawItem);
+  return { load, compact, snapshot, replace, get, list, count, tx, seq: () => seq };
+}
 
-      // If an image was uploaded, save it and set imagePath
-      const imageDataUrl = payload?.imageDataUrl || payload?.image || payload?.imageBase64;
-      if(imageDataUrl){
-        item.imagePath = saveUploadedImage({
-          dataUrl: imageDataUrl,
-          filenameHint: payload?.imageName || rawItem?.imageName || "upload",
-          id: item.id
-        });
-      }else{
-        // If no image provided and no previous imagePath, ensure default
-        if(!item.imagePath) item.imagePath = `/uploads/${DEFAULT_IMAGE_FILE}`;
-      }
+// One-time import of the flat files used before the datastore (data/booked.json etc.).
+// Only runs when there is no store yet; the old files are left in place untouched.
+function migrateLegacyJson(store){
+  const rows = (file) => {
+    const v = safeReadJson(file, []);
+    return Array.isArray(v) ? v.filter(x => x && typeof x === "object") : [];
+  };
+  const withId = (x) => ({ ...x, id: String(x.id || makeId()) });
+  const legacy = {
+    pending: rows(PENDING_FILE),
+    booked: rows(BOOKED_FILE),
+    inventory: rows(INVENTORY_FILE),
+    gallery: rows(GALLERY_FILE),
+    messages: rows(MESSAGES_FILE),
+    users: rows(USERS_FILE),
+  };
+  const availability = safeReadJson(AVAIL_FILE, null);
 
-      const idx = INVENTORY.findIndex(x => x.id === item.id);
-      if(idx >= 0) INVENTORY[idx] = item;
-      else INVENTORY.push(item);
+  store.tx(t => {
+    for(const a of legacy.pending) t.put("appointments", { ...withId(a), status:"pending" });
+    for(const a of legacy.booked) t.put("appointments", { ...withId(a), status:"accepted" });
+    t.put("availability", { id:"current", ...normalizeAvailability(availability || DEFAULT_AVAILABILITY) });
+    for(const x of legacy.inventory) t.put("inventory", withId(x));
+    // Gallery and messages were kept newest-first; the tables are oldest-first
+    for(const x of [...legacy.gallery].reverse()) t.put("gallery", withId(x));
+    for(const x of [...legacy.messages].reverse()) t.put("messages", withId(x));
+    for(const x of legacy.users) t.put("users", withId(x));
+  });
+  return Object.fromEntries(Object.entries(legacy).map(([k, v]) => [k, v.length]));
+}
 
-      persist();
-      console.log(`\n[INV] upsert id=${item.id} title="${item.title}"`);
-      return json(res, 200, { ok:true, item });
-    });
+function openStore(){
+  const store = createStore();
+  const { existed, replayed, torn } = store.load();
+  if(!existed){
+    const counts = migrateLegacyJson(store);
+    console.log("[DATA] imported legacy JSON files", counts);
   }
+  if(!existed || replayed || torn) store.compact();
+  return store;
+}
 
-  // ✅ Delete inventory item (admin)
-  if(req.method === "POST" && req.url === "/api/inventory/delete"){
-    return readBodyJson(req, res, (payload)=>{
-      const id = String(payload?.id || "");
-      if(!id) return json(res, 400, { ok:false, error:"Missing id" });
+const db = openStore();
 
-      const idx = INVENTORY.findIndex(x => x.id === id);
-      if(idx < 0) return json(res, 404, { ok:false, error:"Not found" });
+// -------------------- Repository helpers --------------------
+// Booked = confirmed onward: these hold their slot on the calendar. No-shows and
+// cancellations are kept for the record but free the slot again.
+const BOOKED_STATUSES = ["accepted", "en_route", "on_site", "waiting_parts", "completed"];
+const CLOSED_STATUSES = ["no_show", "canceled"];
+const isPending = (a) => a?.status === "pending";
+const isBooked = (a) => BOOKED_STATUSES.includes(a?.status);
+const isClosed = (a) => CLOSED_STATUSES.includes(a?.status);
 
-      const item = INVENTORY[idx];
-      INVENTORY.splice(idx, 1);
+function pendingAppts(){ return db.list("appointments").filter(isPending); }
+function bookedAppts(){ return db.list("appointments").filter(isBooked); }
+function closedAppts(){ return db.list("appointments").filter(isClosed); }
+// Booked but not started yet (what reminders go out for)
+function confirmedAppts(){ return db.list("appointments").filter(a => a.status === "accepted"); }
+function getAvailability(){
+  const rec = db.get("availability", "current");
+  return {
+    weekly: rec?.weekly && typeof rec.weekly === "object" ? rec.weekly : DEFAULT_AVAILABILITY.weekly,
+    blocks: rec?.blocks && typeof rec.blocks === "object" ? rec.blocks : {},
+  };
+}
+// Newest first, as the gallery shows them
+function galleryPhotos(){ return db.list("gallery").reverse(); }
+function listUsers(){ return db.list("users"); }
+function findUser(id){ return id ? db.get("users", id) : null; }
 
-      // Best-effort: delete the image file if it's not the default
-      try{
-        const p = String(item?.imagePath || "");
-        if(p.startsWith("/uploads/") && !p.endsWith(`/${DEFAULT_IMAGE_FILE}`)){
-          const rel = p.replace(/^\/uploads\//, "");
-          const safe = rel.replace(/[^a-z0-9._-]/gi, "");
-          const full = path.join(UPLOAD_DIR, safe);
-          if(full.startsWith(UPLOAD_DIR) && fs.existsSync(full)) fs.unlinkSync(full);
-        }
-      }catch(_){ }
+// -------------------- Appointment durations --------------------
+// A job occupies [start, start + slots*SLOT_MINUTES). Keep SLOT_MINUTES in sync with
+// DEFAULT_STATE.settings.slotMinutes in app.js (the client reads both from /api/availability).
+const SLOT_MINUTES = 120;
+const MAX_SLOTS = 8;
+// Default length (in slots) per service type offered on the request form.
+const SERVICE_DURATIONS = {
+  "Repair (House Call)": 1,
+  "Inventory Purchase": 1,
+  "Rental Inquiry": 1,
+};
+const DEFAULT_DURATION_SLOTS = 1;
 
-      persist();
-      console.log(`\n[INV] delete id=${id}`);
-      return json(res, 200, { ok:true });
-    });
-  }
+function clampSlots(v){
+  const n = Math.floor(Number(v));
+  if(!Number.isFinite(n) || n < 1) return 0;
+  return Math.min(n, MAX_SLOTS);
+}
+function defaultSlotsFor(serviceType){
+  return SERVICE_DURATIONS[String(serviceType || "")] || DEFAULT_DURATION_SLOTS;
+}
+function apptInterval(a){
+  const start = Date.parse(a?.startISO);
+  if(!Number.isFinite(start)) return null;
+  const slots = clampSlots(a?.slots) || DEFAULT_DURATION_SLOTS;
+  return { start, end: start + slots * SLOT_MINUTES * 60 * 1000 };
+}
+// First appointment in list whose interval overlaps appt's (ignoring appt itself).
+function findOverlap(list, appt){
+  const iv = apptInterval(appt);
+  if(!iv) return null;
+  return list.find(x => {
+    if(x === appt || (appt.id && x?.id === appt.id)) return false;
+    const other = apptInterval(x);
+    return !!other && other.start < iv.end && iv.start < other.end;
+  }) || null;
+}
 
-  // ✅ Load gallery
-  if(req.method === "GET" && req.url === "/api/gallery"){
-    return json(res, 200, { ok:true, photos: GALLERY });
-  }
+// -------------------- Job lifecycle --------------------
+// requested -> confirmed -> en route -> on site -> (waiting on parts ->) completed,
+// with no-show and canceled as the other ways out. "pending"/"accepted" are the
+// stored names for requested/confirmed so existing records and links keep working.
+// Every change is appended to appt.history as { status, atISO, by }.
+const JOB_STATUSES = {
+  pending:       "Requested",
+  accepted:      "Confirmed",
+  en_route:      "En route",
+  on_site:       "On site",
+  waiting_parts: "Waiting on parts",
+  completed:     "Completed",
+  no_show:       "No-show",
+  canceled:      "Canceled",
+};
+const JOB_TRANSITIONS = {
+  pending:       ["accepted", "canceled"],
+  accepted:      ["en_route", "on_site", "no_show", "canceled"],
+  en_route:      ["on_site", "no_show", "canceled"],
+  on_site:       ["waiting_parts", "completed"],
+  waiting_parts: ["en_route", "on_site", "completed", "canceled"],
+  completed:     [],
+  no_show:       [],
+  canceled:      [],
+};
+// Field-work endpoints (POST { id }); accept, cancel and complete have their own routes.
+const JOB_ACTION_ROUTES = {
+  "/api/schedule/en-route":      "en_route",
+  "/api/schedule/on-site":       "on_site",
+  "/api/schedule/waiting-parts": "waiting_parts",
+  "/api/schedule/no-show":       "no_show",
+};
 
-  // ✅ Add a gallery photo (admin)
-  // Payload: { caption?, imageDataUrl, imageName? }
-  if(req.method === "POST" && req.url === "/api/gallery/add"){
+function canTransition(from, to){
+  return (JOB_TRANSITIONS[from] || []).includes(to);
+}
+function withStatus(appt, status, by){
+  const atISO = nowStamp();
+  const history = Array.isArray(appt.history) ? appt.history : [];
+  return { ...appt, status, history: [...history, { status, atISO, by: String(by || "") }] };
+}
+// Inside a db.tx: moves job id to status. Returns { before, appt } or { status, error }.
+function transitionJob(t, id, status, by, extra){
+  const cur = t.get("appointments", id);
+  if(!cur) return { status:404, error:"Not found" };
+  if(!canTransition(cur.status, status)){
+    return { status:409, error:`A job that is ${JOB_STATUSES[cur.status] || cur.status} can't be marked ${JOB_STATUSES[status]}.` };
+  }
+  return { before: cur, appt: t.put("appointments", withStatus({ ...cur, ...extra }, status, by)) };
+}
+
+function cleanPart(p){
+  const qty = Number(p?.qty);
+  const price = (p?.unitPrice === "" || p?.unitPrice == null) ? null : Number(p.unitPrice);
+  return {
+    name: String(p?.name || "").trim().slice(0, 200),
+    partNumber: String(p?.partNumber || "").trim().slice(0, 80),
+    qty: Number.isFinite(qty) && qty > 0 ? qty : 1,
+    unitPrice: Number.isFinite(price) && price >= 0 ? price : null,
+  };
+}
+function normalizeWorkOrder(input, appt, by){
+  const labor = Math.round(Number(input?.laborMinutes));
+  return {
+    id: makeId(),
+    apptId: appt.id,
+    diagnosis: String(input?.diagnosis || "").trim(),
+    parts: (Array.isArray(input?.parts) ? input.parts : []).map(cleanPart).filter(p => p.name),
+    laborMinutes: Number.isFinite(labor) && labor > 0 ? labor : 0,
+    techNotes: String(input?.techNotes || "").trim(),
+    completedISO: nowStamp(),
+    completedBy: String(by || ""),
+  };
+}
+// Admin schedule rows: completed jobs carry their work order along, jobs on a known unit
+// carry the unit and its earlier visits, and (for staff who bill) estimates and invoices.
+// history: a serviceHistoryIndex() to reuse when viewing many jobs at once.
+function jobView(appt, { withDocs = false, history = null } = {}){
+  const row = withoutSecrets(appt);
+  if(appt.zoneId) row.zoneName = zoneById(appt.zoneId)?.name || appt.zoneId;
+  if(appt.workOrderId) row.workOrder = db.get("workorders", appt.workOrderId);
+  if(appt.applianceId){
+    row.applianceRecord = db.get("appliances", appt.applianceId);
+    row.serviceHistory = ((history || serviceHistoryIndex()).get(appt.applianceId) || [])
+      .filter(h => h.apptId !== appt.id && String(h.startISO) < String(appt.startISO));
+  }
+  if(withDocs) row.docs = jobDocs(appt.id).map(docSummary);
+  return row;
+}
+
+// -------------------- Service area --------------------
+// Where we go and what it costs to get there, read once at start from
+// config/service-area.json (SERVICE_AREA_FILE): zones matched by a ZIP list and/or a
+// polygon of [lat, lon] points tested against the ZIP's centroid from
+// config/zip-centroids.json (ZIP_CENTROIDS_FILE). A zone's tripFee, when set, replaces
+// the billing trip fee on its jobs. travelMinutes is the gap needed between back-to-back
+// booked jobs for the same person: sameZone, default, and "a|b" pairs.
+// Without the file any ZIP is accepted and no gaps are enforced.
+const SERVICE_AREA_FILE = process.env.SERVICE_AREA_FILE || path.join(__dirname, "config", "service-area.json");
+const ZIP_CENTROIDS_FILE = process.env.ZIP_CENTROIDS_FILE || path.join(__dirname, "config", "zip-centroids.json");
+
+function loadServiceArea(){
+  const raw = safeReadJson(SERVICE_AREA_FILE, null);
+  if(!raw || !Array.isArray(raw.zones)){
+    console.warn(`[AREA] no service area at ${SERVICE_AREA_FILE}; accepting every ZIP`);
+    return null;
+  }
+  const zones = raw.zones.map(z => ({
+    id: String(z?.id || "").trim(),
+    name: String(z?.name || z?.id || "").trim(),
+    tripFee: (z?.tripFee === "" || z?.tripFee == null || !(Number(z.tripFee) >= 0)) ? null : Number(z.tripFee),
+    zips: (Array.isArray(z?.zips) ? z.zips : []).map(normalizeZip).filter(Boolean),
+    polygon: (Array.isArray(z?.polygon) ? z.polygon : []).map(p => [Number(p?.[0]), Number(p?.[1])]).filter(p => p.every(Number.isFinite)),
+  })).filter(z => z.id && (z.zips.length || z.polygon.length >= 3));
+  const tm = raw.travelMinutes || {};
+  const mins = (v) => Math.max(0, Number(v) || 0);
+  const pairs = {};
+  for(const [k, v] of Object.entries(tm.pairs || {})) pairs[k] = mins(v);
+  console.log(`[AREA] ${zones.length} zones from ${SERVICE_AREA_FILE}`);
+  return { zones, travel: { sameZone: mins(tm.sameZone), default: mins(tm.default), pairs }, depotZip: normalizeZip(raw.depotZip) };
+}
+function normalizeZip(v){
+  const m = String(v ?? "").trim().match(/^(\d{5})(?:-\d{4})?$/);
+  return m ? m[1] : "";
+}
+const ZIP_CENTROIDS = safeReadJson(ZIP_CENTROIDS_FILE, {}) || {};
+const SERVICE_AREA = loadServiceArea();
+
+function zipCentroid(zip){
+  const p = ZIP_CENTROIDS[normalizeZip(zip)];
+  return Array.isArray(p) && p.length === 2 && p.every(Number.isFinite) ? p : null;
+}
+// Ray casting on [lat, lon] pairs (fine at metro scale)
+function pointInPolygon([lat, lon], poly){
+  let inside = false;
+  for(let i = 0, j = poly.length - 1; i < poly.length; j = i++){
+    const [yi, xi] = poly[i], [yj, xj] = poly[j];
+    if((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+function zoneForZip(zip){
+  if(!SERVICE_AREA || !zip) return null;
+  const listed = SERVICE_AREA.zones.find(z => z.zips.includes(zip));
+  if(listed) return listed;
+  const point = zipCentroid(zip);
+  return point ? (SERVICE_AREA.zones.find(z => z.polygon.length >= 3 && pointInPolygon(point, z.polygon)) || null) : null;
+}
+function zoneById(id){
+  return SERVICE_AREA?.zones.find(z => z.id === id) || null;
+}
+function serviceAddress(appt){
+  return [appt?.address, appt?.zip].filter(Boolean).join(", ");
+}
+function publicZone(z){
+  return z ? { id: z.id, name: z.name, tripFee: z.tripFee } : null;
+}
+
+// Checks appt.zip and stamps the zone and its trip fee on the job. Returns an error
+// message or "". With required unset a job without a ZIP is fine (staff booking a shop visit).
+function applyServiceZone(appt, { required = true } = {}){
+  if(!appt.zip){
+    appt.zoneId = "";
+    appt.tripFee = null;
+    return required ? "Please enter the service address ZIP code" : "";
+  }
+  const zone = zoneForZip(appt.zip);
+  if(SERVICE_AREA && !zone) return `Sorry, ${appt.zip} is outside our service area (${BUSINESS.area}). Call ${BUSINESS.phone} and we'll see what we can do.`;
+  appt.zoneId = zone?.id || "";
+  appt.tripFee = zone ? zone.tripFee : null;
+  return "";
+}
+
+function travelMinutesBetween(a, b){
+  if(!SERVICE_AREA || !a || !b) return 0;
+  const t = SERVICE_AREA.travel;
+  if(a === b) return t.sameZone;
+  return t.pairs[`${a}|${b}`] ?? t.pairs[`${b}|${a}`] ?? t.default;
+}
+// First job in list too close to appt to drive between their zones (jobs that overlap
+// are left to the overlap checks). Returns { job, minutes } or null.
+function travelConflict(list, appt){
+  const iv = apptInterval(appt);
+  if(!iv || !appt.zoneId) return null;
+  for(const x of list){
+    if(x.id === appt.id) continue;
+    const other = apptInterval(x);
+    const minutes = travelMinutesBetween(x.zoneId, appt.zoneId);
+    if(!other || !minutes) continue;
+    const gap = other.end <= iv.start ? iv.start - other.end : (iv.end <= other.start ? other.start - iv.end : null);
+    if(gap != null && gap < minutes * 60 * 1000) return { job: x, minutes };
+  }
+  return null;
+}
+
+// -------------------- Technicians --------------------
+// A technician record belongs to a staff account (same id as the user) and carries that
+// person's own weekly template and blocks (the availability shape) plus the service types
+// they handle (empty = all). With no active technician records the shop books as one
+// person, exactly as before. With them, a time can be booked while some qualified
+// technician is working, not blocked, not on another job and able to drive there in time
+// (see travelConflict), and booked jobs are assigned.
+// Weekly hours and block keys are read in BUSINESS_TZ, slot by slot, like the calendar.
+const PUBLIC_SCHEDULE_DAYS = Math.max(1, Number(process.env.PUBLIC_SCHEDULE_DAYS || 60));
+const LOCAL_PARTS_FMT = new Intl.DateTimeFormat("en-CA", {
+  timeZone: BUSINESS_TZ, year:"numeric", month:"2-digit", day:"2-digit", weekday:"short",
+  hour:"2-digit", minute:"2-digit", hourCycle:"h23"
+});
+const WEEKDAY_SHORT = ["Sun","Mon","Tue","Wed","Thu","Fri","Sat"];
+
+function localSlotParts(ms){
+  const p = Object.fromEntries(LOCAL_PARTS_FMT.formatToParts(new Date(ms)).map(x => [x.type, x.value]));
+  return { dateISO: `${p.year}-${p.month}-${p.day}`, dow: WEEKDAY_SHORT.indexOf(p.weekday), hour: Number(p.hour), time: `${p.hour}:${p.minute}` };
+}
+
+function normalizeTechnician(input, existing){
+  const types = Array.isArray(input?.serviceTypes) ? input.serviceTypes : (existing?.serviceTypes || []);
+  const hours = normalizeAvailability({
+    weekly: input?.weekly ?? existing?.weekly,
+    blocks: input?.blocks ?? existing?.blocks,
+  });
+  return {
+    id: String(existing?.id || input?.id || ""),
+    serviceTypes: Array.from(new Set(types.map(x => String(x).trim()).filter(Boolean))),
+    weekly: hours.weekly,
+    blocks: hours.blocks,
+    active: input?.active !== undefined ? !!input.active : (existing ? existing.active !== false : true),
+    updatedISO: nowStamp(),
+  };
+}
+// Technicians whose account still exists, with the account's display name
+function listTechnicians({ all = false } = {}){
+  return db.list("technicians")
+    .filter(x => all || x.active !== false)
+    .map(x => ({ ...x, user: findUser(x.id) }))
+    .filter(x => x.user)
+    .map(({ user, ...x }) => ({ ...x, name: user.name || user.username }));
+}
+function techQualified(tech, serviceType){
+  return !serviceType || !tech.serviceTypes?.length || tech.serviceTypes.includes(String(serviceType));
+}
+// Every slot of the job falls inside the technician's weekly hours and none is blocked
+function techOnDuty(tech, appt){
+  const iv = apptInterval(appt);
+  if(!iv) return false;
+  for(let t = iv.start; t < iv.end; t += SLOT_MINUTES * 60 * 1000){
+    const p = localSlotParts(t);
+    const day = tech.weekly?.[String(p.dow)];
+    if(!day?.enabled || p.hour < day.start || p.hour >= day.end) return false;
+    if((tech.blocks?.[p.dateISO] || []).includes(p.time)) return false;
+  }
+  return true;
+}
+// Whether a customer may pick appt's time, as the calendar shows it: it starts on the slot
+// grid and every slot is inside the shop's weekly hours, not blocked, and (when the job
+// has one) inside its technician's hours. The availability record has the same
+// { weekly, blocks } shape as a technician, so techOnDuty reads both.
+function customerSlotOpen(appt){
+  const t = Date.parse(appt?.startISO);
+  if(!Number.isFinite(t)) return false;
+  const p = localSlotParts(t);
+  if((p.hour * 60 + Number(p.time.slice(3))) % SLOT_MINUTES) return false;
+  if(!techOnDuty(getAvailability(), appt)) return false;
+  const tech = appt.assignedTo ? listTechnicians().find(x => x.id === appt.assignedTo) : null;
+  return !tech || techOnDuty(tech, appt);
+}
+// Why this technician can't take appt ("" when they can). others excludes appt itself.
+function techUnavailable(tech, others, appt){
+  if(!techQualified(tech, appt.serviceType)) return `${tech.name} doesn't handle ${appt.serviceType}`;
+  if(!techOnDuty(tech, appt)) return `${tech.name} isn't working then`;
+  const theirs = others.filter(x => isBooked(x) && x.assignedTo === tech.id);
+  const clash = findOverlap(theirs, appt);
+  if(clash) return `${tech.name} has a job at ${clash.startISO}`;
+  const tight = travelConflict(theirs, appt);
+  return tight ? `${tech.name} can't make the ${tight.minutes} min drive from/to the job at ${tight.job.startISO}` : "";
+}
+
+const TOO_FAR_MSG = "There isn't enough time to drive there from the jobs around that time. Please pick another time.";
+
+// Why appt can't go at its time ("" when it can). Without technicians: any overlapping
+// booked job, or request when pending is set, is a conflict, and so is a booked job next
+// to it that is too far away (travelConflict). With them, a booked job
+// assigned to a technician only needs that technician; anything else needs more free
+// qualified technicians than the unassigned jobs (and, with pending, requests) already
+// claiming that time.
+function scheduleConflict(appts, appt, { pending = true, techs = listTechnicians() } = {}){
+  const others = appts.filter(x => x.id !== appt.id);
+  if(!techs.length){
+    if(findOverlap(others.filter(isBooked), appt)) return "Slot already booked";
+    if(pending && findOverlap(others.filter(isPending), appt)) return "Slot already pending";
+    return travelConflict(others.filter(isBooked), appt) ? TOO_FAR_MSG : "";
+  }
+  if(isBooked(appt) && appt.assignedTo){
+    const tech = techs.find(x => x.id === appt.assignedTo);
+    return tech ? techUnavailable(tech, others, appt) : "That account has no technician schedule";
+  }
+  const free = techs.filter(x => !techUnavailable(x, others, appt));
+  const techIds = new Set(techs.map(x => x.id));
+  const claims = others.filter(x =>
+    ((isBooked(x) && !techIds.has(x.assignedTo)) || (pending && isPending(x))) && findOverlap([x], appt)
+  );
+  if(free.length > claims.length) return "";
+  if(!techs.some(x => techQualified(x, appt.serviceType))) return `No technician handles ${appt.serviceType}`;
+  if(appt.zoneId && techs.some(x => techUnavailable(x, others, { ...appt, zoneId:"" }) === "")) return TOO_FAR_MSG;
+  return "No technician is free then";
+}
+
+// Who gets a job being booked or accepted. A technician asked for by staff must be free;
+// otherwise the preferred one (a request's earlier assignee) if free, else the free,
+// qualified technician with the fewest jobs that day. Returns { assignedTo } or { error }.
+function assignTechnician(appts, appt, requested, techs = listTechnicians()){
+  const others = appts.filter(x => x.id !== appt.id);
+  if(requested){
+    const tech = techs.find(x => x.id === requested);
+    if(!tech) return { error:"That account has no technician schedule" };
+    const why = techUnavailable(tech, others, appt);
+    return why ? { error: why } : { assignedTo: tech.id };
+  }
+  const pref = techs.find(x => x.id === appt.assignedTo);
+  if(pref && !techUnavailable(pref, others, appt)) return { assignedTo: pref.id };
+  const day = localSlotParts(Date.parse(appt.startISO)).dateISO;
+  const load = (tech) => others.filter(x => isBooked(x) && x.assignedTo === tech.id && localSlotParts(Date.parse(x.startISO)).dateISO === day).length;
+  const free = techs.filter(x => !techUnavailable(x, others, appt)).sort((a, b) => load(a) - load(b));
+  if(!free.length) return { error: scheduleConflict(appts, { ...appt, assignedTo:"" }, { pending:false, techs }) || "No technician is free then" };
+  return { assignedTo: free[0].id };
+}
+
+// Public occupancy with technicians: the slot-grid ranges (slots start on SLOT_MINUTES
+// boundaries from local midnight) over the next PUBLIC_SCHEDULE_DAYS in which nobody
+// could take another one-slot job. Consecutive full slots are merged into one range.
+// Only jobs within a day of that window can matter. The result is kept until the data
+// store changes (db.seq) or the window moves on to the next hour, since every public
+// page load and schedule broadcast asks for it.
+let _fullSlotCache = { key: "", ranges: [] };
+function fullSlotRanges(techs){
+  const step = 60 * 60 * 1000;
+  let t = Math.floor(Date.now() / step) * step;
+  const until = t + PUBLIC_SCHEDULE_DAYS * 24 * step;
+  const key = `${db.seq()}:${t}`;
+  if(_fullSlotCache.key === key) return _fullSlotCache.ranges.map(x => ({ ...x }));
+  const appts = db.list("appointments").filter(x => {
+    const iv = (isBooked(x) || isPending(x)) && apptInterval(x);
+    return iv && iv.end > t - 24 * step && iv.start < until + 24 * step;
+  });
+  const out = [];
+  let run = null, runEnd = 0;
+  for(; t < until; t += step){
+    const p = localSlotParts(t);
+    if((p.hour * 60 + Number(p.time.slice(3))) % SLOT_MINUTES) continue;
+    const startISO = new Date(t).toISOString();
+    if(!scheduleConflict(appts, { id:"", startISO, slots:1, serviceType:"", status:"pending" }, { techs })) continue;
+    if(run && runEnd === t) run.slots += 1;
+    else out.push(run = { startISO, slots:1 });
+    runEnd = t + SLOT_MINUTES * 60 * 1000;
+  }
+  _fullSlotCache = { key, ranges: out };
+  return out.map(x => ({ ...x }));
+}
+
+// -------------------- Day route plans --------------------
+// Orders one person's booked jobs for a day to keep the driving short, with distances
+// from the ZIP centroids in config/zip-centroids.json (straight-line miles times
+// ROUTE_ROAD_FACTOR at ROUTE_MPH) starting and ending at the depot: ROUTE_DEPOT_ZIP, else
+// depotZip in the service area file. Booked times still count: nobody is visited before
+// their slot starts, and of the orders that are late for the fewest slots the shortest
+// drive wins. Each stop takes ROUTE_STOP_MINUTES per slot of the job; a stop that can't
+// be reached before its slot ends is flagged late. Jobs without a known ZIP are listed apart.
+const ROUTE_DEPOT_ZIP = normalizeZip(process.env.ROUTE_DEPOT_ZIP) || SERVICE_AREA?.depotZip || "";
+const ROUTE_MPH = Math.max(1, Number(process.env.ROUTE_MPH || 30));
+const ROUTE_ROAD_FACTOR = Math.max(1, Number(process.env.ROUTE_ROAD_FACTOR || 1.3));
+const ROUTE_STOP_MINUTES = Math.max(1, Number(process.env.ROUTE_STOP_MINUTES || 60));
+const ROUTE_WINDOW_MINUTES = Math.max(15, Number(process.env.ROUTE_WINDOW_MINUTES || 60));
+// Up to this many stops every order is tried; past it, nearest neighbour + 2-opt
+const ROUTE_EXACT_STOPS = 7;
+
+function haversineMiles([lat1, lon1], [lat2, lon2]){
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad, dLon = (lon2 - lon1) * rad;
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) ** 2;
+  return 3958.8 * 2 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+// Road estimate between two centroids: { miles, minutes }
+function driveLeg(a, b){
+  if(!a || !b) return { miles: 0, minutes: 0 };
+  const miles = haversineMiles(a, b) * ROUTE_ROAD_FACTOR;
+  return { miles: Math.round(miles * 10) / 10, minutes: Math.ceil(miles / ROUTE_MPH * 60) };
+}
+
+// Drives stops (each { point, start, end, stayMs }) in the given order from depot, leaving
+// so as to reach the first one as its slot opens. Returns { legs, late, miles } with
+// legs[k] = { miles, minutes, arrive, leave } per stop and miles including the way back.
+function runRoute(stops, order, depot){
+  const legs = [];
+  let at = depot, clock = null, late = 0, miles = 0;
+  for(const i of order){
+    const st = stops[i];
+    const leg = driveLeg(at, st.point);
+    const arrive = clock == null ? st.start : Math.max(clock + leg.minutes * 60 * 1000, st.start);
+    if(arrive >= st.end) late++;
+    clock = arrive + st.stayMs;
+    legs.push({ ...leg, arrive, leave: clock });
+    miles += leg.miles;
+    at = st.point;
+  }
+  return { legs, late, miles: miles + driveLeg(at, depot).miles };
+}
+function betterRoute(a, b){
+  return !b || a.late < b.late || (a.late === b.late && a.miles < b.miles - 1e-9);
+}
+function permutations(n){
+  if(n <= 1) return [[...Array(n).keys()]];
+  return permutations(n - 1).flatMap(p => p.map((_, k) => [...p.slice(0, k), n - 1, ...p.slice(k)]).concat([[...p, n - 1]]));
+}
+// Best visiting order (indexes into stops), tried from the booked order so ties keep it
+function orderStops(stops, depot){
+  const booked = stops.map((_, i) => i).sort((a, b) => stops[a].start - stops[b].start);
+  if(stops.length <= ROUTE_EXACT_STOPS){
+    let best = null, bestOrder = booked;
+    for(const order of [booked, ...permutations(stops.length)]){
+      const r = runRoute(stops, order, depot);
+      if(betterRoute(r, best)){ best = r; bestOrder = order; }
+    }
+    return bestOrder;
+  }
+  const left = [...booked];
+  const near = [];
+  let at = depot || stops[left[0]].point;
+  while(left.length){
+    let k = 0;
+    left.forEach((i, j) => { if(haversineMiles(at, stops[i].point) < haversineMiles(at, stops[left[k]].point)) k = j; });
+    near.push(...left.splice(k, 1));
+    at = stops[near[near.length - 1]].point;
+  }
+  let order = booked, best = runRoute(stops, booked, depot);
+  const nn = runRoute(stops, near, depot);
+  if(betterRoute(nn, best)){ order = near; best = nn; }
+  for(let improved = true; improved;){
+    improved = false;
+    for(let i = 0; i < order.length - 1; i++){
+      for(let j = i + 1; j < order.length; j++){
+        const next = [...order.slice(0, i), ...order.slice(i, j + 1).reverse(), ...order.slice(j + 1)];
+        const r = runRoute(stops, next, depot);
+        if(betterRoute(r, best)){ order = next; best = r; improved = true; }
+      }
+    }
+  }
+  return order;
+}
+
+function floorToMinutes(ms, minutes){
+  const step = minutes * 60 * 1000;
+  return Math.floor(ms / step) * step;
+}
+// One person's route: jobs are that person's booked jobs on the day.
+function planRoute(jobs, history){
+  const depot = zipCentroid(ROUTE_DEPOT_ZIP);
+  const located = jobs.filter(x => zipCentroid(x.zip) && apptInterval(x));
+  const unrouted = jobs.filter(x => !located.includes(x));
+  const stops = located.map(x => {
+    const iv = apptInterval(x);
+    return { point: zipCentroid(x.zip), start: iv.start, end: iv.end, stayMs: (clampSlots(x.slots) || DEFAULT_DURATION_SLOTS) * ROUTE_STOP_MINUTES * 60 * 1000 };
+  });
+  const order = orderStops(stops, depot);
+  const run = runRoute(stops, order, depot);
+  const rows = order.map((i, k) => {
+    const leg = run.legs[k];
+    const windowStart = floorToMinutes(leg.arrive, 15);
+    return {
+      ...jobView(located[i], { history }),
+      legMiles: leg.miles,
+      legMinutes: leg.minutes,
+      arriveISO: new Date(leg.arrive).toISOString(),
+      windowStartISO: new Date(windowStart).toISOString(),
+      windowEndISO: new Date(windowStart + ROUTE_WINDOW_MINUTES * 60 * 1000).toISOString(),
+      late: leg.arrive >= stops[i].end,
+    };
+  });
+  const first = run.legs[0], last = run.legs[run.legs.length - 1];
+  const back = last ? driveLeg(stops[order[order.length - 1]].point, depot) : null;
+  return {
+    stops: rows,
+    unrouted: unrouted.map(x => jobView(x, { history })),
+    miles: Math.round(run.miles * 10) / 10,
+    driveMinutes: run.legs.reduce((n, x) => n + x.minutes, 0) + (back?.minutes || 0),
+    leaveISO: first ? new Date(first.arrive - first.minutes * 60 * 1000).toISOString() : "",
+    returnISO: last ? new Date(last.leave + back.minutes * 60 * 1000).toISOString() : "",
+  };
+}
+
+// Booked jobs on dateISO (a BUSINESS_TZ day) grouped by assignee, one plan each.
+// techId limits it to one person ("" = the unassigned / single-person shop jobs).
+function dayPlans(dateISO, { techId = null } = {}){
+  const jobs = bookedAppts()
+    .filter(x => Number.isFinite(Date.parse(x.startISO)) && localSlotParts(Date.parse(x.startISO)).dateISO === dateISO)
+    .filter(x => techId == null || String(x.assignedTo || "") === techId)
+    .sort((a, b) => String(a.startISO).localeCompare(String(b.startISO)));
+  const history = serviceHistoryIndex();
+  const byTech = new Map();
+  for(const x of jobs){
+    const id = String(x.assignedTo || "");
+    if(!byTech.has(id)) byTech.set(id, []);
+    byTech.get(id).push(x);
+  }
+  return [...byTech].map(([id, list]) => {
+    const u = findUser(id);
+    return { techId: id, techName: u ? (u.name || u.username) : (id ? "Former staff" : "Unassigned"), ...planRoute(list, history) };
+  });
+}
+
+// ETA for an "on the way" update: now plus the drive from the stop before appt in its
+// day plan (the depot for the first). Returns an ISO time, or "" when appt isn't routable.
+function routeEta(appt, nowMs = Date.now()){
+  const t = Date.parse(appt?.startISO);
+  if(!Number.isFinite(t) || !zipCentroid(appt.zip)) return "";
+  const [plan] = dayPlans(localSlotParts(t).dateISO, { techId: String(appt.assignedTo || "") });
+  const k = plan ? plan.stops.findIndex(x => x.id === appt.id) : -1;
+  if(k < 0) return "";
+  const from = k ? zipCentroid(plan.stops[k - 1].zip) : zipCentroid(ROUTE_DEPOT_ZIP);
+  if(!from) return "";
+  return new Date(nowMs + driveLeg(from, zipCentroid(appt.zip)).minutes * 60 * 1000).toISOString();
+}
+
+// -------------------- Customers --------------------
+// One record per person, keyed by normalized phone numbers and email addresses.
+// Requests, bookings and contact messages are matched when they come in and carry
+// customerId; staff can merge duplicates and split records that were matched wrongly.
+// Tables whose records point at a customer (moved along on merge/split):
+const CUSTOMER_LINKED_TABLES = ["appointments", "messages", "appliances"];
+
+function normPhone(v){
+  let d = String(v || "").replace(/\D/g, "");
+  if(d.length === 11 && d.startsWith("1")) d = d.slice(1); // +1 (US)
+  return d.length >= 7 ? d : "";
+}
+function normEmail(v){
+  const e = String(v || "").trim().toLowerCase();
+  return /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(e) ? e : "";
+}
+function recordIdentifiers(rec){
+  return { phone: normPhone(rec?.phone), email: normEmail(rec?.email) };
+}
+
+// Inside a db.tx: the customer owning either identifier (email wins), or null
+function findCustomerFor(t, rec){
+  const { phone, email } = recordIdentifiers(rec);
+  if(!phone && !email) return null;
+  const list = t.list("customers");
+  return (email && list.find(c => c.emails.includes(email))) || (phone && list.find(c => c.phones.includes(phone))) || null;
+}
+// Inside a db.tx: finds or creates the customer for rec ({ name, phone, email }) and adds
+// identifiers it didn't have yet (unless another customer already owns them).
+// Returns { customer, created }; customer is null when rec has no usable phone/email.
+function matchCustomer(t, rec){
+  const { phone, email } = recordIdentifiers(rec);
+  if(!phone && !email) return { customer:null, created:false };
+  const found = findCustomerFor(t, rec);
+  const c = found || { id: makeId(), name: "", phones: [], emails: [], notes: "", createdISO: nowStamp() };
+  const others = t.list("customers").filter(o => o.id !== c.id);
+  const next = { ...c, phones: [...c.phones], emails: [...c.emails] };
+  if(phone && !next.phones.includes(phone) && !others.some(o => o.phones.includes(phone))) next.phones.push(phone);
+  if(email && !next.emails.includes(email) && !others.some(o => o.emails.includes(email))) next.emails.push(email);
+  if(!next.name) next.name = String(rec.name || "").trim();
+  const changed = !found || next.phones.length !== c.phones.length || next.emails.length !== c.emails.length || next.name !== c.name;
+  if(!changed) return { customer: c, created:false };
+  return { customer: t.put("customers", { ...next, updatedISO: nowStamp() }), created: !found };
+}
+
+// Everything linked to a customer. Invoices hang off their job.
+function customerRecords(id, t = db){
+  const appointments = t.list("appointments").filter(a => a.customerId === id);
+  const apptIds = new Set(appointments.map(a => a.id));
+  return {
+    appointments,
+    messages: t.list("messages").filter(m => m.customerId === id),
+    invoices: t.list("invoices").filter(d => apptIds.has(d.apptId)),
+  };
+}
+function customerSummaries(){
+  const stats = new Map(); // customerId -> { appointments, messages, lastISO }
+  const bump = (id, key, iso) => {
+    if(!id) return;
+    const s = stats.get(id) || { appointments:0, messages:0, lastISO:"" };
+    s[key] += 1;
+    if(iso > s.lastISO) s.lastISO = iso;
+    stats.set(id, s);
+  };
+  for(const a of db.list("appointments")) bump(a.customerId, "appointments", String(a.startISO || ""));
+  for(const m of db.list("messages")) bump(m.customerId, "messages", String(m.createdISO || ""));
+  return db.list("customers").map(c => ({
+    ...c, ...(stats.get(c.id) || { appointments:0, messages:0, lastISO: c.createdISO || "" }),
+  }));
+}
+function searchCustomers(q, limit = 50){
+  const text = String(q || "").trim().toLowerCase();
+  const digits = text.replace(/\D/g, "");
+  const hit = (c) => !text
+    || c.name.toLowerCase().includes(text)
+    || c.emails.some(e => e.includes(text))
+    || (digits.length >= 3 && c.phones.some(p => p.includes(digits)));
+  return customerSummaries().filter(hit)
+    .sort((a, b) => String(b.lastISO).localeCompare(String(a.lastISO)))
+    .slice(0, limit);
+}
+
+// Inside a db.tx: moves source's records and identifiers onto target and deletes source.
+function mergeCustomers(t, targetId, sourceId){
+  const target = t.get("customers", targetId);
+  const source = t.get("customers", sourceId);
+  if(!target || !source) return { status:404, error:"Customer not found" };
+  if(targetId === sourceId) return { status:400, error:"Pick two different customers" };
+  for(const table of CUSTOMER_LINKED_TABLES){
+    for(const r of t.list(table).filter(r => r.customerId === sourceId)) t.put(table, { ...r, customerId: targetId });
+  }
+  const union = (a, b) => [...new Set([...a, ...b])];
+  const merged = t.put("customers", {
+    ...target,
+    name: target.name || source.name,
+    phones: union(target.phones, source.phones),
+    emails: union(target.emails, source.emails),
+    notes: [target.notes, source.notes].filter(Boolean).join("\n"),
+    mergedIds: [...(target.mergedIds || []), sourceId, ...(source.mergedIds || [])],
+    updatedISO: nowStamp(),
+  });
+  t.del("customers", sourceId);
+  return { before: { target, source }, customer: merged };
+}
+
+// Inside a db.tx: moves the picked records ({ appointments: [ids], messages: [ids] }) to a
+// new customer. Phones/emails only the moved records use go with them.
+function splitCustomer(t, id, picked){
+  const cur = t.get("customers", id);
+  if(!cur) return { status:404, error:"Customer not found" };
+  const moving = [], staying = [];
+  for(const table of CUSTOMER_LINKED_TABLES){
+    const ids = new Set((picked?.[table] || []).map(String));
+    for(const r of t.list(table).filter(r => r.customerId === id)) (ids.has(r.id) ? moving : staying).push({ table, r });
+  }
+  if(!moving.length) return { status:400, error:"Pick the records to split off" };
+  if(!staying.length) return { status:400, error:"Leave at least one record on this customer" };
+  const idsOf = (list) => {
+    const phones = new Set(), emails = new Set();
+    for(const { r } of list){
+      const { phone, email } = recordIdentifiers(r);
+      if(phone) phones.add(phone);
+      if(email) emails.add(email);
+    }
+    return { phones, emails };
+  };
+  const mv = idsOf(moving), st = idsOf(staying);
+  const created = t.put("customers", {
+    id: makeId(),
+    name: String(moving.find(m => m.r.name)?.r.name || "").trim(),
+    phones: [...mv.phones].filter(p => !st.phones.has(p)),
+    emails: [...mv.emails].filter(e => !st.emails.has(e)),
+    notes: "",
+    createdISO: nowStamp(),
+    updatedISO: nowStamp(),
+  });
+  for(const { table, r } of moving) t.put(table, { ...r, customerId: created.id });
+  const kept = t.put("customers", {
+    ...cur,
+    phones: cur.phones.filter(p => !created.phones.includes(p)),
+    emails: cur.emails.filter(e => !created.emails.includes(e)),
+    updatedISO: nowStamp(),
+  });
+  return { before: cur, customer: kept, created };
+}
+
+// Links records saved before customers existed (or before they had a phone/email).
+// Runs at startup; only writes when something new matches.
+function linkUnmatchedRecords(){
+  return db.tx(t => {
+    let linked = 0;
+    for(const table of CUSTOMER_LINKED_TABLES){
+      for(const r of t.list(table).filter(r => !r.customerId)){
+        const { customer } = matchCustomer(t, r);
+        if(!customer) continue;
+        t.put(table, { ...r, customerId: customer.id });
+        linked++;
+      }
+    }
+    return linked;
+  });
+}
+
+// -------------------- Appliances --------------------
+// Each customer's units (appliances table). Jobs point at one with applianceId; a
+// unit's service history is read back from those jobs and their work orders.
+const APPLIANCE_TYPES = ["Washer", "Dryer", "Refrigerator", "Freezer", "Dishwasher", "Range / Oven", "Cooktop", "Microwave", "Other"];
+
+function normalizeAppliance(input, base = {}){
+  const str = (k, max) => input?.[k] === undefined ? String(base[k] || "") : String(input[k] ?? "").trim().slice(0, max);
+  const type = str("type", 40);
+  const installDate = str("installDate", 10);
+  return {
+    id: String(base.id || input?.id || makeId()),
+    customerId: String(base.customerId || input?.customerId || ""),
+    type: APPLIANCE_TYPES.includes(type) ? type : (type ? "Other" : ""),
+    brand: str("brand", 60),
+    model: str("model", 60),
+    serial: str("serial", 60),
+    installDate: /^\d{4}-\d{2}-\d{2}$/.test(installDate) ? installDate : "",
+    purchasedFromUs: input?.purchasedFromUs === undefined ? !!base.purchasedFromUs : !!input.purchasedFromUs,
+    notes: str("notes", 1000),
+    createdISO: String(base.createdISO || nowStamp()),
+    updatedISO: nowStamp(),
+  };
+}
+function applianceLabel(a){
+  return [a?.brand, a?.type, a?.model].filter(Boolean).join(" ");
+}
+function customerAppliances(customerId, t = db){
+  return customerId ? t.list("appliances").filter(a => a.customerId === customerId) : [];
+}
+
+// Inside a db.tx, after appt.customerId is set: links the job to the unit the customer
+// picked (applianceId) or described (applianceInfo: { type, brand, model, serial }).
+// A description matching a known serial or model number reuses that unit.
+// Returns { appliance, created } or null.
+function attachAppliance(t, appt, payload){
+  if(!appt.customerId) return null;
+  const mine = customerAppliances(appt.customerId, t);
+  const picked = payload?.applianceId ? mine.find(a => a.id === String(payload.applianceId)) : null;
+  if(picked){
+    appt.applianceId = picked.id;
+    if(!appt.appliance) appt.appliance = applianceLabel(picked);
+    return { appliance: picked, created:false };
+  }
+  const info = normalizeAppliance({ ...payload?.applianceInfo, customerId: appt.customerId });
+  if(!info.brand && !info.model && !info.serial) return null;
+  const same = (x, y) => !!x && String(x).toLowerCase() === String(y || "").toLowerCase();
+  const known = mine.find(a => same(info.serial, a.serial) || (!info.serial && same(info.model, a.model)));
+  const appliance = known || t.put("appliances", info);
+  appt.applianceId = appliance.id;
+  if(!appt.appliance) appt.appliance = applianceLabel(appliance);
+  return { appliance, created: !known };
+}
+
+// applianceId -> past jobs on that unit, newest first, with what the tech found
+function serviceHistoryIndex(){
+  const index = new Map();
+  for(const a of db.list("appointments")){
+    if(!a.applianceId) continue;
+    const wo = a.workOrderId ? db.get("workorders", a.workOrderId) : null;
+    const list = index.get(a.applianceId) || [];
+    list.push({
+      apptId: a.id, startISO: a.startISO, status: a.status, serviceType: a.serviceType,
+      diagnosis: wo?.diagnosis || "", parts: wo?.parts || [], techNotes: wo?.techNotes || "",
+    });
+    index.set(a.applianceId, list);
+  }
+  for(const list of index.values()) list.sort((x, y) => String(y.startISO).localeCompare(String(x.startISO)));
+  return index;
+}
+
+// -------------------- Messages inbox --------------------
+// Contact-form messages as staff work through them on messages.html. Messages saved
+// before the inbox existed have no status/notes/replies; messageRecord() fills them in.
+const MESSAGE_TYPES = ["Appliance Repair", "Sales", "Rentals", "Other"];
+const MESSAGE_STATUSES = ["new", "read", "replied", "archived"];
+
+function messageRecord(m){
+  return {
+    ...m,
+    status: MESSAGE_STATUSES.includes(m?.status) ? m.status : "new",
+    notes: String(m?.notes || ""),
+    replies: Array.isArray(m?.replies) ? m.replies : [],
+  };
+}
+
+// filters: { type, status, q }; status "" = everything not archived, "all" = everything.
+// Returns { messages (newest first), counts: { new, read, replied, archived } } where the
+// counts follow the type/search filters but not the status one.
+function listMessages({ type = "", status = "", q = "" } = {}){
+  const needle = String(q || "").trim().toLowerCase();
+  const rows = db.list("messages").map(messageRecord).filter(m =>
+    (!type || (MESSAGE_TYPES.includes(m.type) ? m.type : "Other") === type) &&
+    (!needle || [m.name, m.email, m.description, m.notes].some(v => String(v || "").toLowerCase().includes(needle)))
+  );
+  const counts = Object.fromEntries(MESSAGE_STATUSES.map(s => [s, 0]));
+  for(const m of rows) counts[m.status]++;
+  const messages = rows
+    .filter(m => status === "all" || (status ? m.status === status : m.status !== "archived"))
+    .sort((a, b) => String(b.createdISO).localeCompare(String(a.createdISO)));
+  return { messages, counts };
+}
+
+// reply: { subject, body }. Returns { ok } | { skipped, reason? } | { error }.
+async function sendMessageReply(msg, reply){
+  if(!mailer || !MAIL_FROM) return { ok:false, skipped:true };
+  const to = String(msg?.email || "").trim();
+  if(!to || !/^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(to)) return { ok:false, skipped:true, reason:"no email" };
+  const quoted = [`On ${fmtApptWhen(msg.createdISO)}, ${msg.name || to} wrote:`, ...String(msg.description || "").split("\n").map(l => `> ${l}`)];
+  const text = [reply.body, "", "—", `${BUSINESS.name} • ${BUSINESS.phone} • ${BUSINESS.email}`, "", ...quoted].join("\n");
+  const html = `
+    ${reply.body.split(/\n{2,}/).map(p => `<p style="white-space:pre-wrap">${escHtml(p)}</p>`).join("\n    ")}
+    <hr />
+    <p style="color:#64748b; font-size:13px"><strong>${escHtml(BUSINESS.name)}</strong><br/>
+      ${escHtml(BUSINESS.phone)} • <a href="mailto:${escHtml(BUSINESS.email)}">${escHtml(BUSINESS.email)}</a></p>
+    <p style="color:#64748b; font-size:13px">${escHtml(quoted[0])}</p>
+    <blockquote style="color:#64748b; border-left:3px solid #cbd5e1; margin:0; padding-left:10px; white-space:pre-wrap">${escHtml(msg.description)}</blockquote>
+  `;
+  try{
+    await mailer.sendMail({
+      from: `"${BUSINESS.name}" <${MAIL_FROM}>`,
+      to,
+      replyTo: MAIL_TO || undefined,
+      subject: reply.subject,
+      text,
+      html
+    });
+    return { ok:true };
+  }catch(e){
+    console.error(`[MAIL] reply to message ${msg.id} failed:`, e);
+    return { ok:false, error:String(e) };
+  }
+}
+
+// -------------------- Customer manage links --------------------
+// Each appointment gets an unguessable token the customer can use on /manage to
+// check status, cancel or reschedule. Only a SHA-256 of the token is stored.
+function hashManageToken(token){
+  return crypto.createHash("sha256").update(String(token || "")).digest("hex");
+}
+function issueManageToken(appt){
+  const token = crypto.randomBytes(24).toString("hex");
+  appt.manageTokenHash = hashManageToken(token);
+  return token;
+}
+function manageUrl(token){
+  return `${PUBLIC_SITE_URL}/manage?token=${encodeURIComponent(token)}`;
+}
+const CUSTOMER_LOCKED_MSG = `This job is already underway or finished. Please call ${BUSINESS.phone} for changes.`;
+function findByManageToken(token){
+  if(!token || String(token).length < 32) return null;
+  const h = hashManageToken(token);
+  const appt = db.list("appointments").find(x => x.manageTokenHash === h && x.status !== "canceled");
+  if(!appt) return null;
+  // Once the technician is on the way the customer can only look, not change
+  const list = isPending(appt) ? "pending" : (appt.status === "accepted" ? "booked" : "locked");
+  return { appt, list };
+}
+// What the customer sees on /manage (no internal fields)
+function customerView(appt){
+  return {
+    id: appt.id,
+    startISO: appt.startISO,
+    slots: appt.slots,
+    status: appt.status,
+    statusLabel: JOB_STATUSES[appt.status] || appt.status,
+    name: appt.name,
+    serviceType: appt.serviceType,
+    appliance: appt.appliance,
+    notes: appt.notes,
+    address: appt.address || "",
+    zip: appt.zip || "",
+    etaISO: appt.status === "en_route" ? (appt.etaISO || "") : "",
+    createdISO: appt.createdISO
+  };
+}
+// What the public calendar gets: which time ranges are taken, nothing about who or why.
+// Staff use /api/admin/schedule; customers look up their own jobs by manage token.
+// With technicians a job doesn't take the time from everyone, so "booked" then lists
+// the ranges where nobody is left (see fullSlotRanges) and "pending" stays empty.
+function busySlot(appt){
+  return { startISO: appt.startISO, slots: appt.slots };
+}
+function publicSchedule(){
+  const techs = listTechnicians();
+  if(techs.length) return { booked: fullSlotRanges(techs), pending: [] };
+  const byStart = (a, b) => String(a.startISO).localeCompare(String(b.startISO));
+  return { booked: bookedAppts().map(busySlot).sort(byStart), pending: pendingAppts().map(busySlot).sort(byStart) };
+}
+// Schedule rows as returned by the API (token hashes stay server-side)
+function withoutSecrets(appt){
+  const { manageTokenHash, ...rest } = appt || {};
+  return rest;
+}
+
+
+// -------------------- iCalendar (.ics) --------------------
+// UIDs are the appointment id, so re-fetching the feed (or a new attachment)
+// updates the existing event instead of adding a duplicate.
+const ICS_DOMAIN = "duneseadiagnostics.com";
+
+function icsEscape(v){
+  return String(v ?? "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+function icsDate(ms){
+  return new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+// Fold lines longer than 75 octets (RFC 5545 3.1)
+function icsFold(line){
+  const out = [];
+  let cur = "";
+  for(const ch of line){
+    if(Buffer.byteLength(cur + ch) > (out.length ? 74 : 75)){
+      out.push(cur);
+      cur = "";
+    }
+    cur += ch;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+// audience: "staff" (customer details + notes) or "customer" (shop contact info only)
+function icsEvent(appt, audience){
+  const iv = apptInterval(appt);
+  if(!iv) return [];
+  const stamp = Date.parse(appt.updatedISO || appt.createdISO) || Date.now();
+  const staff = audience === "staff";
+  const summary = staff
+    ? [appt.appliance || appt.serviceType || "Service call", appt.name].filter(Boolean).join(" – ")
+    : `${BUSINESS.name}: ${appt.serviceType || "Appointment"}`;
+  const description = staff
+    ? [
+        appt.status === "pending" ? "REQUEST (not confirmed yet)" : "",
+        appt.name ? `Customer: ${appt.name}` : "",
+        appt.phone ? `Phone: ${appt.phone}` : "",
+        appt.email ? `Email: ${appt.email}` : "",
+        appt.address ? `Address: ${serviceAddress(appt)}` : "",
+        appt.serviceType ? `Service: ${appt.serviceType}` : "",
+        appt.appliance ? `Appliance: ${appt.appliance}` : "",
+        appt.notes ? `Notes: ${appt.notes}` : "",
+      ].filter(Boolean).join("\n")
+    : [
+        appt.appliance ? `Appliance: ${appt.appliance}` : "",
+        `Questions or changes: ${BUSINESS.phone} • ${BUSINESS.email}`,
+      ].filter(Boolean).join("\n");
+  return [
+    "BEGIN:VEVENT",
+    `UID:${appt.id}@${ICS_DOMAIN}`,
+    `DTSTAMP:${icsDate(Date.now())}`,
+    `LAST-MODIFIED:${icsDate(stamp)}`,
+    `DTSTART:${icsDate(iv.start)}`,
+    `DTEND:${icsDate(iv.end)}`,
+    `SUMMARY:${icsEscape(summary)}`,
+    `DESCRIPTION:${icsEscape(description)}`,
+    ...(staff && appt.address ? [`LOCATION:${icsEscape(serviceAddress(appt))}`] : []),
+    `STATUS:${appt.status === "pending" ? "TENTATIVE" : "CONFIRMED"}`,
+    "END:VEVENT",
+  ];
+}
+function icsCalendar(appts, { audience = "staff", name = BUSINESS.name } = {}){
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:-//${BUSINESS.name}//Schedule//EN`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsEscape(name)}`,
+    ...appts.flatMap(a => icsEvent(a, audience)),
+    "END:VCALENDAR",
+  ];
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+// Calendar apps can't send our session, so the feed URL carries a per-account key.
+// It stays valid until the account is deleted or SESSION_SECRET changes.
+function calendarFeedKey(sub){
+  return b64url(crypto.createHmac("sha256", SESSION_SECRET).update(`ics:${sub}`).digest());
+}
+function sessionFromFeedKey(sub, key){
+  if(!sub || !key) return null;
+  const expected = Buffer.from(calendarFeedKey(sub));
+  const given = Buffer.from(String(key));
+  if(expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  if(sub === "pin") return ADMIN_PIN_HASH ? { sub, role:"owner" } : null;
+  const user = findUser(sub);
+  return user ? { sub, role: user.role } : null;
+}
+
+
+// -------------------- Estimates & invoices --------------------
+// Built from a job's service type, appliance, work order parts and labor, priced with
+// the billing settings (settings table, id "billing"). Numbers come from counters in
+// the same record and are taken inside the transaction that stores the document,
+// so two people billing at once never get the same number.
+const DEFAULT_BILLING = {
+  taxRatePercent: 0,
+  taxLabor: false,        // parts are always taxed; labor and trip fee only if set
+  tripFee: 0,
+  laborRatePerHour: 0,
+  invoicePrefix: "INV-",
+  estimatePrefix: "EST-",
+  nextInvoiceNo: 1001,
+  nextEstimateNo: 1001,
+  terms: "Payment due on receipt.",
+};
+const DOC_KINDS = { invoice: "Invoice", estimate: "Estimate" };
+const ESTIMATE_NOTE = "This is an estimate. The final price may change once the repair is done.";
+
+function normalizeBilling(input, base = DEFAULT_BILLING){
+  const num = (v, fallback, min = 0) => {
+    const n = Number(v);
+    return (v === "" || v == null || !Number.isFinite(n) || n < min) ? fallback : n;
+  };
+  const str = (v, fallback, max) => v == null ? fallback : String(v).trim().slice(0, max);
+  return {
+    taxRatePercent: Math.min(num(input?.taxRatePercent, base.taxRatePercent), 100),
+    taxLabor: input?.taxLabor == null ? !!base.taxLabor : !!input.taxLabor,
+    tripFee: num(input?.tripFee, base.tripFee),
+    laborRatePerHour: num(input?.laborRatePerHour, base.laborRatePerHour),
+    invoicePrefix: str(input?.invoicePrefix, base.invoicePrefix, 12),
+    estimatePrefix: str(input?.estimatePrefix, base.estimatePrefix, 12),
+    nextInvoiceNo: Math.floor(num(input?.nextInvoiceNo, base.nextInvoiceNo, 1)),
+    nextEstimateNo: Math.floor(num(input?.nextEstimateNo, base.nextEstimateNo, 1)),
+    terms: str(input?.terms, base.terms, 500),
+  };
+}
+function getBilling(t){
+  const rec = (t || db).get("settings", "billing");
+  return normalizeBilling(rec || {}, DEFAULT_BILLING);
+}
+
+const toCents = (n) => Math.round((Number(n) || 0) * 100);
+function fmtMoney(n){
+  const cents = toCents(n);
+  const sign = cents < 0 ? "-" : "";
+  return `${sign}$${(Math.abs(cents) / 100).toLocaleString("en-US", { minimumFractionDigits:2, maximumFractionDigits:2 })}`;
+}
+function fmtMinutes(m){
+  const h = Math.floor(m / 60), r = m % 60;
+  return h ? (r ? `${h}h ${r}m` : `${h}h`) : `${r}m`;
+}
+
+// Lines for a job. input.parts / input.laborMinutes override the work order
+// (an estimate is usually written before there is one).
+function billingLines(appt, workOrder, input, billing){
+  const lines = [];
+  // The zone's trip fee (stamped on the job when it was booked) wins over the default
+  const tripFee = appt.tripFee != null ? Number(appt.tripFee) : billing.tripFee;
+  if(tripFee > 0){
+    const zone = zoneById(appt.zoneId);
+    lines.push({ type:"trip", description:`Service call / trip fee${zone ? ` (${zone.name})` : ""}`, qty:1, unitPrice:tripFee, taxable:billing.taxLabor });
+  }
+  const minutes = Math.max(0, Math.round(Number(input?.laborMinutes ?? workOrder?.laborMinutes ?? 0)) || 0);
+  if(minutes > 0){
+    lines.push({
+      type:"labor",
+      description:`Labor: ${appt.serviceType || "Repair"} (${fmtMinutes(minutes)})`,
+      qty: Math.round(minutes / 60 * 100) / 100,
+      unitPrice: billing.laborRatePerHour,
+      taxable: billing.taxLabor,
+    });
+  }
+  const parts = Array.isArray(input?.parts) ? input.parts.map(cleanPart) : (workOrder?.parts || []);
+  for(const p of parts.filter(p => p.name)){
+    lines.push({
+      type:"part",
+      description: p.partNumber ? `${p.name} (#${p.partNumber})` : p.name,
+      qty: p.qty,
+      unitPrice: p.unitPrice ?? 0,
+      taxable: true,
+    });
+  }
+  return lines;
+}
+function billingTotals(lines, taxRatePercent){
+  let sub = 0, taxable = 0;
+  for(const l of lines){
+    const cents = Math.round(toCents(l.unitPrice) * l.qty);
+    l.amount = cents / 100;
+    sub += cents;
+    if(l.taxable) taxable += cents;
+  }
+  const tax = Math.round(taxable * taxRatePercent / 100);
+  return { subtotal: sub / 100, tax: tax / 100, total: (sub + tax) / 100 };
+}
+
+// Inside a db.tx: numbers, prices and stores a new estimate/invoice for appt.
+function createBillingDoc(t, kind, appt, input, by){
+  const billing = getBilling(t);
+  const workOrder = appt.workOrderId ? t.get("workorders", appt.workOrderId) : null;
+  const lines = billingLines(appt, workOrder, input, billing);
+  const counter = kind === "invoice" ? "nextInvoiceNo" : "nextEstimateNo";
+  const number = `${kind === "invoice" ? billing.invoicePrefix : billing.estimatePrefix}${billing[counter]}`;
+  t.put("settings", { id:"billing", ...billing, [counter]: billing[counter] + 1 });
+  return t.put("invoices", {
+    id: makeId(),
+    kind,
+    number,
+    apptId: appt.id,
+    customerId: appt.customerId || "",
+    customer: { name: appt.name, phone: appt.phone, email: appt.email },
+    serviceType: appt.serviceType,
+    appliance: appt.appliance,
+    jobStartISO: appt.startISO,
+    diagnosis: workOrder?.diagnosis || "",
+    lines,
+    taxRatePercent: billing.taxRatePercent,
+    ...billingTotals(lines, billing.taxRatePercent),
+    notes: String(input?.notes || "").trim().slice(0, 2000),
+    terms: kind === "invoice" ? billing.terms : ESTIMATE_NOTE,
+    createdISO: nowStamp(),
+    createdBy: String(by || ""),
+    emailed: [],
+  });
+}
+function jobDocs(apptId){
+  return db.list("invoices").filter(d => d.apptId === apptId);
+}
+
+// Documents are shareable by link: /api/invoices/<id>.html?key=... (key = HMAC of the id)
+function invoiceKey(id){
+  return b64url(crypto.createHmac("sha256", SESSION_SECRET).update(`inv:${id}`).digest());
+}
+function invoiceKeyOk(id, key){
+  const expected = Buffer.from(invoiceKey(id));
+  const given = Buffer.from(String(key || ""));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+function invoicePaths(doc){
+  const q = `key=${invoiceKey(doc.id)}`;
+  return { htmlPath: `/api/invoices/${doc.id}.html?${q}`, pdfPath: `/api/invoices/${doc.id}.pdf?${q}` };
+}
+// Summary shown with the job in the management view
+function docSummary(doc){
+  return {
+    id: doc.id, kind: doc.kind, number: doc.number, total: doc.total, createdISO: doc.createdISO,
+    emailedISO: doc.emailed?.length ? doc.emailed[doc.emailed.length - 1].atISO : "",
+    ...invoicePaths(doc),
+  };
+}
+
+function fmtDocDate(iso){
+  const t = Date.parse(iso);
+  if(!Number.isFinite(t)) return "";
+  return new Date(t).toLocaleDateString("en-US", { timeZone: BUSINESS_TZ, year:"numeric", month:"short", day:"numeric" });
+}
+function fmtQty(l){
+  return l.type === "labor" ? `${l.qty} h` : String(l.qty);
+}
+
+// Printable page (the browser's "Save as PDF" works too)
+function invoiceHtml(doc){
+  const title = `${DOC_KINDS[doc.kind]} ${doc.number}`;
+  const rows = doc.lines.map(l => `
+      <tr><td>${escHtml(l.description)}</td><td class="n">${escHtml(fmtQty(l))}</td><td class="n">${fmtMoney(l.unitPrice)}</td><td class="n">${fmtMoney(l.amount)}</td></tr>`).join("");
+  return `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"/><title>${escHtml(title)} — ${escHtml(BUSINESS.name)}</title>
+<meta name="viewport" content="width=device-width, initial-scale=1"/>
+<style>
+  body{font:14px/1.45 -apple-system,Segoe UI,Helvetica,Arial,sans-serif;color:#0f172a;margin:0;background:#f1f5f9}
+  .sheet{max-width:760px;margin:24px auto;background:#fff;padding:40px;box-shadow:0 1px 4px rgba(0,0,0,.12)}
+  .top{display:flex;justify-content:space-between;gap:24px}
+  h1{margin:0;font-size:22px} h2{margin:0;font-size:22px;text-align:right;letter-spacing:.06em}
+  .muted{color:#64748b} .n{text-align:right;white-space:nowrap}
+  .cols{display:flex;gap:40px;margin:28px 0}
+  table{width:100%;border-collapse:collapse;margin-top:8px}
+  th{font-size:12px;text-transform:uppercase;color:#64748b;text-align:left;border-bottom:2px solid #0f172a;padding:6px 4px}
+  td{border-bottom:1px solid #e2e8f0;padding:8px 4px;vertical-align:top}
+  .totals{margin-left:auto;width:260px;margin-top:12px} .totals td{border:0;padding:4px}
+  .totals tr.grand td{border-top:2px solid #0f172a;font-weight:700;font-size:16px}
+  .print{margin:0 auto;max-width:760px;text-align:right;padding-top:16px}
+  @media print{body{background:#fff}.sheet{box-shadow:none;margin:0;padding:0}.print{display:none}}
+</style></head>
+<body>
+<div class="print"><button onclick="window.print()">Print</button> <a href="${escHtml(`${doc.id}.pdf?key=${invoiceKey(doc.id)}`)}">Download PDF</a></div>
+<div class="sheet">
+  <div class="top">
+    <div>
+      <h1>${escHtml(BUSINESS.name)}</h1>
+      <div class="muted">${escHtml(BUSINESS.addressLine)} • Serving the ${escHtml(BUSINESS.area)}</div>
+      <div class="muted">${escHtml(BUSINESS.phone)} • ${escHtml(BUSINESS.email)}</div>
+    </div>
+    <div>
+      <h2>${escHtml(DOC_KINDS[doc.kind].toUpperCase())}</h2>
+      <div class="n">No. <strong>${escHtml(doc.number)}</strong></div>
+      <div class="n muted">${escHtml(fmtDocDate(doc.createdISO))}</div>
+    </div>
+  </div>
+  <div class="cols">
+    <div>
+      <div class="muted">Bill to</div>
+      <div><strong>${escHtml(doc.customer.name)}</strong></div>
+      <div>${escHtml(doc.customer.phone)}</div>
+      <div>${escHtml(doc.customer.email)}</div>
+    </div>
+    <div>
+      <div class="muted">Job</div>
+      <div>${escHtml(fmtDocDate(doc.jobStartISO))} • ${escHtml(doc.serviceType)}</div>
+      <div>${escHtml(doc.appliance)}</div>
+      ${doc.diagnosis ? `<div class="muted">Diagnosis: ${escHtml(doc.diagnosis)}</div>` : ""}
+    </div>
+  </div>
+  <table>
+    <thead><tr><th>Description</th><th class="n">Qty</th><th class="n">Unit</th><th class="n">Amount</th></tr></thead>
+    <tbody>${rows || `<tr><td colspan="4" class="muted">No charges</td></tr>`}</tbody>
+  </table>
+  <table class="totals">
+    <tr><td>Subtotal</td><td class="n">${fmtMoney(doc.subtotal)}</td></tr>
+    <tr><td>Tax (${escHtml(String(doc.taxRatePercent))}%)</td><td class="n">${fmtMoney(doc.tax)}</td></tr>
+    <tr class="grand"><td>Total</td><td class="n">${fmtMoney(doc.total)}</td></tr>
+  </table>
+  ${doc.notes ? `<p style="white-space:pre-wrap">${escHtml(doc.notes)}</p>` : ""}
+  <p class="muted">${escHtml(doc.terms)}</p>
+  <p class="muted">Thank you for choosing ${escHtml(BUSINESS.name)}.</p>
+</div>
+</body></html>`;
+}
+
+// Minimal PDF writer: US letter pages, built-in Helvetica (no embedded fonts), WinAnsi text.
+// A page is a list of ops: { text, x, y, size, bold?, right? } or { line:[x1, y1, x2, y2] },
+// with y measured from the top of the page.
+const PDF_W = 612, PDF_H = 792;
+const PDF_WINANSI = { "—":"\x97", "–":"\x96", "•":"\x95", "’":"\x92", "‘":"\x91", "“":"\x93", "”":"\x94", "…":"\x85" };
+function pdfString(s){
+  const mapped = String(s ?? "").replace(/[^\x20-\x7e\xa0-\xff]/g, ch => PDF_WINANSI[ch] || "?");
+  return `(${mapped.replace(/[\\()]/g, m => `\\${m}`)})`;
+}
+// Helvetica advance widths (1/1000 em) for what we right-align: amounts and short labels
+function pdfTextWidth(s, size){
+  const narrow = { ".":278, ",":278, " ":278, ":":278, "(":333, ")":333, "-":333, "%":889, "#":556 };
+  let w = 0;
+  for(const ch of String(s)) w += narrow[ch] ?? (/[A-Z]/.test(ch) ? 667 : 556);
+  return w * size / 1000;
+}
+function pdfDocument(pages){
+  const objs = [];
+  const add = (body) => { objs.push(body); return objs.length; };
+  const fontR = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+  const fontB = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+  const pagesId = add(null); // filled in once the kids are known
+  const kids = pages.map(ops => {
+    const stream = ops.map(op => {
+      if(op.line){
+        const [x1, y1, x2, y2] = op.line;
+        return `0.5 w ${x1} ${PDF_H - y1} m ${x2} ${PDF_H - y2} l S`;
+      }
+      const size = op.size || 10;
+      const x = op.right ? op.x - pdfTextWidth(op.text, size) : op.x;
+      return `BT /${op.bold ? "F2" : "F1"} ${size} Tf ${x.toFixed(2)} ${PDF_H - op.y} Td ${pdfString(op.text)} Tj ET`;
+    }).join("\n");
+    const content = add(`<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PDF_W} ${PDF_H}] /Resources << /Font << /F1 ${fontR} 0 R /F2 ${fontB} 0 R >> >> /Contents ${content} 0 R >>`);
+  });
+  objs[pagesId - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(" ")}] /Count ${kids.length} >>`;
+  const catalog = add(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+
+  let out = "%PDF-1.4\n";
+  const offsets = objs.map((body, i) => {
+    const at = Buffer.byteLength(out, "latin1");
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return at;
+  });
+  const xref = Buffer.byteLength(out, "latin1");
+  out += `xref\n0 ${objs.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, "0")} 00000 n \n`).join("")}`;
+  out += `trailer\n<< /Size ${objs.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, "latin1");
+}
+// Greedy word wrap by estimated width
+function pdfWrap(text, size, maxWidth){
+  const out = [];
+  for(const para of String(text || "").split(/\r?\n/)){
+    let line = "";
+    for(const word of para.split(/\s+/).filter(Boolean)){
+      const next = line ? `${line} ${word}` : word;
+      if(line && pdfTextWidth(next, size) > maxWidth){ out.push(line); line = word; }
+      else line = next;
+    }
+    out.push(line);
+  }
+  return out;
+}
+
+function invoicePdf(doc){
+  const L = 50, R = PDF_W - 50, BOTTOM = PDF_H - 60;
+  const pages = [[]];
+  let ops = pages[0];
+  let y = 60;
+  const text = (t, x, opts = {}) => ops.push({ text:t, x, y, size:10, ...opts });
+  const newPage = () => { ops = []; pages.push(ops); y = 60; };
+  const tableHead = () => {
+    for(const [t, x, right] of [["DESCRIPTION", L], ["QTY", 380, true], ["UNIT", 460, true], ["AMOUNT", R, true]]) text(t, x, { size:8, bold:true, right });
+    ops.push({ line:[L, y + 6, R, y + 6] });
+    y += 22;
+  };
+
+  text(BUSINESS.name, L, { size:18, bold:true });
+  text(DOC_KINDS[doc.kind].toUpperCase(), R, { size:18, bold:true, right:true });
+  y += 18;
+  text(`${BUSINESS.addressLine} • Serving the ${BUSINESS.area}`, L, { size:9 });
+  text(`No. ${doc.number}`, R, { right:true, bold:true });
+  y += 13;
+  text(`${BUSINESS.phone} • ${BUSINESS.email}`, L, { size:9 });
+  text(fmtDocDate(doc.createdISO), R, { right:true });
+  y += 36;
+
+  text("BILL TO", L, { size:8, bold:true });
+  text("JOB", 320, { size:8, bold:true });
+  y += 14;
+  const left = [doc.customer.name, doc.customer.phone, doc.customer.email].filter(Boolean);
+  const right = [`${fmtDocDate(doc.jobStartISO)} • ${doc.serviceType}`, ...pdfWrap(doc.appliance, 10, R - 320),
+    ...(doc.diagnosis ? pdfWrap(`Diagnosis: ${doc.diagnosis}`, 10, R - 320) : [])].filter(Boolean);
+  for(let i = 0; i < Math.max(left.length, right.length); i++){
+    if(left[i]) text(left[i], L, { bold: i === 0 });
+    if(right[i]) text(right[i], 320);
+    y += 13;
+  }
+  y += 20;
+
+  tableHead();
+  for(const l of doc.lines){
+    const desc = pdfWrap(l.description, 10, 300);
+    if(y + desc.length * 13 > BOTTOM){ newPage(); tableHead(); }
+    text(fmtQty(l), 380, { right:true });
+    text(fmtMoney(l.unitPrice), 460, { right:true });
+    text(fmtMoney(l.amount), R, { right:true });
+    for(const d of desc){ text(d, L); y += 13; }
+    y += 5;
+  }
+  if(!doc.lines.length){ text("No charges", L); y += 18; }
+  ops.push({ line:[L, y - 8, R, y - 8] });
+  if(y + 80 > BOTTOM) newPage();
+  y += 8;
+  for(const [label, value, bold] of [["Subtotal", doc.subtotal], [`Tax (${doc.taxRatePercent}%)`, doc.tax], ["Total", doc.total, true]]){
+    text(label, 380, { bold, size: bold ? 12 : 10 });
+    text(fmtMoney(value), R, { right:true, bold, size: bold ? 12 : 10 });
+    y += bold ? 18 : 14;
+  }
+  y += 16;
+  for(const line of [...pdfWrap(doc.notes, 10, R - L), "", ...pdfWrap(doc.terms, 9, R - L), `Thank you for choosing ${BUSINESS.name}.`]){
+    if(y > BOTTOM) newPage();
+    if(line) text(line, L, { size:9 });
+    y += 12;
+  }
+  return pdfDocument(pages);
+}
+
+async function sendInvoiceEmail(doc, to){
+  if(!mailer || !MAIL_FROM) return { ok:false, skipped:true };
+  if(!to || !/^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(to)) return { ok:false, skipped:true, reason:"no email" };
+  const kind = DOC_KINDS[doc.kind];
+  const first = String(doc.customer.name || "").trim().split(/\s+/)[0] || "there";
+  const link = `${PUBLIC_SITE_URL}${invoicePaths(doc).htmlPath}`;
+  const lines = [
+    `Attached is ${doc.kind === "invoice" ? "your invoice" : "the estimate"} ${doc.number} for ${doc.serviceType || "your service"}${doc.appliance ? ` (${doc.appliance})` : ""}.`,
+    `Total: ${fmtMoney(doc.total)}`,
+  ];
+  const text = [`Hi ${first},`, "", ...lines, "", `View or print it online: ${link}`, "", "—",
+    `${BUSINESS.name} • ${BUSINESS.phone} • ${BUSINESS.email}`].join("\n");
+  const html = `
+    <p>Hi ${escHtml(first)},</p>
+    ${lines.map(l => `<p>${escHtml(l)}</p>`).join("\n    ")}
+    <p><a href="${escHtml(link)}">View or print it online</a></p>
+    <hr />
+    <p style="color:#64748b; font-size:13px"><strong>${escHtml(BUSINESS.name)}</strong><br/>
+      ${escHtml(BUSINESS.phone)} • <a href="mailto:${escHtml(BUSINESS.email)}">${escHtml(BUSINESS.email)}</a></p>
+  `;
+  try{
+    await mailer.sendMail({
+      from: `"${BUSINESS.name}" <${MAIL_FROM}>`,
+      to,
+      replyTo: MAIL_TO || undefined,
+      subject: `${kind} ${doc.number} from ${BUSINESS.name}`,
+      text,
+      html,
+      attachments: [{ filename: `${doc.number}.pdf`, contentType: "application/pdf", content: invoicePdf(doc) }]
+    });
+    return { ok:true };
+  }catch(e){
+    console.error(`[MAIL] ${doc.kind} ${doc.number} send failed:`, e);
+    return { ok:false, error:String(e) };
+  }
+}
+
+// -------------------- Appointment reminders --------------------
+// Emails customers ahead of booked jobs. Each offset is recorded on the appointment
+// (appt.reminders["24h"] = { atISO, result }) so restarts never send a duplicate.
+// Configure with REMINDER_OFFSETS_HOURS="24,2" (default) and REMINDER_INTERVAL_MINUTES=5.
+const REMINDER_OFFSETS_HOURS = String(process.env.REMINDER_OFFSETS_HOURS || "24,2")
+  .split(",").map(Number).filter(n => Number.isFinite(n) && n > 0);
+const REMINDER_INTERVAL_MS = Math.max(1, Number(process.env.REMINDER_INTERVAL_MINUTES || 5)) * 60 * 1000;
+
+// now: () => epoch ms (inject a fake clock to test without waiting)
+// send: (appt, hoursBefore) => Promise<{ ok, skipped?, reason? }>
+// save: (appt) => stores appt.reminders, called after each reminder is recorded
+function createReminderEngine({ now = () => Date.now(), offsetsHours = REMINDER_OFFSETS_HOURS, getBooked = confirmedAppts, send, save = saveReminders } = {}){
+  const offsets = [...offsetsHours].sort((a,b) => a - b); // smallest first
+  let timer = null;
+  let running = false;
+
+  // Returns the reminders handled this pass: [{ id, key, result }]
+  async function tick(){
+    if(running) return [];
+    running = true;
+    const done = [];
+    try{
+      const t = now();
+      for(const appt of getBooked()){
+        const start = Date.parse(appt?.startISO);
+        if(!Number.isFinite(start) || start <= t) continue;
+        const hoursLeft = (start - t) / 3600000;
+        // Only the tightest window we're inside is due; wider ones we slept through are "missed"
+        const due = offsets.find(h => hoursLeft <= h);
+        if(due == null) continue;
+        appt.reminders = appt.reminders || {};
+        const key = `${due}h`;
+        if(appt.reminders[key]) continue;
+
+        for(const h of offsets){
+          if(h > due && !appt.reminders[`${h}h`]) appt.reminders[`${h}h`] = { atISO: new Date(t).toISOString(), result:"missed" };
+        }
+        const r = await send(appt, due);
+        if(r?.skipped && r?.reason !== "no email"){
+          // Mailer not configured: leave it unrecorded so it goes out once mail is set up
+          continue;
+        }
+        const result = r?.ok ? "sent" : (r?.reason || "failed");
+        appt.reminders[key] = { atISO: new Date(t).toISOString(), result };
+        save(appt);
+        done.push({ id: appt.id, key, result });
+      }
+    }finally{
+      running = false;
+    }
+    return done;
+  }
+
+  function start(){
+    if(timer) return;
+    timer = setInterval(() => {
+      tick().then(done => {
+        for(const d of done) console.log(`[REMIND] ${d.key} id=${d.id} ${d.result}`);
+      }).catch(e => console.warn("[REMIND] tick failed", e));
+    }, REMINDER_INTERVAL_MS);
+    if(timer.unref) timer.unref();
+  }
+  function stop(){
+    if(timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { tick, start, stop };
+}
+
+// Only the reminders field is written back: the job may have been edited (or canceled)
+// while the email was going out.
+function saveReminders(appt){
+  db.tx(t => {
+    const cur = t.get("appointments", appt.id);
+    if(cur) t.put("appointments", { ...cur, reminders: appt.reminders });
+  });
+}
+
+function sendReminderEmail(appt, hoursBefore){
+  return sendCustomerEmail("reminder", appt, { hoursBefore });
+}
+
+
+// -------------------- Backups --------------------
+// Timestamped .tar.gz snapshots of the data store plus data/uploads/, taken on a
+// schedule and pruned to the newest BACKUP_KEEP. Each archive holds store.json
+// (a point-in-time copy of every table), uploads/<file> and manifest.json, so it
+// can also be opened with plain `tar -xzf`. Restores first take a "pre-restore"
+// backup, so a restore can itself be undone.
+//   BACKUP_DIR=<path>           (default <repo>-backups next to the repo folder, outside the
+//                                web root; put it on the persistent disk)
+//   BACKUP_INTERVAL_HOURS=24    (0 turns the schedule off)
+//   BACKUP_KEEP=14
+const BACKUP_DIR = path.resolve(process.env.BACKUP_DIR || path.join(path.dirname(__dirname), `${path.basename(__dirname)}-backups`));
+const BACKUP_INTERVAL_HOURS = Math.max(0, Number(process.env.BACKUP_INTERVAL_HOURS ?? 24) || 0);
+const BACKUP_KEEP = Math.max(1, Number(process.env.BACKUP_KEEP || 14));
+const BACKUP_NAME_RE = /^dsd-\d{8}T\d{9}Z(-[a-z0-9-]+)?\.tar\.gz$/;
+const SAFE_UPLOAD_NAME_RE = /^[a-z0-9_-][a-z0-9._-]*$/i;
+
+let backupRunning = false;
+
+function backupName(label){
+  const stamp = new Date().toISOString().replace(/[-:.]/g, ""); // 20261018T231000123Z
+  return `dsd-${stamp}${label ? `-${label}` : ""}.tar.gz`;
+}
+function backupPath(name){
+  const n = String(name || "");
+  if(!BACKUP_NAME_RE.test(n)) return null;
+  const full = path.join(BACKUP_DIR, n);
+  return fs.existsSync(full) ? full : null;
+}
+
+// Minimal ustar writer/reader (regular files only; names stay under 100 bytes)
+function tarHeader(name, size, mtimeMs){
+  const h = Buffer.alloc(512);
+  const octal = (n, len) => n.toString(8).padStart(len - 1, "0") + "\0";
+  h.write(name, 0, 100, "utf-8");
+  h.write(octal(0o644, 8), 100);
+  h.write(octal(0, 8), 108);
+  h.write(octal(0, 8), 116);
+  h.write(octal(size, 12), 124);
+  h.write(octal(Math.floor(mtimeMs / 1000), 12), 136);
+  h.write("        ", 148); // checksum is computed with this field as spaces
+  h.write("0", 156);
+  h.write("ustar\0", 257);
+  h.write("00", 263);
+  let sum = 0;
+  for(const b of h) sum += b;
+  h.write(sum.toString(8).padStart(6, "0") + "\0 ", 148);
+  return h;
+}
+function writeChunk(stream, buf){
+  return stream.write(buf) ? Promise.resolve() : new Promise(resolve => stream.once("drain", resolve));
+}
+
+// Calls onEntry(name, buffer) for each file in a .tar.gz; resolves when done.
+function readTarGz(file, onEntry){
+  return new Promise((resolve, reject) => {
+    let chunks = [];
+    let have = 0;
+    let cur = null;
+    let done = false;
+    const take = (n) => {
+      const all = Buffer.concat(chunks, have);
+      chunks = [all.subarray(n)];
+      have -= n;
+      return all.subarray(0, n);
+    };
+    const src = fs.createReadStream(file).pipe(zlib.createGunzip());
+    src.on("data", (chunk) => {
+      if(done) return;
+      chunks.push(chunk);
+      have += chunk.length;
+      try{
+        while(!done){
+          if(!cur){
+            if(have < 512) break;
+            const h = take(512);
+            if(h.every(b => b === 0)){ done = true; break; }
+            const name = h.toString("utf-8", 0, 100).replace(/\0[\s\S]*$/, "");
+            const size = parseInt(h.toString("ascii", 124, 136).replace(/\0[\s\S]*$/, "").trim() || "0", 8);
+            if(!name || !Number.isFinite(size) || size < 0) throw new Error("not a backup archive");
+            cur = { name, size, padded: Math.ceil(size / 512) * 512 };
+          }
+          if(have < cur.padded) break;
+          const body = take(cur.padded);
+          onEntry(cur.name, body.subarray(0, cur.size));
+          cur = null;
+        }
+      }catch(e){
+        src.destroy();
+        reject(e);
+      }
+    });
+    src.on("end", () => resolve());
+    src.on("error", reject);
+  });
+}
+
+async function createBackup(label){
+  if(backupRunning) return { ok:false, error:"A backup is already running" };
+  backupRunning = true;
+  const name = backupName(label);
+  const full = path.join(BACKUP_DIR, name);
+  const tmp = full + ".tmp";
+  try{
+    fs.mkdirSync(BACKUP_DIR, { recursive:true });
+    const snap = db.snapshot();
+    const files = fs.readdirSync(UPLOAD_DIR).filter(f => SAFE_UPLOAD_NAME_RE.test(f));
+    const manifest = {
+      createdISO: nowStamp(), seq: snap.seq,
+      counts: Object.fromEntries(Object.entries(snap.tables).map(([k, v]) => [k, v.length])),
+      uploads: []
+    };
+
+    const gz = zlib.createGzip();
+    const out = fs.createWriteStream(tmp);
+    const finished = new Promise((resolve, reject) => {
+      out.on("finish", resolve);
+      out.on("error", reject);
+      gz.on("error", reject);
+    });
+    gz.pipe(out);
+    const add = async (entryName, buf, mtimeMs = Date.now()) => {
+      await writeChunk(gz, tarHeader(entryName, buf.length, mtimeMs));
+      await writeChunk(gz, buf);
+      const pad = (512 - (buf.length % 512)) % 512;
+      if(pad) await writeChunk(gz, Buffer.alloc(pad));
+    };
+
+    await add("store.json", Buffer.from(JSON.stringify(snap)));
+    for(const f of files){
+      let buf, stat;
+      try{
+        stat = fs.statSync(path.join(UPLOAD_DIR, f));
+        if(!stat.isFile()) continue;
+        buf = fs.readFileSync(path.join(UPLOAD_DIR, f));
+      }catch(_){ continue; } // deleted while we were archiving
+      await add(`uploads/${f}`, buf, stat.mtimeMs);
+      manifest.uploads.push(f);
+    }
+    await add("manifest.json", Buffer.from(JSON.stringify(manifest, null, 2)));
+    await writeChunk(gz, Buffer.alloc(1024)); // end-of-archive marker
+    gz.end();
+    await finished;
+    fs.renameSync(tmp, full);
+    return { ok:true, name, bytes: fs.statSync(full).size, counts: manifest.counts, uploads: manifest.uploads.length };
+  }catch(e){
+    try{ fs.unlinkSync(tmp); }catch(_){ }
+    console.error("[BACKUP] failed", e);
+    return { ok:false, error:String(e) };
+  }finally{
+    backupRunning = false;
+  }
+}
+
+// Newest first
+function listBackups(){
+  let names = [];
+  try{ names = fs.readdirSync(BACKUP_DIR).filter(n => BACKUP_NAME_RE.test(n)); }catch(_){ }
+  return names.sort().reverse().map(name => {
+    const st = fs.statSync(path.join(BACKUP_DIR, name));
+    return { name, bytes: st.size, createdISO: st.mtime.toISOString() };
+  });
+}
+function pruneBackups(keep = BACKUP_KEEP){
+  const removed = [];
+  for(const b of listBackups().slice(keep)){
+    try{ fs.unlinkSync(path.join(BACKUP_DIR, b.name)); removed.push(b.name); }catch(_){ }
+  }
+  return removed;
+}
+
+// Returns a list of problems; empty means the snapshot can be loaded.
+function validateStoreSnapshot(snap){
+  if(!snap || typeof snap !== "object" || !snap.tables || typeof snap.tables !== "object"){
+    return ["store.json has no tables"];
+  }
+  const problems = [];
+  for(const name of STORE_TABLES){
+    const rows = snap.tables[name];
+    if(rows === undefined) continue; // table added after this backup was taken
+    if(!Array.isArray(rows)){ problems.push(`${name}: not a list`); continue; }
+    rows.forEach((r, i) => {
+      if(!r || typeof r !== "object" || r.id == null || r.id === "") problems.push(`${name}[${i}]: missing id`);
+    });
+  }
+  for(const a of snap.tables.appointments || []){
+    if(a && !Number.isFinite(Date.parse(a.startISO))) problems.push(`appointments ${a.id}: bad startISO`);
+  }
+  const avail = (snap.tables.availability || []).find(r => r?.id === "current");
+  if(avail && (!avail.weekly || typeof avail.weekly !== "object")) problems.push("availability: missing weekly template");
+  return problems.slice(0, 20);
+}
+
+// Reads and validates an archive. Uploads are only written out when extractTo is given.
+async function inspectBackup(name, extractTo){
+  const file = backupPath(name);
+  if(!file) return { ok:false, error:"Backup not found" };
+  let snap = null;
+  let manifest = null;
+  const uploads = [];
+  try{
+    await readTarGz(file, (entry, buf) => {
+      if(entry === "store.json") snap = JSON.parse(buf.toString("utf-8"));
+      else if(entry === "manifest.json") manifest = JSON.parse(buf.toString("utf-8"));
+      else if(entry.startsWith("uploads/") && SAFE_UPLOAD_NAME_RE.test(entry.slice(8))){
+        uploads.push(entry.slice(8));
+        if(extractTo) fs.writeFileSync(path.join(extractTo, entry.slice(8)), buf);
+      }
+    });
+  }catch(e){
+    return { ok:false, error:`Unreadable archive: ${e.message || e}` };
+  }
+  const problems = validateStoreSnapshot(snap);
+  if(problems.length) return { ok:false, error:"Backup failed validation", problems };
+  const counts = Object.fromEntries(STORE_TABLES.map(t => [t, (snap.tables[t] || []).length]));
+  return { ok:true, name, snap, manifest, uploads, counts };
+}
+
+// The archived uploads are unpacked into a staging dir next to uploads/. The records are
+// swapped in first; only once they're on disk does the staging dir replace uploads/ (the
+// old one is kept aside until then), so a failure at either step leaves the live data as
+// it was.
+async function restoreBackup(name){
+  if(!backupPath(name)) return { ok:false, error:"Backup not found" };
+  const staging = fs.mkdtempSync(path.join(DATA_DIR, "restore-"));
+  const aside = `${staging}-old`;
+  let swapped = false;
+  try{
+    const found = await inspectBackup(name, staging);
+    if(!found.ok) return found;
+    const safety = await createBackup("pre-restore");
+    if(!safety.ok) return { ok:false, error:`Could not back up the current data first: ${safety.error}` };
+
+    // uploads/ ends up exactly as archived (the bundled default image always stays)
+    if(!found.uploads.includes(DEFAULT_IMAGE_FILE)){
+      try{ fs.copyFileSync(path.join(UPLOAD_DIR, DEFAULT_IMAGE_FILE), path.join(staging, DEFAULT_IMAGE_FILE)); }catch(_){ }
+    }
+
+    const before = db.snapshot();
+    try{
+      db.replace(found.snap);
+    }catch(e){
+      try{ db.replace(before); }catch(e2){ console.error("[BACKUP] could not put the previous records back", e2); }
+      return { ok:false, error:`Could not write the restored records: ${e.message || e}`, safetyBackup: safety.name };
+    }
+    try{
+      fs.renameSync(UPLOAD_DIR, aside);
+      try{ fs.renameSync(staging, UPLOAD_DIR); }
+      catch(e){ fs.renameSync(aside, UPLOAD_DIR); throw e; }
+      swapped = true;
+    }catch(e){
+      try{ db.replace(before); }catch(e2){ console.error("[BACKUP] could not put the previous records back", e2); }
+      return { ok:false, error:`Could not swap in the restored uploads: ${e.message || e}`, safetyBackup: safety.name };
+    }
+    return { ok:true, restored: name, safetyBackup: safety.name, counts: found.counts, uploads: found.uploads.length };
+  }finally{
+    fs.rmSync(staging, { recursive:true, force:true });
+    if(swapped) fs.rmSync(aside, { recursive:true, force:true });
+  }
+}
+
+function startBackupSchedule(){
+  if(!BACKUP_INTERVAL_HOURS) return false;
+  const intervalMs = BACKUP_INTERVAL_HOURS * 60 * 60 * 1000;
+  const run = () => createBackup().then((r) => {
+    if(!r.ok) return;
+    const removed = pruneBackups();
+    console.log(`[BACKUP] ${r.name} ${r.bytes} bytes, uploads=${r.uploads}${removed.length ? `, pruned ${removed.length}` : ""}`);
+  });
+  // First run is due one interval after the newest existing backup
+  const last = listBackups()[0];
+  const age = last ? Date.now() - Date.parse(last.createdISO) : Infinity;
+  const first = setTimeout(() => {
+    run();
+    const timer = setInterval(run, intervalMs);
+    if(timer.unref) timer.unref();
+  }, Math.min(Math.max(0, intervalMs - age), 2147483647));
+  if(first.unref) first.unref();
+  return true;
+}
+
+
+// -------------------- Upload storage --------------------
+// data/uploads/ only ever gains files: replaced photos, abandoned request photos and
+// failed uploads stay behind. The GC compares every file with what the records still
+// use (referencedUploads(): inventory, gallery, appointment attachments, all sizes) and
+// moves files nobody uses, older than the grace period, to data/quarantine/. Quarantined
+// files are deleted for good after UPLOAD_QUARANTINE_DAYS; until then they can be moved
+// back by hand. Leftover .upload-* temp files past the grace period are just deleted.
+//   UPLOAD_GRACE_HOURS=24          (never touch anything younger)
+//   UPLOAD_QUARANTINE_DAYS=30
+//   UPLOAD_GC_INTERVAL_HOURS=24    (0 turns the schedule off)
+const QUARANTINE_DIR = path.join(DATA_DIR, "quarantine");
+const UPLOAD_GRACE_MS = Math.max(0, Number(process.env.UPLOAD_GRACE_HOURS ?? 24) || 0) * 60 * 60 * 1000;
+const UPLOAD_QUARANTINE_MS = Math.max(0, Number(process.env.UPLOAD_QUARANTINE_DAYS ?? 30) || 0) * 24 * 60 * 60 * 1000;
+const UPLOAD_GC_INTERVAL_HOURS = Math.max(0, Number(process.env.UPLOAD_GC_INTERVAL_HOURS ?? 24) || 0);
+
+function listDirFiles(dir){
+  let names = [];
+  try{ names = fs.readdirSync(dir); }catch(_){ return []; }
+  const out = [];
+  for(const name of names){
+    try{
+      const st = fs.statSync(path.join(dir, name));
+      if(st.isFile()) out.push({ name, bytes: st.size, mtimeMs: st.mtimeMs });
+    }catch(_){ }
+  }
+  return out;
+}
+
+// What's in data/uploads/ and what of it is unused
+function uploadStorageReport(now = Date.now()){
+  const refs = referencedUploads();
+  const files = listDirFiles(UPLOAD_DIR).map(f => ({
+    name: f.name,
+    bytes: f.bytes,
+    modifiedISO: new Date(f.mtimeMs).toISOString(),
+    referenced: refs.has(`/uploads/${f.name}`),
+    temp: !SAFE_UPLOAD_NAME_RE.test(f.name),
+    // old enough for the GC to move/delete it
+    due: now - f.mtimeMs >= UPLOAD_GRACE_MS,
+  }));
+  const orphans = files.filter(f => !f.referenced).sort((a, b) => b.bytes - a.bytes);
+  const quarantine = listDirFiles(QUARANTINE_DIR);
+  const sum = (list) => list.reduce((n, f) => n + f.bytes, 0);
+  return {
+    totalBytes: sum(files),
+    fileCount: files.length,
+    largest: files.slice().sort((a, b) => b.bytes - a.bytes).slice(0, 10),
+    orphans,
+    orphanBytes: sum(orphans),
+    missing: [...refs].filter(p => !fs.existsSync(path.join(UPLOAD_DIR, p.replace(/^\/uploads\//, "")))),
+    quarantine: { fileCount: quarantine.length, bytes: sum(quarantine) },
+    graceHours: UPLOAD_GRACE_MS / 3600000,
+    quarantineDays: UPLOAD_QUARANTINE_MS / 86400000,
+  };
+}
+
+// One GC pass. Returns { quarantined: [names], tempRemoved: [names], purged: [names] };
+// with dryRun nothing is moved or deleted.
+function collectUploadGarbage({ dryRun = false, now = Date.now() } = {}){
+  const report = uploadStorageReport(now);
+  const due = report.orphans.filter(f => f.due && f.name !== DEFAULT_IMAGE_FILE);
+  const quarantined = [], tempRemoved = [], purged = [];
+  if(!dryRun) try{ fs.mkdirSync(QUARANTINE_DIR, { recursive:true }); }catch(_){ }
+  for(const f of due){
+    const from = path.join(UPLOAD_DIR, f.name);
+    try{
+      if(f.temp){
+        if(!dryRun) fs.unlinkSync(from);
+        tempRemoved.push(f.name);
+        continue;
+      }
+      if(!dryRun){
+        const to = path.join(QUARANTINE_DIR, f.name);
+        fs.renameSync(from, to);
+        // mtime = when it was quarantined, so the purge counts from there
+        fs.utimesSync(to, now / 1000, now / 1000);
+      }
+      quarantined.push(f.name);
+    }catch(e){
+      console.warn("[UPLOADS] could not move", f.name, String(e?.message || e));
+    }
+  }
+  for(const f of listDirFiles(QUARANTINE_DIR)){
+    if(now - f.mtimeMs < UPLOAD_QUARANTINE_MS) continue;
+    try{
+      if(!dryRun) fs.unlinkSync(path.join(QUARANTINE_DIR, f.name));
+      purged.push(f.name);
+    }catch(_){ }
+  }
+  return { quarantined, tempRemoved, purged };
+}
+
+function startUploadGcSchedule(){
+  if(!UPLOAD_GC_INTERVAL_HOURS) return false;
+  const run = () => {
+    const r = collectUploadGarbage();
+    const n = r.quarantined.length + r.tempRemoved.length + r.purged.length;
+    if(n) console.log(`[UPLOADS] quarantined ${r.quarantined.length}, removed ${r.tempRemoved.length} temp, purged ${r.purged.length}`);
+  };
+  const timer = setInterval(run, UPLOAD_GC_INTERVAL_HOURS * 60 * 60 * 1000);
+  if(timer.unref) timer.unref();
+  return true;
+}
+
+
+// -------------------- tiny HTTP helpers --------------------
+function send(res, status, headers, body){
+  res.writeHead(status, headers);
+  res.end(body);
+}
+// Photos a customer attaches to a request (data plate, error display, damage). Saved as
+// req_<apptId>_<n>_... and listed on the appointment as attachments: [{ imagePath, name, createdISO }].
+const REQUEST_PHOTO_MAX = 4;
+function saveRequestPhotos(apptId, photos){
+  const list = Array.isArray(photos) ? photos.slice(0, REQUEST_PHOTO_MAX) : [];
+  const out = [];
+  list.forEach((p, i) => {
+    const dataUrl = String(p?.dataUrl || "");
+    if(!/^data:image\//i.test(dataUrl)) return;
+    const imagePath = saveUploadedImage({ dataUrl, filenameHint: p?.name, id: `${apptId}_${i + 1}`, prefix: "req" });
+    if(imagePath.endsWith(`/${DEFAULT_IMAGE_FILE}`)) return;
+    out.push({ imagePath, name: String(p?.name || "").slice(0, 120), createdISO: nowStamp() });
+  });
+  return out;
+}
+
+// Every /uploads/ path still used by an inventory item, gallery photo or appointment
+function referencedUploads(){
+  const refs = new Set([`/uploads/${DEFAULT_IMAGE_FILE}`]);
+  for(const x of [...db.list("inventory"), ...db.list("gallery")]) for(const p of imageFiles(x)) refs.add(p);
+  for(const a of db.list("appointments")) for(const f of a.attachments || []) for(const p of imageFiles(f)) refs.add(p);
+  return refs;
+}
+// Best-effort: deletes the given /uploads/ files unless some record still points at them
+function removeUnreferencedUploads(paths){
+  const refs = referencedUploads();
+  let removed = 0;
+  for(const p of paths || []){
+    if(!String(p).startsWith("/uploads/") || refs.has(p)) continue;
+    const safe = String(p).replace(/^\/uploads\//, "").replace(/[^a-z0-9._-]/gi, "");
+    const full = path.join(UPLOAD_DIR, safe);
+    try{
+      if(safe && full.startsWith(UPLOAD_DIR) && fs.existsSync(full)){ fs.unlinkSync(full); removed++; }
+    }catch(_){ }
+  }
+  return removed;
+}
+// attachments for a new request: files sent earlier to /api/uploads?kind=req
+// (payload.attachments: [{ imagePath, key, name }]) and/or inline data URLs (payload.photos),
+// each run through processUploadedImage(); unreadable ones are dropped
+async function requestAttachments(apptId, payload){
+  const uploaded = claimedRequestUploads(payload)
+    .map(f => ({ imagePath: f.imagePath, name: String(f?.name || "").slice(0, 120), createdISO: nowStamp() }));
+  const all = [...uploaded, ...saveRequestPhotos(apptId, payload?.photos)];
+  removeUnreferencedUploads(all.slice(REQUEST_PHOTO_MAX).map(f => f.imagePath));
+  const out = [];
+  for(const f of all.slice(0, REQUEST_PHOTO_MAX)){
+    const img = await processUploadedImage(f.imagePath);
+    if(!img.error) out.push({ ...f, ...img });
+  }
+  return out;
+}
+const attachmentPaths = (appts) => appts.flatMap(a => (a?.attachments || []).flatMap(imageFiles));
+
+// -------------------- Streaming uploads --------------------
+// POST /api/uploads takes multipart/form-data and writes each file part straight to
+// data/uploads/ (no base64, nothing buffered beyond a chunk). The file type comes from
+// the first bytes, not the declared mime, and each file has its own size limit.
+const UPLOAD_MAX_BYTES = Math.max(1, Number(process.env.UPLOAD_MAX_MB || 8)) * 1024 * 1024;
+// kind -> file name prefix, who may upload, how many files per request
+const UPLOAD_KINDS = {
+  inv: { perm: "inventory.edit", maxFiles: 1 },
+  gal: { perm: "gallery.edit", maxFiles: 1 },
+  req: { perm: "", maxFiles: REQUEST_PHOTO_MAX },
+};
+// Request photos sent without a staff session are capped per client (clientIp):
+// REQ_UPLOADS_PER_IP uploads an hour, and at most REQ_PENDING_FILES files and
+// REQ_PENDING_MB held on disk that no request has taken yet. Attaching a photo to a
+// request re-encodes it (the upload itself is deleted), and upload cleanup moves
+// abandoned ones out, so either frees the client's allowance again.
+const REQ_UPLOADS_PER_IP = Math.max(1, Number(process.env.REQ_UPLOADS_PER_IP) || 10);
+const REQ_PENDING_FILES = REQUEST_PHOTO_MAX * 2;
+const REQ_PENDING_BYTES = Math.max(1, Number(process.env.REQ_PENDING_MB || 40)) * 1024 * 1024;
+const REQ_UPLOAD_HITS_BY_IP = new Map(); // ip -> [ts]
+const REQ_PENDING_BY_IP = new Map();     // ip -> [{ imagePath, bytes }]
+
+// The client's uploads still waiting in UPLOAD_DIR: { files, bytes }
+function pendingRequestUploads(ip){
+  const files = (REQ_PENDING_BY_IP.get(ip) || []).filter(f => fs.existsSync(path.join(UPLOAD_DIR, f.imagePath.slice("/uploads/".length))));
+  if(files.length) REQ_PENDING_BY_IP.set(ip, files); else REQ_PENDING_BY_IP.delete(ip);
+  return { files, bytes: files.reduce((n, f) => n + f.bytes, 0) };
+}
+function notePendingRequestUploads(ip, files){
+  REQ_PENDING_BY_IP.set(ip, [...pendingRequestUploads(ip).files, ...files.map(f => ({ imagePath: f.imagePath, bytes: f.bytes }))]);
+  if(REQ_PENDING_BY_IP.size > 10000){
+    for(const key of REQ_PENDING_BY_IP.keys()) pendingRequestUploads(key);
+  }
+}
+
+// Magic bytes -> extension ("" = not an image we keep)
+function sniffImageType(head){
+  if(head.length >= 3 && head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return ".jpg";
+  if(head.length >= 8 && head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return ".png";
+  if(head.length >= 6 && /^GIF8[79]a$/.test(head.subarray(0, 6).toString("latin1"))) return ".gif";
+  if(head.length >= 12 && head.subarray(0, 4).toString("latin1") === "RIFF" && head.subarray(8, 12).toString("latin1") === "WEBP") return ".webp";
+  return "";
+}
+
+// A path a client says it uploaded earlier: returned as-is when it's one of ours with the
+// expected prefix and the file exists, otherwise "".
+function uploadedPath(p, prefix){
+  const name = String(p || "").replace(/^\/uploads\//, "");
+  if(!String(p || "").startsWith("/uploads/") || !SAFE_UPLOAD_NAME_RE.test(name)) return "";
+  if(prefix && !name.startsWith(`${prefix}_`)) return "";
+  return fs.existsSync(path.join(UPLOAD_DIR, name)) ? `/uploads/${name}` : "";
+}
+
+// Request photos are uploaded anonymously, so a path alone proves nothing: /api/uploads
+// hands the uploader a key signed for that path, and a request may only take the
+// uploads it sends back with their keys (anything else, e.g. another customer's
+// photo, is ignored rather than processed or deleted).
+function requestUploadKey(imagePath){
+  return b64url(crypto.createHmac("sha256", SESSION_SECRET).update(`upload:${imagePath}`).digest());
+}
+// payload.attachments narrowed to this client's own, existing req_ uploads (each once)
+function claimedRequestUploads(payload){
+  const seen = new Set();
+  return (Array.isArray(payload?.attachments) ? payload.attachments : []).flatMap(f => {
+    const imagePath = uploadedPath(f?.imagePath, "req");
+    const key = String(f?.key || "");
+    const expected = imagePath ? requestUploadKey(imagePath) : "";
+    if(!expected || seen.has(imagePath) || key.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(key), Buffer.from(expected))) return [];
+    seen.add(imagePath);
+    return [{ ...f, imagePath }];
+  });
+}
+
+// Streams a multipart body; each file part goes to a hidden temp file in UPLOAD_DIR and is
+// renamed to <prefix>_<id>_<time><ext> once complete. Calls cb(err, files) exactly once;
+// err is { status, error }. On error, everything written by this request is removed and
+// the connection is closed once the error response has gone out.
+function receiveUploads(req, res, { prefix, maxFiles }, cb){
+  const m = String(req.headers["content-type"] || "").match(/^multipart\/form-data;.*boundary=(?:"([^"]+)"|([^;\s]+))/i);
+  if(!m) return cb({ status:415, error:"Send the photos as multipart/form-data" });
+  const delim = Buffer.from(`\r\n--${m[1] || m[2]}`);
+  // Treat the body as if it began with CRLF so every boundary looks the same
+  let buf = Buffer.from("\r\n");
+  let state = "preamble";
+  let part = null;        // current file part: { tmp, out, bytes, head, ext, name }
+  const files = [], pending = [];
+  let done = false, started = 0;
+
+  const finish = (err) => {
+    if(done) return;
+    done = true;
+    if(err){
+      for(const p of pending){
+        // The temp file may not even be open yet; remove it once the stream is closed
+        const rm = () => fs.unlink(p.tmp, () => {});
+        if(p.out.closed) rm();
+        else{ p.out.once("close", rm); p.out.destroy(); }
+      }
+      for(const f of files) fs.unlink(path.join(UPLOAD_DIR, f.imagePath.slice(9)), () => {});
+      res.once("finish", () => req.destroy());
+      req.resume();
+      return cb(err);
+    }
+    cb(null, files);
+  };
+  const maybeDone = () => { if(state === "done" && !pending.length) finish(null); };
+
+  const startPart = (headerText) => {
+    const disp = headerText.match(/content-disposition:[^\r\n]*/i)?.[0] || "";
+    const filename = disp.match(/filename="([^"]*)"/i)?.[1];
+    if(filename === undefined || filename === "") return null;    // plain field / empty file input: ignored
+    if(++started > maxFiles) throw { status:400, error:`Up to ${maxFiles} file(s) per upload` };
+    const tmp = path.join(UPLOAD_DIR, `.upload-${crypto.randomBytes(8).toString("hex")}`);
+    const out = fs.createWriteStream(tmp);
+    out.on("error", () => finish({ status:500, error:"Could not save the upload" }));
+    out.on("drain", () => req.resume());
+    const p = { tmp, out, bytes: 0, head: Buffer.alloc(0), ext: "", name: path.basename(filename).slice(0, 120) };
+    pending.push(p);
+    return p;
+  };
+  const writePart = (chunk) => {
+    if(!part || !chunk.length) return;
+    part.bytes += chunk.length;
+    if(part.bytes > UPLOAD_MAX_BYTES) throw { status:413, error:`Each photo must be under ${Math.round(UPLOAD_MAX_BYTES / 1024 / 1024)}MB` };
+    if(!part.ext){
+      part.head = Buffer.concat([part.head, chunk]).subarray(0, 12);
+      if(part.head.length >= 12 || part.bytes >= 12){
+        part.ext = sniffImageType(part.head);
+        if(!part.ext) throw { status:415, error:"Only JPG, PNG, WebP or GIF images are accepted" };
+      }
+    }
+    if(!part.out.write(chunk)) req.pause();
+  };
+  const endPart = () => {
+    if(!part) return;
+    const p = part;
+    part = null;
+    if(!p.ext) p.ext = sniffImageType(p.head);
+    if(!p.ext) throw { status:415, error:"Only JPG, PNG, WebP or GIF images are accepted" };
+    const name = `${prefix}_${makeId()}_${Date.now()}${p.ext}`;
+    p.out.end(() => {
+      if(done) return;
+      try{ fs.renameSync(p.tmp, path.join(UPLOAD_DIR, name)); }
+      catch(_){ return finish({ status:500, error:"Could not save the upload" }); }
+      pending.splice(pending.indexOf(p), 1);
+      files.push({ imagePath: `/uploads/${name}`, name: p.name, bytes: p.bytes });
+      maybeDone();
+    });
+  };
+
+  req.on("data", (chunk) => {
+    if(done) return;
+    buf = Buffer.concat([buf, chunk]);
+    try{
+      for(;;){
+        if(state === "preamble" || state === "body"){
+          const idx = buf.indexOf(delim);
+          if(idx < 0){
+            // Keep enough of the tail to spot a boundary split across chunks
+            const keep = Math.min(buf.length, delim.length - 1);
+            if(state === "body") writePart(buf.subarray(0, buf.length - keep));
+            buf = buf.subarray(buf.length - keep);
+            break;
+          }
+          if(state === "body"){ writePart(buf.subarray(0, idx)); endPart(); }
+          buf = buf.subarray(idx + delim.length);
+          state = "boundary";
+        }
+        if(state === "boundary"){
+          if(buf.length < 2) break;
+          const tail = buf.subarray(0, 2).toString("latin1");
+          buf = buf.subarray(2);
+          if(tail === "--"){ state = "done"; break; }
+          state = "headers";
+        }
+        if(state === "headers"){
+          const idx = buf.indexOf("\r\n\r\n");
+          if(idx < 0){
+            if(buf.length > 16 * 1024) throw { status:400, error:"Malformed upload" };
+            break;
+          }
+          part = startPart(buf.subarray(0, idx).toString("utf-8"));
+          buf = buf.subarray(idx + 4);
+          state = "body";
+        }
+        if(state === "done") break;
+      }
+    }catch(err){
+      finish(err?.status ? err : { status:400, error:"Malformed upload" });
+    }
+  });
+  req.on("end", () => {
+    if(done) return;
+    if(state !== "done") return finish({ status:400, error:"Upload ended early" });
+    maybeDone();
+  });
+  req.on("error", () => finish({ status:400, error:"Upload interrupted" }));
+  req.on("close", () => { if(state !== "done") finish({ status:400, error:"Upload interrupted" }); });
+}
+
+// -------------------- Image variants --------------------
+// Every stored photo is re-encoded through sharp: rotated upright from its EXIF
+// orientation, with all metadata (GPS, camera serial) dropped, in three sizes, each as
+// WebP plus a JPEG fallback (PNG when the photo has transparency). The original file is
+// removed. Records keep imagePath (the full-size fallback) plus
+//   variants: { thumb|medium|full: { width, height, webp, fallback } }
+const IMAGE_SIZES = { thumb: 320, medium: 960, full: 2048 };
+
+async function makeImageVariants(imagePath){
+  const name = String(imagePath || "").replace(/^\/uploads\//, "");
+  if(!SAFE_UPLOAD_NAME_RE.test(name) || name === DEFAULT_IMAGE_FILE) return null;
+  const src = path.join(UPLOAD_DIR, name);
+  const base = name.replace(/\.[a-z0-9]+$/i, "");
+  const input = await fs.promises.readFile(src);
+  const meta = await sharp(input).metadata();
+  const fallbackExt = meta.hasAlpha ? "png" : "jpg";
+  const variants = {};
+  for(const [size, px] of Object.entries(IMAGE_SIZES)){
+    // .rotate() with no angle applies the EXIF orientation; sharp writes no metadata unless asked
+    const pipeline = sharp(input).rotate().resize({ width: px, height: px, fit: "inside", withoutEnlargement: true });
+    const webpName = `${base}_${size}.webp`;
+    const fallbackName = `${base}_${size}.${fallbackExt}`;
+    const info = await pipeline.clone().webp({ quality: 80 }).toFile(path.join(UPLOAD_DIR, webpName));
+    await (fallbackExt === "png" ? pipeline.clone().png() : pipeline.clone().jpeg({ quality: 82, mozjpeg: true }))
+      .toFile(path.join(UPLOAD_DIR, fallbackName));
+    variants[size] = { width: info.width, height: info.height, webp: `/uploads/${webpName}`, fallback: `/uploads/${fallbackName}` };
+  }
+  await fs.promises.unlink(src).catch(() => {});
+  return { imagePath: variants.full.fallback, variants };
+}
+
+// Upload -> { imagePath, variants }. Images sharp can't read are removed and rejected
+// with { error }; the bundled default image passes through untouched.
+async function processUploadedImage(imagePath){
+  if(!imagePath || imagePath === `/uploads/${DEFAULT_IMAGE_FILE}`) return { imagePath: `/uploads/${DEFAULT_IMAGE_FILE}` };
+  try{
+    return (await makeImageVariants(imagePath)) || { error:"Unknown upload" };
+  }catch(e){
+    console.warn("[IMG] could not process", imagePath, String(e?.message || e));
+    removeUnreferencedUploads([imagePath]);
+    return { error:"That file could not be read as an image" };
+  }
+}
+
+// A photo some record already uses -> { imagePath, variants } shared with that record, or
+// null for a fresh upload. Only fresh uploads may go through processUploadedImage(), which
+// deletes its source file once the sizes are made.
+function existingImage(imagePath){
+  if(!referencedUploads().has(imagePath)) return null;
+  const owner = [...db.list("inventory"), ...db.list("gallery")].find(x => x.imagePath === imagePath);
+  return { imagePath, variants: owner?.variants };
+}
+
+// All files behind one record's photo (the main path plus every variant)
+function imageFiles(rec){
+  const out = rec?.imagePath ? [rec.imagePath] : [];
+  for(const v of Object.values(rec?.variants || {})) out.push(v.webp, v.fallback);
+  return out.filter(Boolean);
+}
+
+function json(res, status, obj){
+  send(res, status, {
+    "Content-Type":"application/json; charset=utf-8",
+    "Access-Control-Allow-Origin":"*",
+    "Access-Control-Allow-Headers":"Content-Type, Authorization",
+    "Access-Control-Allow-Methods":"POST,OPTIONS,GET",
+  }, JSON.stringify(obj));
+}
+function readBodyJson(req, res, cb){
+  // Older clients still send images as base64 data URLs (the site itself uses
+  // /api/uploads now). Those can easily exceed 2MB, especially with phone JPGs.
+  // We allow up to ~15MB here. If we hit the limit, return a 413
+  // instead of hard-dropping the socket (which shows as "Failed to fetch").
+  const MAX = 15 * 1024 * 1024;
+  let raw = "";
+  let responded = false;
+
+  req.on("data", (chunk) => {
+    if(responded) return;
+    raw += chunk;
+    if(raw.length > MAX){
+      responded = true;
+      try{ json(res, 413, { ok:false, error:"Payload too large. Please use a smaller image (try exporting under ~5MB)." }); }catch(_){ }
+      try{ req.pause(); }catch(_){ }
+      try{ req.destroy(); }catch(_){ }
+    }
+  });
+
+  req.on("end", () => {
+    if(responded) return;
+    let payload = {};
+    try{ payload = raw ? JSON.parse(raw) : {}; }
+    catch(e){ payload = { _parseError:String(e), _raw:raw }; }
+    cb(payload);
+  });
+}
+
+// -------------------- Admin auth --------------------
+// Management routes require a signed session issued by POST /api/admin/login.
+// Accounts live in the users table (see ROLE_PERMISSIONS below). The shared PIN
+// still works as a built-in owner login so a fresh install can create accounts.
+// Set these environment variables on Render:
+//   ADMIN_PIN_HASH=scrypt$<salt>$<hash>   (generate with: node server.js hash-pin <pin>)
+//   SESSION_SECRET=<long random string>   (keeps sessions valid across restarts)
+// Optional:
+//   ADMIN_PIN=<pin>                       (plain PIN; only used when ADMIN_PIN_HASH is not set)
+//   SESSION_HOURS=12
+// The session is returned both as an HttpOnly cookie (same-origin) and in the
+// response body (sent back as "Authorization: Bearer ..." when the site is hosted elsewhere).
+
+const SESSION_COOKIE = "dsd_session";
+const SESSION_TTL_MS = Math.max(1, Number(process.env.SESSION_HOURS || 12)) * 60 * 60 * 1000;
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+if(!process.env.SESSION_SECRET){
+  console.warn("[AUTH] SESSION_SECRET not set; admin sessions will not survive a restart");
+}
+
+function hashPin(pin, salt){
+  const s = salt || crypto.randomBytes(16).toString("hex");
+  const h = crypto.scryptSync(String(pin), s, 32).toString("hex");
+  return `scrypt$${s}$${h}`;
+}
+function verifyPin(pin, stored){
+  const parts = String(stored || "").split("$");
+  if(parts.length !== 3 || parts[0] !== "scrypt") return false;
+  const expected = Buffer.from(parts[2], "hex");
+  const actual = crypto.scryptSync(String(pin || ""), parts[1], expected.length);
+  return expected.length > 0 && crypto.timingSafeEqual(expected, actual);
+}
+
+const ADMIN_PIN_HASH =
+  process.env.ADMIN_PIN_HASH ||
+  (process.env.ADMIN_PIN ? hashPin(process.env.ADMIN_PIN) : "");
+if(!ADMIN_PIN_HASH && !db.count("users")){
+  console.warn("[AUTH] ADMIN_PIN_HASH not set and no users exist; management login is disabled");
+}
+
+// What each role may do. Technicians only see/update jobs assigned to them.
+const ROLE_PERMISSIONS = {
+  owner: [
+    "schedule.viewAll", "schedule.manage", "jobs.update",
+    "availability.edit", "inventory.edit", "gallery.edit", "users.manage",
+    "backups.manage", "audit.view", "invoices.manage", "billing.edit", "customers.manage", "messages.manage",
+  ],
+  frontdesk: ["schedule.viewAll", "schedule.manage", "jobs.update", "invoices.manage", "customers.manage", "messages.manage"],
+  technician: ["schedule.viewOwn", "jobs.updateOwn"],
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function roleCan(role, perm){
+  return (ROLE_PERMISSIONS[role] || []).includes(perm);
+}
+function publicUser(u){
+  return { id: u.id, username: u.username, name: u.name, role: u.role, createdISO: u.createdISO };
+}
+function findUserByUsername(username){
+  const key = String(username || "").trim().toLowerCase();
+  return key ? (listUsers().find(u => u.username === key) || null) : null;
+}
+function normalizeUser(input, existing){
+  const username = String(input?.username ?? existing?.username ?? "").trim().toLowerCase().replace(/[^a-z0-9._-]/g, "");
+  const role = ROLES.includes(String(input?.role)) ? String(input.role) : (existing?.role || "technician");
+  return {
+    id: String(existing?.id || makeId()),
+    username,
+    name: String(input?.name ?? existing?.name ?? "").trim() || username,
+    role,
+    passwordHash: input?.password ? hashPin(input.password) : String(existing?.passwordHash || ""),
+    createdISO: String(existing?.createdISO || nowStamp())
+  };
+}
+
+function b64url(buf){
+  return Buffer.from(buf).toString("base64").replace(/=+$/,"").replace(/\+/g,"-").replace(/\//g,"_");
+}
+function signSession(payload){
+  const body = b64url(JSON.stringify(payload));
+  const sig = b64url(crypto.createHmac("sha256", SESSION_SECRET).update(body).digest());
+  return `${body}.${sig}`;
+}
+function verifySession(token){
+  const [body, sig] = String(token || "").split(".");
+  if(!body || !sig) return null;
+  const expected = b64url(crypto.createHmac("sha256", SESSION_SECRET).update(body).digest());
+  const a = Buffer.from(sig);
+  const b = Buffer.from(expected);
+  if(a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+  try{
+    const payload = JSON.parse(Buffer.from(body.replace(/-/g,"+").replace(/_/g,"/"), "base64").toString("utf-8"));
+    if(!payload || !Number.isFinite(payload.exp) || payload.exp < Date.now()) return null;
+    return payload;
+  }catch(_){
+    return null;
+  }
+}
+
+function parseCookies(req){
+  const out = {};
+  const raw = String(req.headers?.cookie || "");
+  for(const part of raw.split(";")){
+    const i = part.indexOf("=");
+    if(i < 0) continue;
+    const k = part.slice(0, i).trim();
+    if(k) out[k] = decodeURIComponent(part.slice(i+1).trim());
+  }
+  return out;
+}
+function getSession(req){
+  const auth = String(req.headers?.authorization || "");
+  const m = auth.match(/^Bearer\s+(.+)$/i);
+  const session = m ? verifySession(m[1].trim()) : verifySession(parseCookies(req)[SESSION_COOKIE]);
+  if(!session) return null;
+  if(session.sub === "pin") return { ...session, role:"owner", name:"Owner" };
+  // Re-read the account so deleted users and role changes take effect immediately
+  const user = findUser(session.sub);
+  if(!user) return null;
+  return { ...session, role: user.role, name: user.name };
+}
+function sessionCookie(req, token, maxAgeSec){
+  const secure = (req.socket?.encrypted || String(req.headers?.["x-forwarded-proto"] || "").includes("https")) ? "; Secure" : "";
+  return `${SESSION_COOKIE}=${token}; HttpOnly; Path=/; SameSite=Lax; Max-Age=${maxAgeSec}${secure}`;
+}
+
+// Returns the session, or sends a 401 (not logged in) / 403 (role lacks a permission) and returns null.
+// With several permissions, any one of them is enough.
+function requireAdmin(req, res, ...perms){
+  const session = getSession(req);
+  if(!session){
+    json(res, 401, { ok:false, error:"Not authorized. Please log in to Management mode." });
+    return null;
+  }
+  if(perms.length && !perms.some(p => roleCan(session.role, p))){
+    json(res, 403, { ok:false, error:"Your account does not have access to that." });
+    return null;
+  }
+  return session;
+}
+
+// Basic brute-force guard for the login route: after repeated failures lock out both the
+// address and the account tried (the username, or "pin" for the owner PIN), so switching
+// addresses doesn't buy more guesses at the same password.
+const LOGIN_FAILS = new Map(); // "ip:<addr>" | "user:<username>" -> { count, firstTs }
+const LOGIN_MAX_FAILS = 5;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+// The caller's address for rate limits, lockouts and the audit log. X-Forwarded-For is
+// written by the client as much as by proxies, so only the entries our own proxies
+// appended count: TRUST_PROXY_HOPS of them from the right (1 behind Render's or any
+// single load balancer). With 0 (the default) the socket address is used as is.
+const TRUST_PROXY_HOPS = Math.max(0, Math.floor(Number(process.env.TRUST_PROXY_HOPS) || 0));
+function clientIp(req){
+  const socketIp = req.socket?.remoteAddress || "";
+  if(!TRUST_PROXY_HOPS) return socketIp;
+  const hops = String(req.headers?.["x-forwarded-for"] || "").split(",").map(x => x.trim()).filter(Boolean);
+  return hops[hops.length - TRUST_PROXY_HOPS] || hops[0] || socketIp;
+}
+function loginKeys(ip, username){
+  return [`ip:${ip}`, `user:${String(username || "").trim().toLowerCase() || "pin"}`];
+}
+function loginLocked(keys){
+  return keys.some(key => {
+    const e = LOGIN_FAILS.get(key);
+    if(!e) return false;
+    if(Date.now() - e.firstTs > LOGIN_WINDOW_MS){ LOGIN_FAILS.delete(key); return false; }
+    return e.count >= LOGIN_MAX_FAILS;
+  });
+}
+function noteLoginFail(keys){
+  for(const key of keys){
+    const e = LOGIN_FAILS.get(key);
+    if(!e || Date.now() - e.firstTs > LOGIN_WINDOW_MS) LOGIN_FAILS.set(key, { count:1, firstTs:Date.now() });
+    else e.count += 1;
+  }
+  if(LOGIN_FAILS.size > 10000){
+    for(const [key, e] of LOGIN_FAILS) if(Date.now() - e.firstTs > LOGIN_WINDOW_MS) LOGIN_FAILS.delete(key);
+  }
+}
+
+// -------------------- Spam protection --------------------
+// Guards the anonymous forms (/api/contact, /api/schedule/request) before anything is
+// stored or emailed. A form is shown with a signed challenge from /api/form-challenge;
+// the browser finds a nonce whose SHA-256 with the token starts with FORM_POW_BITS zero
+// bits. The token also carries the time it was issued (minimum time-to-submit) and is
+// good for one submission. On top of that: a honeypot field, per-IP and per-email/phone
+// rate limits and a content score. Rejections are logged to the console, never emailed.
+// The limits count stored submissions (noteFormAccepted) and, per IP, posts these checks
+// turn away; a request the route then refuses (bad address, taken slot) doesn't count.
+//   FORM_POW_BITS=15          (0 = no proof-of-work, the token is still required)
+//   FORM_MIN_SECONDS=3
+//   FORM_RATE_PER_IP=5        (submissions per hour, counting ones turned away as spam)
+//   FORM_RATE_PER_EMAIL=3     (stored submissions per hour per email or phone)
+//   SPAM_SCORE_LIMIT=5
+const FORM_KINDS = ["contact", "request"];
+const FORM_POW_BITS = Math.min(24, Math.max(0, Number(process.env.FORM_POW_BITS ?? 15) || 0));
+const FORM_MIN_MS = Math.max(0, Number(process.env.FORM_MIN_SECONDS ?? 3) || 0) * 1000;
+const FORM_CHALLENGE_TTL_MS = 2 * 60 * 60 * 1000;
+const FORM_RATE_WINDOW_MS = 60 * 60 * 1000;
+const FORM_RATE_PER_IP = Math.max(1, Number(process.env.FORM_RATE_PER_IP) || 5);
+const FORM_RATE_PER_EMAIL = Math.max(1, Number(process.env.FORM_RATE_PER_EMAIL) || 3);
+const SPAM_SCORE_LIMIT = Math.max(1, Number(process.env.SPAM_SCORE_LIMIT) || 5);
+const SPAM_PHRASES = [
+  "casino", "viagra", "cialis", "crypto", "bitcoin", "forex", "backlinks", "seo services", "guest post",
+  "rank your website", "increase your traffic", "web traffic", "click here", "buy now", "earn money",
+  "work from home", "payday loan", "escort", "porn", "dating site", "whatsapp me", "telegram",
+];
+
+const FORM_HITS_BY_IP = new Map();    // ip -> [ts]
+const FORM_HITS_BY_ID = new Map();    // email or phone digits -> [ts]
+const FORM_USED_CHALLENGES = new Map(); // token -> expiry ms
+
+function formChallenge(kind){
+  const iat = Date.now();
+  const body = b64url(JSON.stringify({ f: kind, iat, n: crypto.randomBytes(8).toString("hex") }));
+  const sig = b64url(crypto.createHmac("sha256", SESSION_SECRET).update(`form:${body}`).digest());
+  return { token: `${body}.${sig}`, bits: FORM_POW_BITS };
+}
+function leadingZeroBits(buf){
+  let n = 0;
+  for(const byte of buf){
+    if(byte === 0){ n += 8; continue; }
+    return n + Math.clz32(byte) - 24;
+  }
+  return n;
+}
+// Returns "" when the token/nonce pair is good, otherwise why not.
+function checkFormChallenge(kind, token, nonce){
+  const [body, sig] = String(token || "").split(".");
+  if(!body || !sig) return "missing challenge";
+  const expected = b64url(crypto.createHmac("sha256", SESSION_SECRET).update(`form:${body}`).digest());
+  if(sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return "bad challenge";
+  let payload = null;
+  try{ payload = JSON.parse(Buffer.from(body.replace(/-/g,"+").replace(/_/g,"/"), "base64").toString("utf-8")); }catch(_){ }
+  if(payload?.f !== kind || !Number.isFinite(payload.iat)) return "bad challenge";
+  const age = Date.now() - payload.iat;
+  if(age > FORM_CHALLENGE_TTL_MS) return "expired challenge";
+  if(age < FORM_MIN_MS) return "too fast";
+  if(FORM_USED_CHALLENGES.has(token)) return "reused challenge";
+  const hash = crypto.createHash("sha256").update(`${token}:${String(nonce ?? "")}`).digest();
+  if(leadingZeroBits(hash) < FORM_POW_BITS) return "no proof-of-work";
+  for(const [k, exp] of FORM_USED_CHALLENGES) if(exp < Date.now()) FORM_USED_CHALLENGES.delete(k);
+  FORM_USED_CHALLENGES.set(token, payload.iat + FORM_CHALLENGE_TTL_MS);
+  return "";
+}
+
+// Sliding one-hour window; record=false only looks.
+function formRateHit(map, key, max, record){
+  const now = Date.now();
+  const hits = (map.get(key) || []).filter(ts => now - ts < FORM_RATE_WINDOW_MS);
+  if(hits.length >= max){ map.set(key, hits); return true; }
+  if(record) hits.push(now);
+  if(hits.length) map.set(key, hits); else map.delete(key);
+  if(map.size > 10000){
+    for(const [k, v] of map) if(!v.length || now - v[v.length - 1] >= FORM_RATE_WINDOW_MS) map.delete(k);
+  }
+  return false;
+}
+
+// Links and known spam phrases add up; returns { score, reasons }.
+function spamScore(texts){
+  const all = texts.map(v => String(v || "")).join("\n");
+  const lower = all.toLowerCase();
+  const reasons = [];
+  let score = 0;
+  const links = (all.match(/https?:\/\/|www\./gi) || []).length;
+  if(links){ score += 2 * links - 1; reasons.push(`${links} link(s)`); }
+  if(/\[url=|<a\s+href/i.test(all)){ score += 5; reasons.push("link markup"); }
+  for(const phrase of SPAM_PHRASES){
+    if(new RegExp(`\\b${phrase.replace(/\s+/g, "\\s+")}\\b`).test(lower)){ score += 3; reasons.push(`"${phrase}"`); }
+  }
+  return { score, reasons };
+}
+
+// Runs every check for one public form post. Returns null when it may go through,
+// otherwise { status, error, reason, silent } (silent: answer as if it worked).
+// fields: { email, phone, texts: [free text to score] }
+function guardPublicForm(req, kind, payload, fields){
+  const ip = clientIp(req);
+  const ids = formSenderIds(fields);
+  const reject = (status, error, reason, silent = false) => {
+    console.log(`\n[SPAM] rejected ${kind} ip=${ip}${ids.length ? ` from=${ids.join(",")}` : ""}: ${reason}`);
+    formRateHit(FORM_HITS_BY_IP, ip, FORM_RATE_PER_IP, true);
+    return { status, error, reason, silent };
+  };
+  if(formRateHit(FORM_HITS_BY_IP, ip, FORM_RATE_PER_IP, false)){
+    return reject(429, `Too many submissions from this connection. Please try again later or call us at ${BUSINESS.phone}.`, "ip rate limit");
+  }
+  if(String(payload?.website || "").trim()) return reject(200, "", "honeypot", true);
+  const challenge = checkFormChallenge(kind, payload?.challenge, payload?.nonce);
+  if(challenge === "too fast") return reject(400, "That was quick! Please check the form and send it again.", challenge);
+  if(challenge) return reject(400, "This form expired. Please reload the page and try again.", challenge);
+  const { score, reasons } = spamScore(fields.texts);
+  if(score >= SPAM_SCORE_LIMIT){
+    return reject(400, `This looks like spam to our filter (${reasons.join(", ")}). Please remove links or call us at ${BUSINESS.phone}.`, `score ${score}: ${reasons.join(", ")}`);
+  }
+  if(ids.some(id => formRateHit(FORM_HITS_BY_ID, id, FORM_RATE_PER_EMAIL, false))){
+    return reject(429, `We already have several messages from you this hour. We'll be in touch, or call us at ${BUSINESS.phone}.`, "email/phone rate limit");
+  }
+  return null;
+}
+function formSenderIds(fields){
+  return [normEmail(fields.email), normPhone(fields.phone)].filter(Boolean);
+}
+// Counts a submission that was stored against its IP and email/phone limits
+function noteFormAccepted(req, fields){
+  formRateHit(FORM_HITS_BY_IP, clientIp(req), FORM_RATE_PER_IP, true);
+  for(const id of formSenderIds(fields)) formRateHit(FORM_HITS_BY_ID, id, FORM_RATE_PER_EMAIL, true);
+}
+
+// -------------------- Audit log --------------------
+// One JSON line per change in audit.jsonl (in DATA_DIR, which is never served): who
+// (actor), what (action + entity), when, the record before/after and the client IP.
+// The file is only ever appended to; backup restores leave it alone so the history
+// survives a rollback.
+const AUDIT_FILE = path.join(DATA_DIR, "audit.jsonl");
+const AUDIT_MAX_RESULTS = 500;
+
+// Token/password hashes never go into the log
+function auditRecord(r){
+  if(!r || typeof r !== "object") return r ?? null;
+  const { manageTokenHash, passwordHash, ...rest } = r;
+  return rest;
+}
+// actor: { type: "staff"|"customer"|"public"|"cli", id?, name?, role? }
+function staffActor(session){
+  return { type:"staff", id: session.sub, name: session.name || "", role: session.role };
+}
+
+function audit(req, { actor, action, entity, before = null, after = null }){
+  const event = {
+    id: makeId(),
+    ts: nowStamp(),
+    actor,
+    ip: req ? clientIp(req) : "",
+    action,
+    entity: { type: entity.type, id: String(entity.id ?? "") },
+    before: auditRecord(before),
+    after: auditRecord(after),
+  };
+  try{ fs.appendFileSync(AUDIT_FILE, JSON.stringify(event) + "\n", "utf-8"); }
+  catch(e){ console.warn("[AUDIT] failed to write", e); }
+  return event;
+}
+
+// Newest first. actor matches id, name or type (case-insensitive, partial);
+// action matches a prefix ("appointment." for every appointment change).
+async function readAudit({ entityId = "", actor = "", action = "", fromMs = -Infinity, toMs = Infinity, limit = 200 } = {}){
+  if(!fs.existsSync(AUDIT_FILE)) return { total: 0, events: [] };
+  const who = String(actor).toLowerCase();
+  const keep = Math.max(1, Math.min(AUDIT_MAX_RESULTS, Number(limit) || 200));
+  const events = [];
+  let total = 0;
+  const rl = readline.createInterface({ input: fs.createReadStream(AUDIT_FILE, "utf-8"), crlfDelay: Infinity });
+  for await (const line of rl){
+    if(!line.trim()) continue;
+    let e;
+    try{ e = JSON.parse(line); }catch(_){ continue; }
+    const t = Date.parse(e.ts);
+    if(!(t >= fromMs && t <= toMs)) continue;
+    if(entityId && e.entity?.id !== entityId) continue;
+    if(action && !String(e.action || "").startsWith(action)) continue;
+    if(who && ![e.actor?.id, e.actor?.name, e.actor?.type].some(v => String(v || "").toLowerCase().includes(who))) continue;
+    total++;
+    events.push(e);
+    if(events.length > keep) events.shift();
+  }
+  return { total, events: events.reverse() };
+}
+
+
+// -------------------- HTTP server --------------------
+const server = http.createServer((req, res) => {
+  // CORS preflight
+  if(req.method === "OPTIONS"){
+    return send(res, 204, {
+      "Access-Control-Allow-Origin":"*",
+      "Access-Control-Allow-Headers":"Content-Type, Authorization",
+      "Access-Control-Allow-Methods":"POST,OPTIONS,GET",
+    }, "");
+  }
+
+  // Health
+  if(req.method === "GET" && (req.url === "/health")){
+    return send(res, 200, {
+      "Content-Type":"text/plain; charset=utf-8",
+      "Access-Control-Allow-Origin":"*",
+    }, "ok");
+  }
+
+  // Static uploads (inventory images)
+  if(req.method === "GET" && req.url && req.url.startsWith("/uploads/")){
+    const rel = decodeURIComponent(req.url.replace(/^\/uploads\//, ""));
+    const safe = rel.replace(/[^a-z0-9._-]/gi, "");
+    const full = path.join(UPLOAD_DIR, safe || DEFAULT_IMAGE_FILE);
+    const fallback = path.join(UPLOAD_DIR, DEFAULT_IMAGE_FILE);
+    try{
+      const p = (fs.existsSync(full) ? full : fallback);
+      const ext = path.extname(p);
+      const buf = fs.readFileSync(p);
+      return send(res, 200, {
+        "Content-Type": safeContentTypeFromExt(ext),
+        "Cache-Control":"public, max-age=86400",
+        "Access-Control-Allow-Origin":"*",
+      }, buf);
+    }catch(e){
+      return send(res, 404, {
+        "Content-Type":"text/plain; charset=utf-8",
+        "Access-Control-Allow-Origin":"*",
+      }, "not found");
+    }
+  }
+  // -------------------- Static site --------------------
+  // Serve the website (HTML/CSS/JS) from the repo root.
+  // NOTE: API routes live under /api/*
+  if(req.method === "GET" && req.url && !req.url.startsWith("/api/") && !req.url.startsWith("/uploads/")){
+    try{
+      const found = resolveStaticFile(decodeURIComponent(req.url.split("?")[0] || "/"));
+      if(found.status === 403){
+        return send(res, 403, {"Content-Type":"text/plain; charset=utf-8"}, "Forbidden");
+      }
+      if(found.status === 404){
+        return send(res, 404, {"Content-Type":"text/plain; charset=utf-8"}, "Not Found");
+      }
+      const resolved = found.file;
+
+      const ext = path.extname(resolved).toLowerCase();
+      const MIME = {
+        ".html":"text/html; charset=utf-8",
+        ".css":"text/css; charset=utf-8",
+        ".js":"application/javascript; charset=utf-8",
+        ".json":"application/json; charset=utf-8",
+        ".png":"image/png",
+        ".jpg":"image/jpeg",
+        ".jpeg":"image/jpeg",
+        ".webp":"image/webp",
+        ".svg":"image/svg+xml",
+        ".ico":"image/x-icon",
+        ".txt":"text/plain; charset=utf-8"
+      };
+      const ct = MIME[ext] || "application/octet-stream";
+      const body = fs.readFileSync(resolved);
+      return send(res, 200, {"Content-Type": ct}, body);
+    }catch(e){
+      console.error("[STATIC] error", e);
+      return send(res, 500, {"Content-Type":"text/plain; charset=utf-8"}, "Server Error");
+    }
+  }
+
+
+
+  // ✅ Admin login (username + password, or the owner PIN -> signed session)
+  // Payload: { username, password } or { pin }
+  if(req.method === "POST" && req.url === "/api/admin/login"){
+    return readBodyJson(req, res, (payload)=>{
+      const ip = clientIp(req);
+      if(!ADMIN_PIN_HASH && !db.count("users")) return json(res, 503, { ok:false, error:"Management login is not configured on the server." });
+      const username = String(payload?.username || "").trim();
+      const lockKeys = loginKeys(ip, username);
+      if(loginLocked(lockKeys)) return json(res, 429, { ok:false, error:"Too many attempts. Try again later." });
+
+      const secret = payload?.password ?? payload?.pin;
+      let who = null;
+      if(username){
+        const user = findUserByUsername(username);
+        if(user && verifyPin(secret, user.passwordHash)) who = { sub: user.id, role: user.role, name: user.name };
+      }else if(ADMIN_PIN_HASH && verifyPin(secret, ADMIN_PIN_HASH)){
+        who = { sub: "pin", role: "owner", name: "Owner" };
+      }
+      if(!who){
+        noteLoginFail(lockKeys);
+        audit(req, { actor:{ type:"public", name: username || "pin" }, action:"auth.login_failed", entity:{ type:"user", id: username || "pin" } });
+        console.log(`\n[AUTH] failed login user="${username}" ip=${ip}`);
+        return json(res, 401, { ok:false, error: username ? "Wrong username or password." : "Wrong PIN." });
+      }
+      for(const key of lockKeys) LOGIN_FAILS.delete(key);
+      const exp = Date.now() + SESSION_TTL_MS;
+      const token = signSession({ sub: who.sub, exp });
+      res.setHeader("Set-Cookie", sessionCookie(req, token, Math.floor(SESSION_TTL_MS / 1000)));
+      audit(req, { actor: staffActor(who), action:"auth.login", entity:{ type:"user", id: who.sub } });
+      console.log(`\n[AUTH] login user="${username || "pin"}" role=${who.role} ip=${ip}`);
+      return json(res, 200, {
+        ok:true, token, expiresISO: new Date(exp).toISOString(),
+        user: { id: who.sub, name: who.name, role: who.role, permissions: ROLE_PERMISSIONS[who.role] }
+      });
+    });
+  }
+
+  // ✅ Admin logout (clears the cookie; bearer tokens are dropped client-side)
+  if(req.method === "POST" && req.url === "/api/admin/logout"){
+    const session = getSession(req);
+    if(session) audit(req, { actor: staffActor(session), action:"auth.logout", entity:{ type:"user", id: session.sub } });
+    res.setHeader("Set-Cookie", sessionCookie(req, "", 0));
+    return json(res, 200, { ok:true });
+  }
+
+  // ✅ Check the current admin session
+  if(req.method === "GET" && req.url === "/api/admin/session"){
+    const session = requireAdmin(req, res);
+    if(!session) return;
+    return json(res, 200, {
+      ok:true, expiresISO: new Date(session.exp).toISOString(),
+      user: { id: session.sub, name: session.name, role: session.role, permissions: ROLE_PERMISSIONS[session.role] }
+    });
+  }
+
+  // ✅ Management view of the schedule (technicians only get their own jobs)
+  if(req.method === "GET" && req.url === "/api/admin/schedule"){
+    const session = requireAdmin(req, res, "schedule.viewAll", "schedule.viewOwn");
+    if(!session) return;
+    const visible = roleCan(session.role, "schedule.viewAll") ? () => true : (x) => x.assignedTo === session.sub;
+    const opts = { withDocs: roleCan(session.role, "invoices.manage"), history: serviceHistoryIndex() };
+    const view = (x) => jobView(x, opts);
+    return json(res, 200, {
+      ok:true,
+      booked: bookedAppts().filter(visible).map(view),
+      pending: pendingAppts().filter(visible).map(view),
+      closed: closedAppts().filter(visible).map(view),
+    });
+  }
+
+  // ✅ Calendar feed of booked jobs (add ?pending=1 to include requests)
+  // Auth: session, or the per-account key from /api/calendar/feed-url (?u=...&key=...)
+  if(req.method === "GET" && req.url && (req.url === "/api/calendar.ics" || req.url.startsWith("/api/calendar.ics?"))){
+    const q = new URL(req.url, "http://localhost").searchParams;
+    const session = getSession(req) || sessionFromFeedKey(q.get("u"), q.get("key"));
+    if(!session) return json(res, 401, { ok:false, error:"Not authorized. Please log in to Management mode." });
+    if(!roleCan(session.role, "schedule.viewAll") && !roleCan(session.role, "schedule.viewOwn")){
+      return json(res, 403, { ok:false, error:"Your account does not have access to that." });
+    }
+    const visible = (x) => roleCan(session.role, "schedule.viewAll") || x.assignedTo === session.sub;
+    const includePending = q.get("pending") === "1" || q.get("pending") === "true";
+    const appts = [...bookedAppts(), ...(includePending ? pendingAppts() : [])].filter(visible);
+    return send(res, 200, {
+      "Content-Type":"text/calendar; charset=utf-8",
+      "Content-Disposition":"inline; filename=\"dune-sea-jobs.ics\"",
+      "Cache-Control":"no-store",
+      "Access-Control-Allow-Origin":"*",
+    }, icsCalendar(appts, { name: `${BUSINESS.name} jobs` }));
+  }
+
+  // ✅ Personal calendar subscription URL for the logged-in account
+  if(req.method === "GET" && req.url === "/api/calendar/feed-url"){
+    const session = requireAdmin(req, res, "schedule.viewAll", "schedule.viewOwn");
+    if(!session) return;
+    const qs = `u=${encodeURIComponent(session.sub)}&key=${calendarFeedKey(session.sub)}`;
+    return json(res, 200, { ok:true, path: `/api/calendar.ics?${qs}`, pathWithPending: `/api/calendar.ics?${qs}&pending=1` });
+  }
+
+  // ✅ List management accounts (owner; front desk needs it to assign jobs)
+  if(req.method === "GET" && req.url === "/api/users"){
+    if(!requireAdmin(req, res, "users.manage", "schedule.manage")) return;
+    return json(res, 200, { ok:true, users: listUsers().map(publicUser), roles: ROLES });
+  }
+
+  // ✅ Create/update a management account (owner)
+  // Payload: { id?, username, name, role, password? }  (password required for new accounts)
+  if(req.method === "POST" && req.url === "/api/users/upsert"){
+    const session = requireAdmin(req, res, "users.manage");
+    if(!session) return;
+    return readBodyJson(req, res, (payload)=>{
+      const id = String(payload?.id || "");
+      const existing = findUser(id);
+      if(id && !existing) return json(res, 404, { ok:false, error:"Not found" });
+      const user = normalizeUser(payload, existing);
+      if(!user.username) return json(res, 400, { ok:false, error:"Missing username" });
+      if(!user.passwordHash) return json(res, 400, { ok:false, error:"Missing password" });
+      const clash = findUserByUsername(user.username);
+      if(clash && clash.id !== user.id) return json(res, 409, { ok:false, error:"Username already taken" });
+
+      db.tx(t => t.put("users", user));
+      audit(req, { actor: staffActor(session), action: existing ? "user.update" : "user.create", entity:{ type:"user", id: user.id }, before: existing, after: user });
+      console.log(`\n[USERS] upsert id=${user.id} username="${user.username}" role=${user.role}`);
+      return json(res, 200, { ok:true, user: publicUser(user) });
+    });
+  }
+
+  // ✅ Delete a management account (owner)
+  if(req.method === "POST" && req.url === "/api/users/delete"){
+    const session = requireAdmin(req, res, "users.manage");
+    if(!session) return;
+    return readBodyJson(req, res, (payload)=>{
+      const id = String(payload?.id || "");
+      if(!id) return json(res, 400, { ok:false, error:"Missing id" });
+      if(id === session.sub) return json(res, 400, { ok:false, error:"You can't delete your own account" });
+      const removed = db.tx(t => {
+        const u = t.get("users", id);
+        if(!u || !t.del("users", id)) return null;
+        // Their technician schedule goes too; jobs keep the old assignee on record
+        t.del("technicians", id);
+        return u;
+      });
+      if(!removed) return json(res, 404, { ok:false, error:"Not found" });
+      audit(req, { actor: staffActor(session), action:"user.delete", entity:{ type:"user", id }, before: removed });
+      broadcastTechnicians();
+      console.log(`\n[USERS] delete id=${id}`);
+      return json(res, 200, { ok:true });
+    });
+  }
+
+  // ✅ Technician schedules (staff; technicians only get their own)
+  if(req.method === "GET" && req.url === "/api/technicians"){
+    const session = requireAdmin(req, res, "schedule.viewAll", "schedule.viewOwn", "availability.edit");
+    if(!session) return;
+    const mine = !roleCan(session.role, "schedule.viewAll") && !roleCan(session.role, "availability.edit");
+    const technicians = listTechnicians({ all:true }).filter(x => !mine || x.id === session.sub);
+    return json(res, 200, { ok:true, technicians });
+  }
+
+  // ✅ Create/update a technician schedule for a staff account
+  // Payload: { id (user id), serviceTypes?, weekly?, blocks?, active? }  (omitted fields are kept)
+  if(req.method === "POST" && req.url === "/api/technicians/upsert"){
+    const session = requireAdmin(req, res, "availability.edit");
+    if(!session) return;
+    return readBodyJson(req, res, (payload)=>{
+      const id = String(payload?.id || "");
+      if(!findUser(id)) return json(res, 404, { ok:false, error:"Unknown account" });
+      const existing = db.get("technicians", id);
+      const tech = normalizeTechnician({ ...payload, id }, existing);
+      db.tx(t => t.put("technicians", tech));
+      audit(req, { actor: staffActor(session), action: existing ? "technician.update" : "technician.create", entity:{ type:"technician", id }, before: existing, after: tech });
+      broadcastTechnicians();
+      console.log(`\n[TECHS] upsert id=${id} active=${tech.active} services=${tech.serviceTypes.join("|") || "all"}`);
+      return json(res, 200, { ok:true, technician: listTechnicians({ all:true }).find(x => x.id === id) });
+    });
+  }
+
+  // ✅ Remove a technician schedule (the account stays)
+  if(req.method === "POST" && req.url === "/api/technicians/delete"){
+    const session = requireAdmin(req, res, "availability.edit");
+    if(!session) return;
+    return readBodyJson(req, res, (payload)=>{
+      const id = String(payload?.id || "");
+      const removed = db.tx(t => {
+        const x = t.get("technicians", id);
+        return x && t.del("technicians", id) ? x : null;
+      });
+      if(!removed) return json(res, 404, { ok:false, error:"Not found" });
+      audit(req, { actor: staffActor(session), action:"technician.delete", entity:{ type:"technician", id }, before: removed });
+      broadcastTechnicians();
+      console.log(`\n[TECHS] delete id=${id}`);
+      return json(res, 200, { ok:true });
+    });
+  }
+
+  // ✅ Day route plan: GET /api/route-plan?date=YYYY-MM-DD[&tech=<user id>]
+  // -> { date, depotZip, plans: [{ techId, techName, stops, unrouted, miles, driveMinutes, leaveISO, returnISO }] }
+  // Technicians only get their own route.
+  if(req.method === "GET" && req.url && req.url.startsWith("/api/route-plan?")){
+    const session = requireAdmin(req, res, "schedule.viewAll", "schedule.viewOwn");
+    if(!session) return;
+    const q = new URL(req.url, "http://localhost").searchParams;
+    const date = String(q.get("date") || "");
+    if(!/^\d{4}-\d{2}-\d{2}$/.test(date)) return json(res, 400, { ok:false, error:"Pick a date" });
+    const techId = roleCan(session.role, "schedule.viewAll") ? (q.has("tech") ? String(q.get("tech")) : null) : String(session.sub || "");
+    return json(res, 200, { ok:true, date, depotZip: ROUTE_DEPOT_ZIP, plans: dayPlans(date, { techId }) });
+  }
+
+  // ✅ List data backups (owner)
+  if(req.method === "GET" && req.url === "/api/admin/backups"){
+    if(!requireAdmin(req, res, "backups.manage")) return;
+    return json(res, 200, { ok:true, backups: listBackups(), keep: BACKUP_KEEP, intervalHours: BACKUP_INTERVAL_HOURS });
+  }
+
+  // ✅ Take a backup now (owner)
+  if(req.method === "POST" && req.url === "/api/admin/backups/create"){
+    const session = requireAdmin(req, res, "backups.manage");
+    if(!session) return;
+    return readBodyJson(req, res, async ()=>{
+      const r = await createBackup("manual");
+      if(!r.ok) return json(res, 500, r);
+      pruneBackups();
+      audit(req, { actor: staffActor(session), action:"backup.create", entity:{ type:"backup", id: r.name } });
+      console.log(`\n[BACKUP] manual ${r.name}`);
+      return json(res, 200, r);
+    });
+  }
+
+  // ✅ Restore a backup (owner)
+  // Payload: { name, dryRun? }  dryRun only validates the archive
+  if(req.method === "POST" && req.url === "/api/admin/backups/restore"){
+    const session = requireAdmin(req, res, "backups.manage");
+    if(!session) return;
+    return readBodyJson(req, res, async (payload)=>{
+      const name = String(payload?.name || "");
+      if(!name) return json(res, 400, { ok:false, error:"Missing name" });
+      if(payload?.dryRun){
+        const r = await inspectBackup(name);
+        if(!r.ok) return json(res, r.error === "Backup not found" ? 404 : 422, r);
+        return json(res, 200, { ok:true, name, counts: r.counts, uploads: r.uploads.length, manifest: r.manifest });
+      }
+      const r = await restoreBackup(name);
+      if(!r.ok) return json(res, r.error === "Backup not found" ? 404 : (r.problems ? 422 : 500), r);
+      audit(req, { actor: staffActor(session), action:"backup.restore", entity:{ type:"backup", id: name }, after:{ counts: r.counts, uploads: r.uploads, safetyBackup: r.safetyBackup } });
+      console.log(`\n[BACKUP] restored ${name} by=${session.sub} (previous data saved as ${r.safetyBackup})`);
+      return json(res, 200, r);
+    });
+  }
+
+  // ✅ Upload storage report (owner): total size, largest files, unused files
+  if(req.method === "GET" && req.url === "/api/admin/uploads"){
+    if(!requireAdmin(req, res, "backups.manage")) return;
+    return json(res, 200, { ok:true, ...uploadStorageReport() });
+  }
+
+  // ✅ Quarantine unused uploads now (owner)
+  // Payload: { dryRun? }  dryRun only lists what would be moved/deleted
+  if(req.method === "POST" && req.url === "/api/admin/uploads/gc"){
+    const session = requireAdmin(req, res, "backups.manage");
+    if(!session) return;
+    return readBodyJson(req, res, (payload)=>{
+      const dryRun = !!payload?.dryRun;
+      const r = collectUploadGarbage({ dryRun });
+      if(!dryRun) audit(req, { actor: staffActor(session), action:"uploads.gc", entity:{ type:"uploads", id:"gc" }, after: r });
+      console.log(`\n[UPLOADS] gc${dryRun ? " (dry run)" : ""} quarantined=${r.quarantined.length} temp=${r.tempRemoved.length} purged=${r.purged.length}`);
+      return json(res, 200, { ok:true, dryRun, ...r });
+    });
+  }
+
+  // ✅ Audit log (owner)
+  // GET /api/admin/audit?entity=<id>&actor=<name|id|type>&action=<prefix>&from=<ISO>&to=<ISO>&limit=200
+  if(req.method === "GET" && req.url && (req.url === "/api/admin/audit" || req.url.startsWith("/api/admin/audit?"))){
+    if(!requireAdmin(req, res, "audit.view")) return;
+    const q = new URL(req.url, "http://localhost").searchParams;
+    const fromMs = q.get("from") ? Date.parse(q.get("from")) : -Infinity;
+    const toMs = q.get("to") ? Date.parse(q.get("to")) : Infinity;
+    if(Number.isNaN(fromMs) || Number.isNaN(toMs)) return json(res, 400, { ok:false, error:"Bad from/to date" });
+    return readAudit({
+      entityId: String(q.get("entity") || "").trim(),
+      actor: String(q.get("actor") || "").trim(),
+      action: String(q.get("action") || "").trim(),
+      fromMs, toMs,
+      limit: q.get("limit"),
+    }).then(r => json(res, 200, { ok:true, ...r }))
+      .catch(e => json(res, 500, { ok:false, error:String(e) }));
+  }
+
+  // ✅ Public slot occupancy: { booked: [{ startISO, slots }], pending: [...] }
+  // No ids, names or contact details; the full rows are on /api/admin/schedule.
+  if(req.method === "GET" && req.url === "/api/schedule"){
+    return json(res, 200, { ok:true, ...publicSchedule() });
+  }
+
+  // ✅ Load availability (weekly + blocked slots)
+  if(req.method === "GET" && req.url === "/api/availability"){
+    return json(res, 200, {
+      ok:true,
+      availability: getAvailability(),
+      settings: { slotMinutes: SLOT_MINUTES, serviceDurations: SERVICE_DURATIONS, defaultDurationSlots: DEFAULT_DURATION_SLOTS }
+    });
+  }
+
+  // ✅ Check a service ZIP (request form): GET /api/service-area?zip=64111[&startISO=...&serviceType=...]
+  // -> { zone: { id, name, tripFee } | null, slot: "" | why that time won't work for this address }
+  if(req.method === "GET" && req.url && req.url.startsWith("/api/service-area?")){
+    const q = new URL(req.url, "http://localhost").searchParams;
+    const probe = { id:"", zip: normalizeZip(q.get("zip")), status:"pending", serviceType: String(q.get("serviceType") || "") };
+    if(!probe.zip) return json(res, 400, { ok:false, error:"Enter a 5-digit ZIP code" });
+    const outside = applyServiceZone(probe);
+    if(outside) return json(res, 400, { ok:false, error: outside });
+    const t = Date.parse(String(q.get("startISO") || ""));
+    let slot = "";
+    if(Number.isFinite(t)){
+      probe.startISO = new Date(t).toISOString();
+      probe.slots = defaultSlotsFor(probe.serviceType);
+      slot = scheduleConflict(db.list("appointments"), probe);
+    }
+    return json(res, 200, { ok:true, zone: publicZone(zoneById(probe.zoneId)), slot });
+  }
+
+  // ✅ Replace availability (admin)
+  if(req.method === "POST" && req.url === "/api/availability/set"){
+    const session = requireAdmin(req, res, "availability.edit");
+    if(!session) return;
+    return readBodyJson(req, res, async (payload)=>{
+      const next = normalizeAvailability(payload?.availability ?? payload);
+      const before = getAvailability();
+      db.tx(t => t.put("availability", { id:"current", ...next }));
+      audit(req, { actor: staffActor(session), action:"availability.set", entity:{ type:"availability", id:"current" }, before, after: next });
+      broadcast({ type:"availability.changed", availability: getAvailability() });
+      console.log(`\n[AVAIL] set weekly+blocks  blocksDays=${Object.keys(next.blocks||{}).length}`);
+      return json(res, 200, { ok:true });
+    });
+  }
+
+  // ✅ Upload photos (multipart/form-data, any field name, one file per part)
+  // POST /api/uploads?kind=inv|gal|req  ->  { ok, files: [{ imagePath, name, bytes, key? }] }  (key: req only)
+  // inv/gal need the matching staff permission; req (request photos) is open to customers,
+  // within the per-client limits above unless sent with a staff session.
+  // The returned paths then go to the usual JSON routes (item.imagePath, imagePath, attachments).
+  if(req.method === "POST" && req.url && req.url.startsWith("/api/uploads")){
+    const prefix = new URL(req.url, "http://localhost").searchParams.get("kind") || "";
+    const kind = UPLOAD_KINDS[prefix];
+    if(!kind) return json(res, 400, { ok:false, error:"kind must be inv, gal or req" });
+    const session = kind.perm ? requireAdmin(req, res, kind.perm) : getSession(req);
+    if(kind.perm && !session) return;
+    const ip = session ? "" : clientIp(req);
+    const held = ip ? pendingRequestUploads(ip) : null;
+    if(ip){
+      const tooMany = `Too many photo uploads from this connection. Please try again later or call us at ${BUSINESS.phone}.`;
+      if(formRateHit(REQ_UPLOAD_HITS_BY_IP, ip, REQ_UPLOADS_PER_IP, true)) return json(res, 429, { ok:false, error: tooMany });
+      if(held.files.length >= REQ_PENDING_FILES || held.bytes >= REQ_PENDING_BYTES) return json(res, 429, { ok:false, error: tooMany });
+    }
+    const maxFiles = ip ? Math.min(kind.maxFiles, REQ_PENDING_FILES - held.files.length) : kind.maxFiles;
+    return receiveUploads(req, res, { prefix, maxFiles }, (err, files)=>{
+      if(err) return json(res, err.status, { ok:false, error:err.error });
+      if(!files.length) return json(res, 400, { ok:false, error:"No file received" });
+      if(ip){
+        if(held.bytes + files.reduce((n, f) => n + f.bytes, 0) > REQ_PENDING_BYTES){
+          removeUnreferencedUploads(files.map(f => f.imagePath));
+          return json(res, 413, { ok:false, error:"Those photos are too large altogether. Please send fewer or smaller ones." });
+        }
+        notePendingRequestUploads(ip, files);
+      }
+      const actor = session ? staffActor(session) : { type:"public" };
+      for(const f of files){
+        audit(req, { actor, action:"upload.create", entity:{ type:"upload", id: f.imagePath }, after:{ kind: prefix, ...f } });
+      }
+      console.log(`\n[UPLOAD] ${prefix} ${files.map(f => `${f.imagePath} (${f.bytes} bytes)`).join(", ")}`);
+      return json(res, 200, { ok:true, files: prefix === "req" ? files.map(f => ({ ...f, key: requestUploadKey(f.imagePath) })) : files });
+    });
+  }
+
+  // ✅ Load inventory
+  if(req.method === "GET" && req.url === "/api/inventory"){
+    return json(res, 200, { ok:true, items: db.list("inventory") });
+  }
+
+  // ✅ Create/update inventory item (admin)
+  // Payload:
+  // { item: {..., imagePath?: "/uploads/inv_..." from /api/uploads?kind=inv }, imageDataUrl?: "data:image/png;base64,...", imageName?: "..." }
+  if(req.method === "POST" && req.url === "/api/inventory/upsert"){
+    const session = requireAdmin(req, res, "inventory.edit");
+    if(!session) return;
+    return readBodyJson(req, res, async (payload)=>{
+      const rawItem = payload?.item ?? payload;
+      let item = normalizeInventoryItem(rawItem);
+      const before = db.get("inventory", item.id);
+
+      // If an image was uploaded, save it and set imagePath
+      const imageDataUrl = payload?.imageDataUrl || payload?.image || payload?.imageBase64;
+      if(imageDataUrl){
+        item.imagePath = saveUploadedImage({
+          dataUrl: imageDataUrl,
+          filenameHint: payload?.imageName || rawItem?.imageName || "upload",
+          id: item.id
+        });
+      }else{
+        // If no image provided and no previous imagePath, ensure default
+        if(!item.imagePath) item.imagePath = `/uploads/${DEFAULT_IMAGE_FILE}`;
+      }
+
+      // A new photo gets its sizes made; an unchanged one keeps the ones it has
+      if(before && item.imagePath === before.imagePath){
+        if(before.variants) item.variants = before.variants;
+      }else if(item.imagePath.startsWith("/uploads/inv_")){
+        const img = existingImage(item.imagePath) || await processUploadedImage(uploadedPath(item.imagePath, "inv"));
+        if(img.error) return json(res, 400, { ok:false, error:img.error });
+        item = { ...item, ...img };
+      }
+
+      db.tx(t => t.put("inventory", item));
+      if(before) removeUnreferencedUploads(imageFiles(before));
+      audit(req, { actor: staffActor(session), action: before ? "inventory.update" : "inventory.create", entity:{ type:"inventory", id: item.id }, before, after: item });
+      broadcast({ type:"inventory.changed", items: db.list("inventory") });
+      console.log(`\n[INV] upsert id=${item.id} title="${item.title}"`);
+      return json(res, 200, { ok:true, item });
+    });
+  }
+
+  // ✅ Delete inventory item (admin)
+  if(req.method === "POST" && req.url === "/api/inventory/delete"){
+    const session = requireAdmin(req, res, "inventory.edit");
+    if(!session) return;
     return readBodyJson(req, res, (payload)=>{
+      const id = String(payload?.id || "");
+      if(!id) return json(res, 400, { ok:false, error:"Missing id" });
+
+      const item = db.get("inventory", id);
+      if(!item) return json(res, 404, { ok:false, error:"Not found" });
+      db.tx(t => t.del("inventory", id));
+      audit(req, { actor: staffActor(session), action:"inventory.delete", entity:{ type:"inventory", id }, before: item });
+      broadcast({ type:"inventory.changed", items: db.list("inventory") });
+
+      // Best-effort: delete the photo and its sizes (never the default image)
+      removeUnreferencedUploads(imageFiles(item));
+
+      console.log(`\n[INV] delete id=${id}`);
+      return json(res, 200, { ok:true });
+    });
+  }
+
+  // ✅ Load gallery
+  if(req.method === "GET" && req.url === "/api/gallery"){
+    return json(res, 200, { ok:true, photos: galleryPhotos() });
+  }
+
+  // ✅ Add a gallery photo (admin)
+  // Payload: { caption?, imagePath } (from /api/uploads?kind=gal) or { caption?, imageDataUrl, imageName? }
+  if(req.method === "POST" && req.url === "/api/gallery/add"){
+    const session = requireAdmin(req, res, "gallery.edit");
+    if(!session) return;
+    return readBodyJson(req, res, async (payload)=>{
       const caption = String(payload?.caption || "").trim();
       const imageDataUrl = payload?.imageDataUrl || payload?.image || payload?.imageBase64;
-      if(!imageDataUrl) return json(res, 400, { ok:false, error:"Missing imageDataUrl" });
+      const uploaded = uploadedPath(payload?.imagePath, "gal");
+      if(!imageDataUrl && !uploaded) return json(res, 400, { ok:false, error:"Missing imagePath or imageDataUrl" });
 
       const id = makeId();
-      const imagePath = saveUploadedImage({
+      const imagePath = uploaded || saveUploadedImage({
         dataUrl: imageDataUrl,
         filenameHint: payload?.imageName || "gallery",
         id,
         prefix: "gal"
       });
 
-      const item = { id, imagePath, caption, createdISO: nowStamp() };
-      GALLERY.unshift(item);
-      persist();
+      const img = (uploaded && existingImage(uploaded)) || await processUploadedImage(imagePath);
+      if(img.error) return json(res, 400, { ok:false, error:img.error });
+      const item = { id, ...img, caption, createdISO: nowStamp() };
+      db.tx(t => t.put("gallery", item));
+      audit(req, { actor: staffActor(session), action:"gallery.add", entity:{ type:"gallery", id }, after: item });
+      broadcast({ type:"gallery.changed", photos: galleryPhotos() });
       console.log(`\n[GALLERY] add id=${id} path=${imagePath}`);
       return json(res, 200, { ok:true, photo: item });
     });
@@ -604,47 +4011,61 @@ const server = http.createServer((req, res) => {
 
   // ✅ Delete gallery photo (admin)
   if(req.method === "POST" && req.url === "/api/gallery/delete"){
+    const session = requireAdmin(req, res, "gallery.edit");
+    if(!session) return;
     return readBodyJson(req, res, (payload)=>{
       const id = String(payload?.id || "");
       if(!id) return json(res, 400, { ok:false, error:"Missing id" });
 
-      const idx = GALLERY.findIndex(x => x.id === id);
-      if(idx < 0) return json(res, 404, { ok:false, error:"Not found" });
+      const photo = db.get("gallery", id);
+      if(!photo) return json(res, 404, { ok:false, error:"Not found" });
+      db.tx(t => t.del("gallery", id));
+      audit(req, { actor: staffActor(session), action:"gallery.delete", entity:{ type:"gallery", id }, before: photo });
+      broadcast({ type:"gallery.changed", photos: galleryPhotos() });
 
-      const photo = GALLERY[idx];
-      GALLERY.splice(idx, 1);
-
-      // Best-effort: delete the image file if it's not the default
-      try{
-        const p = String(photo?.imagePath || "");
-        if(p.startsWith("/uploads/") && !p.endsWith(`/${DEFAULT_IMAGE_FILE}`)){
-          const rel = p.replace(/^\/uploads\//, "");
-          const safe = rel.replace(/[^a-z0-9._-]/gi, "");
-          const full = path.join(UPLOAD_DIR, safe);
-          if(full.startsWith(UPLOAD_DIR) && fs.existsSync(full)) fs.unlinkSync(full);
-        }
-      }catch(_){ }
+      // Best-effort: delete the photo and its sizes (never the default image)
+      removeUnreferencedUploads(imageFiles(photo));
 
-      persist();
       console.log(`\n[GALLERY] delete id=${id}`);
       return json(res, 200, { ok:true });
     });
   }
 
-  // ✅ Receive contact message (stores to data/messages.json and emails service inbox if configured)
-// Payload: { name, email, type, description }
+  // ✅ Challenge for a public form (see "Spam protection"): GET /api/form-challenge?form=contact|request
+  if(req.method === "GET" && req.url && req.url.startsWith("/api/form-challenge")){
+    const kind = new URL(req.url, "http://localhost").searchParams.get("form") || "";
+    if(!FORM_KINDS.includes(kind)) return json(res, 400, { ok:false, error:`form must be one of: ${FORM_KINDS.join(", ")}` });
+    return json(res, 200, { ok:true, ...formChallenge(kind) });
+  }
+
+  // ✅ Receive contact message (stores it in the messages table and emails service inbox if configured)
+// Payload: { name, email, type, description, challenge, nonce, website }  (last three: see "Spam protection")
   if(req.method === "POST" && req.url === "/api/contact"){
     return readBodyJson(req, res, (payload)=>{
+      const sender = { email: payload?.email, texts: [payload?.name, payload?.description] };
+      const blocked = guardPublicForm(req, "contact", payload, sender);
+      if(blocked) return json(res, blocked.status, blocked.silent ? { ok:true } : { ok:false, error: blocked.error });
       const msg = {
         id: makeId(),
         name: String(payload?.name || "").trim(),
         email: String(payload?.email || "").trim(),
         type: String(payload?.type || "").trim(),
         description: String(payload?.description || "").trim(),
-        createdISO: nowStamp()
+        createdISO: nowStamp(),
+        status: "new",
+        notes: "",
+        replies: [],
       };
-      MESSAGES.unshift(msg);
-      persist();
+      const match = db.tx(t => {
+        const m = matchCustomer(t, msg);
+        msg.customerId = m.customer?.id || "";
+        t.put("messages", msg);
+        return m;
+      });
+      noteFormAccepted(req, sender);
+      const actor = { type:"public", name: msg.name };
+      if(match.created) audit(req, { actor, action:"customer.create", entity:{ type:"customer", id: match.customer.id }, after: match.customer });
+      audit(req, { actor, action:"message.create", entity:{ type:"message", id: msg.id }, after: msg });
 
       console.log("\n[CONTACT] new message:");
       console.log(msg);
@@ -662,120 +4083,944 @@ const server = http.createServer((req, res) => {
   }
 
   // ✅ Create a new pending request
+  // Payload: normalizeAppt() fields + challenge, nonce, website (see "Spam protection")
   if(req.method === "POST" && req.url === "/api/schedule/request"){
     return readBodyJson(req, res, async (payload)=>{
-      const appt = normalizeAppt(payload, "pending");
+      const sender = { email: payload?.email, phone: payload?.phone, texts: [payload?.name, payload?.appliance, payload?.notes] };
+      const blocked = guardPublicForm(req, "request", payload, sender);
+      if(blocked){
+        // Photos uploaded for a rejected request go with it
+        removeUnreferencedUploads(claimedRequestUploads(payload).map(f => f.imagePath));
+        return json(res, blocked.status, blocked.silent ? { ok:true } : { ok:false, error: blocked.error });
+      }
+      const appt = withStatus(normalizeAppt(payload, "pending"), "pending", "customer");
       if(!appt.startISO){
         return json(res, 400, { ok:false, error:"Missing startISO" });
       }
-      if(hasStart(BOOKED, appt.startISO)){
-        return json(res, 409, { ok:false, error:"Slot already booked" });
-      }
-      if(hasStart(PENDING, appt.startISO)){
-        return json(res, 409, { ok:false, error:"Slot already pending" });
+      if(!appt.address) return json(res, 400, { ok:false, error:"Please enter the service address" });
+      const outside = applyServiceZone(appt);
+      if(outside) return json(res, 400, { ok:false, error: outside });
+      // Customers don't pick the length (it comes from the service type) or the technician
+      appt.slots = defaultSlotsFor(appt.serviceType);
+      appt.assignedTo = "";
+      appt.attachments = await requestAttachments(appt.id, payload);
+      const manageToken = issueManageToken(appt);
+      let match = null, unit = null;
+      const conflict = db.tx(t => {
+        const why = scheduleConflict(t.list("appointments"), appt);
+        if(why) return why;
+        match = matchCustomer(t, appt);
+        appt.customerId = match.customer?.id || "";
+        unit = attachAppliance(t, appt, payload);
+        t.put("appointments", appt);
+        return "";
+      });
+      if(conflict){
+        removeUnreferencedUploads(attachmentPaths([appt]));
+        return json(res, 409, { ok:false, error:conflict });
       }
-      PENDING.push(appt);
-      persist();
+      noteFormAccepted(req, sender);
+      const actor = { type:"public", name: appt.name };
+      if(match.created) audit(req, { actor, action:"customer.create", entity:{ type:"customer", id: match.customer.id }, after: match.customer });
+      if(unit?.created) audit(req, { actor, action:"appliance.create", entity:{ type:"appliance", id: unit.appliance.id }, after: unit.appliance });
+      audit(req, { actor, action:"appointment.request", entity:{ type:"appointment", id: appt.id }, after: appt });
+      broadcastAppointment("appointment.created", appt);
       console.log(`\n[SCHEDULE] pending request  ${appt.startISO}  id=${appt.id}`);
       const mailRes = await sendScheduleRequestEmail(appt);
       if(mailRes?.skipped) console.log("[MAIL] skipped (mailer not configured)");
       else if(mailRes?.ok) console.log("[MAIL] booking request email sent");
       else console.log("[MAIL] failed", mailRes?.error || "");
-      return json(res, 200, { ok:true, id: appt.id, pendingCount: PENDING.length });
+      notifyCustomer("received", appt, { manageLink: manageUrl(manageToken) });
+      return json(res, 200, {
+        ok:true, id: appt.id, pendingCount: pendingAppts().length,
+        manageToken, manageUrl: manageUrl(manageToken)
+      });
     });
   }
 
   // ✅ Book a job immediately (admin)
   if(req.method === "POST" && req.url === "/api/schedule/book"){
-    return readBodyJson(req, res, (payload)=>{
-      const appt = normalizeAppt(payload, "accepted");
+    const session = requireAdmin(req, res, "schedule.manage");
+    if(!session) return;
+    return readBodyJson(req, res, async (payload)=>{
+      const appt = withStatus(normalizeAppt(payload, "accepted"), "accepted", session.sub);
       if(!appt.startISO){
         return json(res, 400, { ok:false, error:"Missing startISO" });
       }
-      if(hasStart(BOOKED, appt.startISO)){
-        return json(res, 409, { ok:false, error:"Slot already booked" });
-      }
-      // If it existed as pending, remove that pending entry
-      PENDING = PENDING.filter(x => {
-        const t = Date.parse(x?.startISO);
-        const t0 = Date.parse(appt.startISO);
-        return !(Number.isFinite(t) && Number.isFinite(t0) && t === t0);
+      const outside = applyServiceZone(appt, { required:false });
+      if(outside) return json(res, 400, { ok:false, error: outside });
+      appt.attachments = await requestAttachments(appt.id, payload);
+      const manageToken = issueManageToken(appt);
+      const superseded = [];
+      let match = null, unit = null, fromMsg = null;
+      const conflict = db.tx(t => {
+        const appts = t.list("appointments");
+        const techs = listTechnicians();
+        if(techs.length){
+          const pick = assignTechnician(appts, appt, appt.assignedTo, techs);
+          if(pick.error) return pick.error;
+          appt.assignedTo = pick.assignedTo;
+        }else{
+          // Booked jobs only: an overlapping request gives way below
+          const why = scheduleConflict(appts, appt, { pending:false, techs });
+          if(why) return why;
+          // One person: remove any pending request it now overlaps
+          for(const x of appts.filter(isPending)){
+            if(findOverlap([appt], x) && t.del("appointments", x.id)) superseded.push(x);
+          }
+        }
+        match = matchCustomer(t, appt);
+        appt.customerId = match.customer?.id || "";
+        unit = attachAppliance(t, appt, payload);
+        t.put("appointments", appt);
+        // Booked from an inbox message ("convert to booking"): link the two
+        const msg = payload?.fromMessageId ? t.get("messages", String(payload.fromMessageId)) : null;
+        if(msg){
+          const cur = messageRecord(msg);
+          fromMsg = { before: msg, after: t.put("messages", { ...cur, bookingApptId: appt.id, status: cur.status === "new" ? "read" : cur.status, updatedISO: nowStamp() }) };
+        }
+        return "";
       });
-      BOOKED.push(appt);
-      persist();
+      if(conflict){
+        removeUnreferencedUploads(attachmentPaths([appt]));
+        return json(res, 409, { ok:false, error:conflict });
+      }
+      removeUnreferencedUploads(attachmentPaths(superseded));
+      const actor = staffActor(session);
+      if(match.created) audit(req, { actor, action:"customer.create", entity:{ type:"customer", id: match.customer.id }, after: match.customer });
+      if(unit?.created) audit(req, { actor, action:"appliance.create", entity:{ type:"appliance", id: unit.appliance.id }, after: unit.appliance });
+      audit(req, { actor, action:"appointment.book", entity:{ type:"appointment", id: appt.id }, after: appt });
+      if(fromMsg) audit(req, { actor, action:"message.update", entity:{ type:"message", id: fromMsg.after.id }, before: fromMsg.before, after: fromMsg.after });
+      for(const x of superseded){
+        audit(req, { actor, action:"appointment.superseded", entity:{ type:"appointment", id: x.id }, before: x });
+        broadcastAppointment("appointment.removed", x);
+        // Their request is gone as surely as if it had been rejected
+        notifyCustomer("rejected", x);
+      }
+      broadcastAppointment("appointment.created", appt);
       console.log(`\n[SCHEDULE] booked job       ${appt.startISO}  id=${appt.id}`);
-      return json(res, 200, { ok:true, id: appt.id, bookedCount: BOOKED.length });
+      notifyCustomer("accepted", appt, { manageLink: manageUrl(manageToken) });
+      return json(res, 200, {
+        ok:true, id: appt.id, bookedCount: bookedAppts().length,
+        manageToken, manageUrl: manageUrl(manageToken)
+      });
     });
   }
 
   // ✅ Accept a pending request (move pending -> booked)
   if(req.method === "POST" && req.url === "/api/schedule/accept"){
+    const session = requireAdmin(req, res, "schedule.manage");
+    if(!session) return;
     return readBodyJson(req, res, (payload)=>{
       const id = String(payload?.id || "");
       if(!id) return json(res, 400, { ok:false, error:"Missing id" });
 
-      const idx = PENDING.findIndex(x => x.id === id);
-      if(idx < 0) return json(res, 404, { ok:false, error:"Pending id not found" });
-
-      const reqAppt = PENDING[idx];
-      if(hasStart(BOOKED, reqAppt.startISO)){
-        // booked already: drop the pending
-        PENDING.splice(idx, 1);
-        persist();
-        return json(res, 409, { ok:false, error:"Slot already booked" });
+      // One transaction: the request can't be taken by another accept/cancel halfway through
+      const out = db.tx(t => {
+        const reqAppt = t.get("appointments", id);
+        if(!isPending(reqAppt)) return { status:404, error:"Pending id not found" };
+        const techs = listTechnicians();
+        if(techs.length){
+          // Assigned to whoever is free (or the technician picked while accepting)
+          const pick = assignTechnician(t.list("appointments"), reqAppt, String(payload?.assignedTo || ""), techs);
+          if(pick.error) return { status:409, error: pick.error };
+          return { before: reqAppt, appt: t.put("appointments", withStatus({ ...reqAppt, assignedTo: pick.assignedTo }, "accepted", session.sub)) };
+        }
+        const booked = t.list("appointments").filter(isBooked);
+        if(hasStart(booked, reqAppt.startISO)){
+          // booked already: drop the pending
+          t.del("appointments", id);
+          return { status:409, error:"Slot already booked", dropped: reqAppt };
+        }
+        const clash = findOverlap(booked, reqAppt);
+        if(clash){
+          // Partial overlap: keep the request so it can be rescheduled
+          return { status:409, error:`Overlaps a booked job at ${clash.startISO}` };
+        }
+        // Not overlapping, but it still needs the drive from/to the jobs around it
+        const why = scheduleConflict(t.list("appointments"), reqAppt, { pending:false, techs });
+        if(why) return { status:409, error: why };
+        // Optionally assign the job to a technician while accepting it
+        const assignedTo = String(payload?.assignedTo || reqAppt.assignedTo || "");
+        return { before: reqAppt, appt: t.put("appointments", withStatus({ ...reqAppt, assignedTo }, "accepted", session.sub)) };
+      });
+      if(out.dropped){
+        audit(req, { actor: staffActor(session), action:"appointment.superseded", entity:{ type:"appointment", id }, before: out.dropped });
+        broadcastAppointment("appointment.removed", out.dropped);
+        notifyCustomer("rejected", out.dropped);
       }
-
-      PENDING.splice(idx, 1);
-      const appt = { ...reqAppt, status:"accepted" };
-      BOOKED.push(appt);
-      persist();
+      if(out.error) return json(res, out.status, { ok:false, error:out.error });
+      const appt = out.appt;
+      audit(req, { actor: staffActor(session), action:"appointment.accept", entity:{ type:"appointment", id }, before: out.before, after: appt });
+      broadcastAppointment("appointment.accepted", appt, out.before);
       console.log(`\n[SCHEDULE] accepted request ${appt.startISO}  id=${appt.id}`);
+      notifyCustomer("accepted", appt);
       return json(res, 200, { ok:true, id: appt.id });
     });
   }
 
   // ✅ Reject a pending request (delete from pending)
   if(req.method === "POST" && req.url === "/api/schedule/reject"){
+    const session = requireAdmin(req, res, "schedule.manage");
+    if(!session) return;
     return readBodyJson(req, res, (payload)=>{
       const id = String(payload?.id || "");
       if(!id) return json(res, 400, { ok:false, error:"Missing id" });
-      const before = PENDING.length;
-      PENDING = PENDING.filter(x => x.id !== id);
-      if(PENDING.length === before) return json(res, 404, { ok:false, error:"Pending id not found" });
-      persist();
-      console.log(`\n[SCHEDULE] rejected request id=${id}`);
+      const appt = db.tx(t => {
+        const a = t.get("appointments", id);
+        return isPending(a) && t.del("appointments", id) ? a : null;
+      });
+      if(!appt) return json(res, 404, { ok:false, error:"Pending id not found" });
+      audit(req, { actor: staffActor(session), action:"appointment.reject", entity:{ type:"appointment", id }, before: appt });
+      broadcastAppointment("appointment.rejected", appt);
+      // The request is gone, so are its photos
+      const removed = removeUnreferencedUploads(attachmentPaths([appt]));
+      console.log(`\n[SCHEDULE] rejected request id=${id}${removed ? `  removed ${removed} photo(s)` : ""}`);
+      notifyCustomer("rejected", appt);
       return json(res, 200, { ok:true });
     });
   }
 
-  // ✅ Cancel a booked job (delete from booked)
+  // ✅ Cancel a job (kept as "canceled"; the slot opens up again)
   if(req.method === "POST" && req.url === "/api/schedule/cancel"){
+    const session = requireAdmin(req, res, "schedule.manage");
+    if(!session) return;
+    return readBodyJson(req, res, (payload)=>{
+      const id = String(payload?.id || "");
+      if(!id) return json(res, 400, { ok:false, error:"Missing id" });
+      const out = db.tx(t => transitionJob(t, id, "canceled", session.sub));
+      if(out.error) return json(res, out.status, { ok:false, error:out.error });
+      audit(req, { actor: staffActor(session), action:"appointment.cancel", entity:{ type:"appointment", id }, before: out.before, after: out.appt });
+      broadcastAppointment("appointment.canceled", out.appt, out.before);
+      console.log(`\n[SCHEDULE] canceled job id=${id}`);
+      notifyCustomer("canceled", out.appt);
+      return json(res, 200, { ok:true });
+    });
+  }
+
+  // ✅ Move a job along in the field (en route, on site, waiting on parts, no-show)
+  // Payload: { id, notify? }. Technicians may only move jobs assigned to them.
+  // En route stamps etaISO from the day plan (routeEta); notify emails the customer it.
+  if(req.method === "POST" && JOB_ACTION_ROUTES[req.url]){
+    const session = requireAdmin(req, res, "jobs.update", "jobs.updateOwn");
+    if(!session) return;
+    const status = JOB_ACTION_ROUTES[req.url];
+    return readBodyJson(req, res, (payload)=>{
+      const id = String(payload?.id || "");
+      if(!id) return json(res, 400, { ok:false, error:"Missing id" });
+      const cur = db.get("appointments", id);
+      if(!cur) return json(res, 404, { ok:false, error:"Not found" });
+      if(!roleCan(session.role, "jobs.update") && cur.assignedTo !== session.sub){
+        return json(res, 403, { ok:false, error:"That job is not assigned to you." });
+      }
+      const extra = status === "en_route" ? { etaISO: routeEta(cur) } : undefined;
+      const out = db.tx(t => transitionJob(t, id, status, session.sub, extra));
+      if(out.error) return json(res, out.status, { ok:false, error:out.error });
+      audit(req, { actor: staffActor(session), action:`appointment.${status}`, entity:{ type:"appointment", id }, before: out.before, after: out.appt });
+      broadcastAppointment("appointment.updated", out.appt, out.before);
+      console.log(`\n[SCHEDULE] ${status} id=${id} by=${session.sub}${extra?.etaISO ? ` eta=${extra.etaISO}` : ""}`);
+      if(status === "en_route" && payload?.notify) notifyCustomer("en_route", out.appt, { etaISO: out.appt.etaISO });
+      return json(res, 200, { ok:true, appt: jobView(out.appt) });
+    });
+  }
+
+  // ✅ Complete a job and file its work order
+  // Payload: { id, diagnosis, parts: [{ name, partNumber, qty, unitPrice }], laborMinutes, techNotes }
+  if(req.method === "POST" && req.url === "/api/schedule/complete"){
+    const session = requireAdmin(req, res, "jobs.update", "jobs.updateOwn");
+    if(!session) return;
+    return readBodyJson(req, res, (payload)=>{
+      const id = String(payload?.id || "");
+      if(!id) return json(res, 400, { ok:false, error:"Missing id" });
+      const cur = db.get("appointments", id);
+      if(!cur) return json(res, 404, { ok:false, error:"Not found" });
+      if(!roleCan(session.role, "jobs.update") && cur.assignedTo !== session.sub){
+        return json(res, 403, { ok:false, error:"That job is not assigned to you." });
+      }
+      const workOrder = normalizeWorkOrder(payload, cur, session.sub);
+      if(!workOrder.diagnosis) return json(res, 400, { ok:false, error:"Enter a diagnosis" });
+      const out = db.tx(t => {
+        const r = transitionJob(t, id, "completed", session.sub, { workOrderId: workOrder.id });
+        if(!r.error) t.put("workorders", workOrder);
+        return r;
+      });
+      if(out.error) return json(res, out.status, { ok:false, error:out.error });
+      audit(req, { actor: staffActor(session), action:"appointment.complete", entity:{ type:"appointment", id }, before: out.before, after: { ...out.appt, workOrder } });
+      broadcastAppointment("appointment.updated", out.appt, out.before);
+      console.log(`\n[SCHEDULE] completed job id=${id}  workorder=${workOrder.id}`);
+      return json(res, 200, { ok:true, appt: jobView(out.appt) });
+    });
+  }
+
+  // ✅ Customer: look up a booking by its manage token
+  // GET /api/manage?token=...
+  if(req.method === "GET" && req.url && req.url.startsWith("/api/manage?")){
+    const token = new URL(req.url, "http://localhost").searchParams.get("token");
+    const found = findByManageToken(token);
+    if(!found) return json(res, 404, { ok:false, error:"This appointment was canceled or is no longer on the schedule." });
+    return json(res, 200, { ok:true, appt: customerView(found.appt) });
+  }
+
+  // ✅ Customer: status of the requests saved in their browser, one entry per token in
+  // order ({ startISO, slots, status } or null once rejected/unknown). Canceled jobs count.
+  // GET /api/manage/status?token=...&token=...
+  if(req.method === "GET" && req.url && req.url.startsWith("/api/manage/status?")){
+    const hashes = new URL(req.url, "http://localhost").searchParams.getAll("token")
+      .slice(0, 10).map(x => x.length >= 32 ? hashManageToken(x) : "");
+    const appts = db.list("appointments");
+    const mine = hashes.map(h => {
+      const a = h ? appts.find(x => x.manageTokenHash === h) : null;
+      return a ? { startISO: a.startISO, slots: a.slots, status: a.status } : null;
+    });
+    return json(res, 200, { ok:true, appts: mine });
+  }
+
+  // ✅ Customer: the units on file for whoever holds this manage link, so a returning
+  // customer can pick one when booking again. Labels only; canceled jobs' links count too.
+  // GET /api/manage/appliances?token=...&token=...   (the links saved in their browser)
+  if(req.method === "GET" && req.url && req.url.startsWith("/api/manage/appliances?")){
+    const hashes = new URL(req.url, "http://localhost").searchParams.getAll("token")
+      .filter(x => x.length >= 32).slice(0, 10).map(hashManageToken);
+    const ids = new Set(db.list("appointments").filter(x => x.customerId && hashes.includes(x.manageTokenHash)).map(x => x.customerId));
+    const appliances = [...ids].flatMap(id => customerAppliances(id))
+      .map(a => ({ id: a.id, type: a.type, label: applianceLabel(a) }));
+    return json(res, 200, { ok:true, appliances });
+  }
+
+  // ✅ Customer: cancel their own booking
+  // Payload: { token }
+  if(req.method === "POST" && req.url === "/api/manage/cancel"){
+    return readBodyJson(req, res, async (payload)=>{
+      const found = findByManageToken(payload?.token);
+      if(!found) return json(res, 404, { ok:false, error:"This appointment was canceled or is no longer on the schedule." });
+      if(found.list === "locked") return json(res, 409, { ok:false, error:CUSTOMER_LOCKED_MSG });
+      const out = db.tx(t => transitionJob(t, found.appt.id, "canceled", "customer"));
+      if(out.error) return json(res, out.status, { ok:false, error:out.error });
+      const appt = out.appt;
+      audit(req, { actor:{ type:"customer", name: appt.name }, action:"appointment.cancel", entity:{ type:"appointment", id: appt.id }, before: out.before, after: appt });
+      broadcastAppointment("appointment.canceled", appt, out.before);
+      console.log(`\n[SCHEDULE] customer canceled ${found.list} id=${appt.id}`);
+      notifyCustomer("canceled", appt);
+      const mailRes = await sendManageNoticeEmail(appt, "canceled");
+      if(mailRes?.skipped) console.log("[MAIL] skipped (mailer not configured)");
+      else if(!mailRes?.ok) console.log("[MAIL] failed", mailRes?.error || "");
+      return json(res, 200, { ok:true });
+    });
+  }
+
+  // ✅ Customer: move their booking to another open slot
+  // Payload: { token, startISO }
+  // A confirmed job goes back to pending so the shop can re-confirm the new time.
+  if(req.method === "POST" && req.url === "/api/manage/reschedule"){
+    return readBodyJson(req, res, async (payload)=>{
+      const found = findByManageToken(payload?.token);
+      if(!found) return json(res, 404, { ok:false, error:"This appointment was canceled or is no longer on the schedule." });
+      if(found.list === "locked") return json(res, 409, { ok:false, error:CUSTOMER_LOCKED_MSG });
+      const t = Date.parse(String(payload?.startISO || ""));
+      if(!Number.isFinite(t)) return json(res, 400, { ok:false, error:"Missing startISO" });
+      if(t <= Date.now()) return json(res, 400, { ok:false, error:"Pick a time in the future" });
+      const startISO = new Date(t).toISOString();
+
+      const appt = found.appt;
+      // New time: reminders start over
+      const next = withStatus({ ...appt, startISO, reminders: {} }, "pending", "customer");
+      if(!customerSlotOpen(next)) return json(res, 409, { ok:false, error:"That time isn't open. Please pick one of the open times." });
+      const conflict = db.tx(t => {
+        const why = scheduleConflict(t.list("appointments"), next);
+        if(why) return why;
+        t.put("appointments", next);
+        return "";
+      });
+      if(conflict) return json(res, 409, { ok:false, error:conflict });
+
+      const prevStartISO = appt.startISO;
+      audit(req, { actor:{ type:"customer", name: appt.name }, action:"appointment.reschedule", entity:{ type:"appointment", id: appt.id }, before: appt, after: next });
+      broadcastAppointment("appointment.updated", next, appt);
+      console.log(`\n[SCHEDULE] customer rescheduled id=${appt.id}  ${prevStartISO} -> ${startISO}`);
+      notifyCustomer("rescheduled", next, { prevStartISO, manageLink: manageUrl(payload.token) });
+      const mailRes = await sendManageNoticeEmail(next, "rescheduled", prevStartISO);
+      if(mailRes?.skipped) console.log("[MAIL] skipped (mailer not configured)");
+      else if(!mailRes?.ok) console.log("[MAIL] failed", mailRes?.error || "");
+      return json(res, 200, { ok:true, appt: customerView(next) });
+    });
+  }
+
+  // ✅ Update a job (pending or booked)
+  // Payload: { id, ...fields }
+  // Owner/front desk may edit customer details, the service address, the linked appliance
+  // (applianceId) and assignment; technicians may only
+  // update notes on jobs assigned to them.
+  if(req.method === "POST" && req.url === "/api/schedule/update"){
+    const session = requireAdmin(req, res, "jobs.update", "jobs.updateOwn");
+    if(!session) return;
     return readBodyJson(req, res, (payload)=>{
       const id = String(payload?.id || "");
       if(!id) return json(res, 400, { ok:false, error:"Missing id" });
-      const before = BOOKED.length;
-      BOOKED = BOOKED.filter(x => x.id !== id);
-      if(BOOKED.length === before) return json(res, 404, { ok:false, error:"Booked id not found" });
-      persist();
-      console.log(`\n[SCHEDULE] canceled booking id=${id}`);
+      const cur = db.get("appointments", id);
+      if(!cur) return json(res, 404, { ok:false, error:"Not found" });
+
+      const full = roleCan(session.role, "jobs.update");
+      if(!full && cur.assignedTo !== session.sub){
+        return json(res, 403, { ok:false, error:"That job is not assigned to you." });
+      }
+      const editable = full
+        ? ["name","phone","email","serviceType","appliance","notes","address","zip","assignedTo"]
+        : ["notes"];
+      const next = { ...cur };
+      for(const k of editable){
+        if(payload[k] !== undefined) next[k] = String(payload[k] ?? "");
+      }
+      if(next.assignedTo && !findUser(next.assignedTo)){
+        return json(res, 400, { ok:false, error:"Unknown assignee" });
+      }
+      if(next.zip !== cur.zip){
+        next.zip = normalizeZip(next.zip);
+        const outside = applyServiceZone(next, { required:false });
+        if(outside) return json(res, 400, { ok:false, error: outside });
+      }
+      // Reassigned or moved to another zone: the technician has to be free and able to get there
+      const moved = next.assignedTo !== cur.assignedTo || next.zoneId !== cur.zoneId;
+      if(isBooked(next) && moved && (next.assignedTo || !listTechnicians().length)){
+        const why = scheduleConflict(db.list("appointments"), next, { pending:false });
+        if(why) return json(res, 409, { ok:false, error: why });
+      }
+      if(full && payload.applianceId !== undefined){
+        const unit = payload.applianceId ? db.get("appliances", String(payload.applianceId)) : null;
+        if(payload.applianceId && (!unit || unit.customerId !== cur.customerId)){
+          return json(res, 400, { ok:false, error:"That appliance belongs to another customer" });
+        }
+        next.applianceId = unit?.id || "";
+      }
+      db.tx(t => t.put("appointments", next));
+      audit(req, { actor: staffActor(session), action:"appointment.update", entity:{ type:"appointment", id }, before: cur, after: next });
+      broadcastAppointment("appointment.updated", next, cur);
+      console.log(`\n[SCHEDULE] updated job id=${id} by=${session.sub}`);
+      return json(res, 200, { ok:true, appt: withoutSecrets(next) });
+    });
+  }
+
+  // ✅ Customer search: GET /api/customers?q=<name, phone or email>
+  if(req.method === "GET" && req.url && (req.url === "/api/customers" || req.url.startsWith("/api/customers?"))){
+    if(!requireAdmin(req, res, "customers.manage")) return;
+    const q = new URL(req.url, "http://localhost").searchParams.get("q");
+    return json(res, 200, { ok:true, customers: searchCustomers(q) });
+  }
+
+  // ✅ One customer with their jobs, messages and invoices: GET /api/customers/<id>
+  if(req.method === "GET" && req.url && /^\/api\/customers\/[\w-]+$/.test(req.url)){
+    if(!requireAdmin(req, res, "customers.manage")) return;
+    const customer = db.get("customers", req.url.split("/").pop());
+    if(!customer) return json(res, 404, { ok:false, error:"Customer not found" });
+    const recs = customerRecords(customer.id);
+    const history = serviceHistoryIndex();
+    return json(res, 200, {
+      ok:true, customer,
+      appointments: recs.appointments.map(a => jobView(a, { history })),
+      appliances: customerAppliances(customer.id).map(a => ({ ...a, label: applianceLabel(a), history: history.get(a.id) || [] })),
+      messages: recs.messages,
+      invoices: recs.invoices.map(docSummary),
+    });
+  }
+
+  // ✅ Edit a customer
+  // Payload: { id, name?, notes?, phones?: [..], emails?: [..] }
+  if(req.method === "POST" && req.url === "/api/customers/update"){
+    const session = requireAdmin(req, res, "customers.manage");
+    if(!session) return;
+    return readBodyJson(req, res, (payload)=>{
+      const out = db.tx(t => {
+        const cur = t.get("customers", String(payload?.id || ""));
+        if(!cur) return { status:404, error:"Customer not found" };
+        const next = { ...cur, updatedISO: nowStamp() };
+        if(payload.name !== undefined) next.name = String(payload.name || "").trim();
+        if(payload.notes !== undefined) next.notes = String(payload.notes || "").trim();
+        if(Array.isArray(payload.phones)) next.phones = [...new Set(payload.phones.map(normPhone).filter(Boolean))];
+        if(Array.isArray(payload.emails)) next.emails = [...new Set(payload.emails.map(normEmail).filter(Boolean))];
+        const clash = t.list("customers").find(o => o.id !== cur.id &&
+          (o.phones.some(p => next.phones.includes(p)) || o.emails.some(e => next.emails.includes(e))));
+        if(clash) return { status:409, error:`${clash.name || "Another customer"} already has that phone or email. Merge the two instead.` };
+        return { before: cur, customer: t.put("customers", next) };
+      });
+      if(out.error) return json(res, out.status, { ok:false, error:out.error });
+      audit(req, { actor: staffActor(session), action:"customer.update", entity:{ type:"customer", id: out.customer.id }, before: out.before, after: out.customer });
+      return json(res, 200, { ok:true, customer: out.customer });
+    });
+  }
+
+  // ✅ Merge a duplicate into another customer
+  // Payload: { targetId, sourceId }  (source's records move to target; source is removed)
+  if(req.method === "POST" && req.url === "/api/customers/merge"){
+    const session = requireAdmin(req, res, "customers.manage");
+    if(!session) return;
+    return readBodyJson(req, res, (payload)=>{
+      const targetId = String(payload?.targetId || ""), sourceId = String(payload?.sourceId || "");
+      const out = db.tx(t => mergeCustomers(t, targetId, sourceId));
+      if(out.error) return json(res, out.status, { ok:false, error:out.error });
+      audit(req, { actor: staffActor(session), action:"customer.merge", entity:{ type:"customer", id: targetId }, before: out.before, after: out.customer });
+      console.log(`\n[CRM] merged customer ${sourceId} into ${targetId}`);
+      return json(res, 200, { ok:true, customer: out.customer });
+    });
+  }
+
+  // ✅ Split records off into a new customer
+  // Payload: { id, appointments: [ids], messages: [ids], appliances: [ids] }
+  if(req.method === "POST" && req.url === "/api/customers/split"){
+    const session = requireAdmin(req, res, "customers.manage");
+    if(!session) return;
+    return readBodyJson(req, res, (payload)=>{
+      const id = String(payload?.id || "");
+      const out = db.tx(t => splitCustomer(t, id, payload));
+      if(out.error) return json(res, out.status, { ok:false, error:out.error });
+      audit(req, { actor: staffActor(session), action:"customer.split", entity:{ type:"customer", id }, before: out.before, after: { kept: out.customer, created: out.created } });
+      console.log(`\n[CRM] split customer ${id} -> ${out.created.id}`);
+      return json(res, 200, { ok:true, customer: out.customer, created: out.created });
+    });
+  }
+
+  // ✅ Known appliances for the customer with this phone/email (booking for a caller)
+  // GET /api/appliances?phone=...&email=...
+  if(req.method === "GET" && req.url && req.url.startsWith("/api/appliances?")){
+    if(!requireAdmin(req, res, "schedule.manage", "customers.manage")) return;
+    const q = new URL(req.url, "http://localhost").searchParams;
+    const customer = findCustomerFor(db, { phone: q.get("phone"), email: q.get("email") });
+    const appliances = customerAppliances(customer?.id).map(a => ({ ...a, label: applianceLabel(a) }));
+    return json(res, 200, { ok:true, customer: customer ? { id: customer.id, name: customer.name } : null, appliances });
+  }
+
+  // ✅ Add or edit a customer's appliance
+  // Payload: { id?, customerId, type, brand, model, serial, installDate, purchasedFromUs, notes }
+  if(req.method === "POST" && req.url === "/api/appliances/upsert"){
+    const session = requireAdmin(req, res, "customers.manage");
+    if(!session) return;
+    return readBodyJson(req, res, (payload)=>{
+      const out = db.tx(t => {
+        const before = payload?.id ? t.get("appliances", String(payload.id)) : null;
+        if(payload?.id && !before) return { status:404, error:"Appliance not found" };
+        const customerId = before?.customerId || String(payload?.customerId || "");
+        if(!t.get("customers", customerId)) return { status:404, error:"Customer not found" };
+        const next = normalizeAppliance({ ...payload, customerId }, before || {});
+        if(!next.type && !next.brand && !next.model) return { status:400, error:"Give at least the type, brand or model" };
+        return { before, appliance: t.put("appliances", next) };
+      });
+      if(out.error) return json(res, out.status, { ok:false, error:out.error });
+      audit(req, { actor: staffActor(session), action: out.before ? "appliance.update" : "appliance.create", entity:{ type:"appliance", id: out.appliance.id }, before: out.before, after: out.appliance });
+      return json(res, 200, { ok:true, appliance: { ...out.appliance, label: applianceLabel(out.appliance) } });
+    });
+  }
+
+  // ✅ Remove an appliance (its jobs stay, just no longer linked to it)
+  // Payload: { id }
+  if(req.method === "POST" && req.url === "/api/appliances/delete"){
+    const session = requireAdmin(req, res, "customers.manage");
+    if(!session) return;
+    return readBodyJson(req, res, (payload)=>{
+      const id = String(payload?.id || "");
+      const before = db.tx(t => {
+        const cur = t.get("appliances", id);
+        if(!cur) return null;
+        for(const a of t.list("appointments").filter(a => a.applianceId === id)) t.put("appointments", { ...a, applianceId: "" });
+        t.del("appliances", id);
+        return cur;
+      });
+      if(!before) return json(res, 404, { ok:false, error:"Appliance not found" });
+      audit(req, { actor: staffActor(session), action:"appliance.delete", entity:{ type:"appliance", id }, before });
       return json(res, 200, { ok:true });
     });
   }
 
+  // ✅ Messages inbox: GET /api/messages?type=&status=&q=   (status: "" = not archived, "all", or one status)
+  if(req.method === "GET" && req.url && (req.url === "/api/messages" || req.url.startsWith("/api/messages?"))){
+    if(!requireAdmin(req, res, "messages.manage")) return;
+    const q = new URL(req.url, "http://localhost").searchParams;
+    const out = listMessages({ type: q.get("type") || "", status: q.get("status") || "", q: q.get("q") || "" });
+    return json(res, 200, { ok:true, ...out, types: MESSAGE_TYPES, statuses: MESSAGE_STATUSES });
+  }
+
+  // ✅ One message with its customer and the job booked from it: GET /api/messages/<id>
+  if(req.method === "GET" && req.url && /^\/api\/messages\/[\w-]+$/.test(req.url)){
+    if(!requireAdmin(req, res, "messages.manage")) return;
+    const msg = db.get("messages", req.url.split("/").pop());
+    if(!msg) return json(res, 404, { ok:false, error:"Message not found" });
+    const customer = msg.customerId ? db.get("customers", msg.customerId) : null;
+    const booking = msg.bookingApptId ? db.get("appointments", msg.bookingApptId) : null;
+    return json(res, 200, {
+      ok:true, message: messageRecord(msg),
+      customer: customer ? { id: customer.id, name: customer.name, phones: customer.phones } : null,
+      booking: booking ? { id: booking.id, startISO: booking.startISO, status: booking.status } : null,
+    });
+  }
+
+  // ✅ Set a message's status and/or notes
+  // Payload: { id, status?, notes? }
+  if(req.method === "POST" && req.url === "/api/messages/update"){
+    const session = requireAdmin(req, res, "messages.manage");
+    if(!session) return;
+    return readBodyJson(req, res, (payload)=>{
+      if(payload?.status !== undefined && !MESSAGE_STATUSES.includes(payload.status)){
+        return json(res, 400, { ok:false, error:`status must be one of: ${MESSAGE_STATUSES.join(", ")}` });
+      }
+      const out = db.tx(t => {
+        const cur = t.get("messages", String(payload?.id || ""));
+        if(!cur) return { status:404, error:"Message not found" };
+        const next = { ...messageRecord(cur), updatedISO: nowStamp() };
+        if(payload.status !== undefined) next.status = payload.status;
+        if(payload.notes !== undefined) next.notes = String(payload.notes || "").trim().slice(0, 5000);
+        return { before: cur, message: t.put("messages", next) };
+      });
+      if(out.error) return json(res, out.status, { ok:false, error:out.error });
+      audit(req, { actor: staffActor(session), action:"message.update", entity:{ type:"message", id: out.message.id }, before: out.before, after: out.message });
+      return json(res, 200, { ok:true, message: out.message });
+    });
+  }
+
+  // ✅ Reply to a message by email (shop mailer); the reply is kept on the message
+  // Payload: { id, subject?, body }
+  if(req.method === "POST" && req.url === "/api/messages/reply"){
+    const session = requireAdmin(req, res, "messages.manage");
+    if(!session) return;
+    return readBodyJson(req, res, async (payload)=>{
+      const cur = db.get("messages", String(payload?.id || ""));
+      if(!cur) return json(res, 404, { ok:false, error:"Message not found" });
+      const body = String(payload?.body || "").trim().slice(0, 20000);
+      if(!body) return json(res, 400, { ok:false, error:"Write the reply first" });
+      const subject = String(payload?.subject || "").trim().slice(0, 200) || `Re: your message to ${BUSINESS.name}`;
+      const sent = await sendMessageReply(cur, { subject, body });
+      if(sent.reason === "no email") return json(res, 400, { ok:false, error:"This message has no valid email address" });
+      if(sent.skipped) return json(res, 503, { ok:false, error:"Email isn't configured on the server" });
+      if(!sent.ok) return json(res, 502, { ok:false, error:"Sending the email failed" });
+      const reply = { atISO: nowStamp(), by: session.sub, to: String(cur.email).trim(), subject, body };
+      const out = db.tx(t => {
+        const latest = messageRecord(t.get("messages", cur.id) || cur);
+        return { before: latest, message: t.put("messages", { ...latest, status: "replied", replies: [...latest.replies, reply], updatedISO: reply.atISO }) };
+      });
+      audit(req, { actor: staffActor(session), action:"message.reply", entity:{ type:"message", id: cur.id }, before: out.before, after: out.message });
+      console.log(`\n[MESSAGES] replied to ${cur.id} -> ${reply.to}`);
+      return json(res, 200, { ok:true, message: out.message });
+    });
+  }
+
+  // ✅ Billing settings (tax rate, trip fee, labor rate, next invoice/estimate numbers)
+  if(req.method === "GET" && req.url === "/api/admin/billing"){
+    if(!requireAdmin(req, res, "billing.edit", "invoices.manage")) return;
+    return json(res, 200, { ok:true, billing: getBilling() });
+  }
+  if(req.method === "POST" && req.url === "/api/admin/billing"){
+    const session = requireAdmin(req, res, "billing.edit");
+    if(!session) return;
+    return readBodyJson(req, res, (payload)=>{
+      const before = getBilling();
+      const billing = db.tx(t => {
+        const next = normalizeBilling(payload, getBilling(t));
+        t.put("settings", { id:"billing", ...next });
+        return next;
+      });
+      audit(req, { actor: staffActor(session), action:"billing.set", entity:{ type:"settings", id:"billing" }, before, after: billing });
+      console.log(`\n[BILLING] settings saved by=${session.sub}`);
+      return json(res, 200, { ok:true, billing });
+    });
+  }
+
+  // ✅ Create an estimate (any open job) or invoice (completed job)
+  // Payload: { apptId, kind: "estimate"|"invoice", parts?, laborMinutes?, notes? }
+  // Without parts/laborMinutes the job's work order is used.
+  if(req.method === "POST" && req.url === "/api/invoices/create"){
+    const session = requireAdmin(req, res, "invoices.manage");
+    if(!session) return;
+    return readBodyJson(req, res, (payload)=>{
+      const apptId = String(payload?.apptId || "");
+      const kind = String(payload?.kind || "");
+      if(!DOC_KINDS[kind]) return json(res, 400, { ok:false, error:"kind must be estimate or invoice" });
+      const out = db.tx(t => {
+        const appt = t.get("appointments", apptId);
+        if(!appt) return { status:404, error:"Job not found" };
+        if(kind === "invoice" && appt.status !== "completed") return { status:409, error:"Complete the job before invoicing it." };
+        if(isClosed(appt)) return { status:409, error:`This job is ${JOB_STATUSES[appt.status]}.` };
+        return { doc: createBillingDoc(t, kind, appt, payload, session.sub) };
+      });
+      if(out.error) return json(res, out.status, { ok:false, error:out.error });
+      const doc = out.doc;
+      audit(req, { actor: staffActor(session), action:"invoice.create", entity:{ type:"invoice", id: doc.id }, after: doc });
+      console.log(`\n[BILLING] ${doc.kind} ${doc.number} total=${doc.total} job=${apptId}`);
+      return json(res, 200, { ok:true, doc: docSummary(doc) });
+    });
+  }
+
+  // ✅ Printable estimate/invoice: GET /api/invoices/<id>.html or .pdf
+  // Auth: the ?key= from its link (what customers get), or a staff session
+  if(req.method === "GET" && req.url && /^\/api\/invoices\/[\w-]+\.(html|pdf)(\?|$)/.test(req.url)){
+    const u = new URL(req.url, "http://localhost");
+    const [, id, ext] = u.pathname.match(/^\/api\/invoices\/([\w-]+)\.(html|pdf)$/) || [];
+    const session = getSession(req);
+    if(!invoiceKeyOk(id, u.searchParams.get("key")) && !(session && roleCan(session.role, "invoices.manage"))){
+      return json(res, 401, { ok:false, error:"Not authorized." });
+    }
+    const doc = db.get("invoices", id);
+    if(!doc) return json(res, 404, { ok:false, error:"Not found" });
+    if(ext === "pdf"){
+      return send(res, 200, {
+        "Content-Type":"application/pdf",
+        "Content-Disposition":`inline; filename="${doc.number}.pdf"`,
+        "Cache-Control":"no-store",
+      }, invoicePdf(doc));
+    }
+    return send(res, 200, { "Content-Type":"text/html; charset=utf-8", "Cache-Control":"no-store" }, invoiceHtml(doc));
+  }
+
+  // ✅ Email an estimate/invoice (PDF attached) to the customer
+  // Payload: { id, to? }  (to defaults to the email on the job)
+  if(req.method === "POST" && req.url === "/api/invoices/email"){
+    const session = requireAdmin(req, res, "invoices.manage");
+    if(!session) return;
+    return readBodyJson(req, res, async (payload)=>{
+      const doc = db.get("invoices", String(payload?.id || ""));
+      if(!doc) return json(res, 404, { ok:false, error:"Not found" });
+      const to = String(payload?.to || doc.customer.email || "").trim();
+      const r = await sendInvoiceEmail(doc, to);
+      if(r.reason === "no email") return json(res, 400, { ok:false, error:"No valid email address for this customer." });
+      if(r.skipped) return json(res, 503, { ok:false, error:"Email is not configured on the server." });
+      if(!r.ok) return json(res, 502, { ok:false, error:"Sending failed. Try again later." });
+      const entry = { atISO: nowStamp(), to, by: session.sub };
+      db.tx(t => {
+        const cur = t.get("invoices", doc.id);
+        if(cur) t.put("invoices", { ...cur, emailed: [...(cur.emailed || []), entry] });
+      });
+      audit(req, { actor: staffActor(session), action:"invoice.email", entity:{ type:"invoice", id: doc.id }, after: { number: doc.number, to } });
+      console.log(`\n[MAIL] ${doc.kind} ${doc.number} sent to customer`);
+      return json(res, 200, { ok:true, emailedISO: entry.atISO });
+    });
+  }
+
   return send(res, 404, {
     "Content-Type":"text/plain; charset=utf-8",
     "Access-Control-Allow-Origin":"*",
   }, "not found");
 });
 
-// WebSocket kept for later; no-op for now
-const wss = new WebSocketServer({ server });
-wss.on("connection", (ws) => {
-  console.log("[WS] client connected");
-  ws.on("close", () => console.log("[WS] client disconnected"));
-});
+// -------------------- Live updates (WebSocket) --------------------
+// Pages connect to the same host (ws:// or wss://) and get typed events as things change:
+//   appointment.created | .accepted | .rejected | .canceled | .updated | .removed
+//       staff: { type, appt } (rejected/removed: { type, id }); public: see below
+//   availability.changed { availability }   inventory.changed { items }   gallery.changed { photos }
+//   technicians.changed   staff: {} (reload /api/technicians); public: { booked, pending }
+// A socket is public until it sends { type:"auth", token } (or connects with the session
+// cookie). Staff then get the same job rows as /api/admin/schedule, limited to what their
+// role may see; public sockets get { type, booked, pending } instead, the same slot
+// occupancy as GET /api/schedule, never a name, phone, email or note.
+const wss = new WebSocketServer({ server, maxPayload: 4096 });
+const LIVE_PING_MS = 30 * 1000;
+
+function liveSession(ws){
+  if(ws.authToken) return getSession({ headers:{ authorization:`Bearer ${ws.authToken}` } });
+  return ws.cookie ? getSession({ headers:{ cookie: ws.cookie } }) : null;
+}
+function liveSend(ws, msg){
+  if(ws.readyState === ws.OPEN) ws.send(typeof msg === "string" ? msg : JSON.stringify(msg));
+}
+// Same message for everyone (nothing private in it)
+function broadcast(msg){
+  const data = JSON.stringify(msg);
+  for(const ws of wss.clients) liveSend(ws, data);
+}
+
+// appt: the record after the change; before: the record before (so a technician hears
+// when a job is taken off them). Rejected/removed only carry the id.
+function broadcastAppointment(type, appt, before){
+  if(!wss.clients.size) return;
+  const idOnly = type === "appointment.rejected" || type === "appointment.removed";
+  const publicMsg = JSON.stringify({ type, ...publicSchedule() });
+  let history = null;
+  for(const ws of wss.clients){
+    const session = liveSession(ws);
+    const all = !!session && roleCan(session.role, "schedule.viewAll");
+    const own = !!session && roleCan(session.role, "schedule.viewOwn");
+    if(!all && !own){ liveSend(ws, publicMsg); continue; }
+    if(!all && appt.assignedTo !== session.sub){
+      if(before?.assignedTo === session.sub) liveSend(ws, { type:"appointment.removed", id: appt.id });
+      continue;
+    }
+    if(idOnly){ liveSend(ws, { type, id: appt.id }); continue; }
+    history = history || serviceHistoryIndex();
+    liveSend(ws, { type, appt: jobView(appt, { withDocs: roleCan(session.role, "invoices.manage"), history }) });
+  }
+}
 
-server.listen(PORT, "0.0.0.0", () => {
-  console.log("[NET] listening on", PORT);
-  console.log(`[DATA] booked=${BOOKED.length} pending=${PENDING.length}  dir=${DATA_DIR}`);
+// Technician hours decide which times are still open, so the public occupancy moves too
+function broadcastTechnicians(){
+  if(!wss.clients.size) return;
+  const publicMsg = JSON.stringify({ type:"technicians.changed", ...publicSchedule() });
+  for(const ws of wss.clients){
+    liveSend(ws, liveSession(ws) ? { type:"technicians.changed" } : publicMsg);
+  }
+}
+
+wss.on("connection", (ws, req) => {
+  ws.cookie = String(req.headers?.cookie || "");
+  ws.isAlive = true;
+  ws.on("pong", () => { ws.isAlive = true; });
+  ws.on("message", (data) => {
+    let msg = null;
+    try{ msg = JSON.parse(String(data)); }catch(_){ return; }
+    if(msg?.type !== "auth") return;
+    ws.authToken = String(msg.token || "");
+    liveSend(ws, { type:"hello", staff: !!liveSession(ws) });
+  });
+  liveSend(ws, { type:"hello", staff: !!liveSession(ws) });
 });
+
+// Drops sockets that stopped answering (phones going to sleep, dead proxies)
+function startLivePings(){
+  const timer = setInterval(() => {
+    for(const ws of wss.clients){
+      if(!ws.isAlive){ ws.terminate(); continue; }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, LIVE_PING_MS);
+  timer.unref();
+  return timer;
+}
+
+// -------------------- CLI --------------------
+// Maintenance commands run instead of the server when an argument is given:
+//   node server.js hash-pin <pin>    prints a value for ADMIN_PIN_HASH
+//   node server.js add-user <username> <owner|technician|frontdesk> <password> [display name]
+//   node server.js remind [--now <ISO time>] [--dry-run]   runs one reminder pass
+//   node server.js backup            takes a backup now (and prunes old ones)
+//   node server.js backups           lists backups, newest first
+//   node server.js restore <name> [--check]   validates, then restores a backup
+//   node server.js uploads           storage report for data/uploads/
+//   node server.js uploads gc [--dry-run]   quarantines unused uploads now
+async function runCli(argv){
+  const [cmd, ...args] = argv;
+  if(cmd === "uploads"){
+    if(args[0] === "gc"){
+      const dryRun = args.includes("--dry-run");
+      const r = collectUploadGarbage({ dryRun });
+      for(const n of r.quarantined) console.log(`quarantine\t${n}`);
+      for(const n of r.tempRemoved) console.log(`temp\t${n}`);
+      for(const n of r.purged) console.log(`purge\t${n}`);
+      if(!dryRun && (r.quarantined.length || r.tempRemoved.length || r.purged.length)){
+        audit(null, { actor:{ type:"cli" }, action:"uploads.gc", entity:{ type:"uploads", id:"gc" }, after: r });
+      }
+      console.log(`${dryRun ? "would quarantine" : "quarantined"} ${r.quarantined.length}, temp ${r.tempRemoved.length}, purged ${r.purged.length}${dryRun ? " (dry run)" : ""}`);
+      return 0;
+    }
+    if(args.length){
+      console.error("usage: node server.js uploads [gc [--dry-run]]");
+      return 1;
+    }
+    const r = uploadStorageReport();
+    console.log(`total\t${r.totalBytes} bytes in ${r.fileCount} files`);
+    console.log(`unused\t${r.orphanBytes} bytes in ${r.orphans.length} files (grace ${r.graceHours}h)`);
+    console.log(`quarantine\t${r.quarantine.bytes} bytes in ${r.quarantine.fileCount} files`);
+    console.log("largest:");
+    for(const f of r.largest) console.log(`  ${f.bytes}\t${f.name}${f.referenced ? "" : "  (unused)"}`);
+    if(r.orphans.length) console.log("unused:");
+    for(const f of r.orphans) console.log(`  ${f.bytes}\t${f.name}\t${f.modifiedISO}${f.due ? "" : "  (within grace)"}`);
+    for(const p of r.missing) console.log(`missing\t${p}`);
+    return 0;
+  }
+  if(cmd === "backup"){
+    const r = await createBackup("manual");
+    if(!r.ok){
+      console.error(r.error);
+      return 1;
+    }
+    pruneBackups();
+    console.log(`${r.name}\t${r.bytes} bytes\tuploads=${r.uploads}`);
+    return 0;
+  }
+  if(cmd === "backups"){
+    const list = listBackups();
+    for(const b of list) console.log(`${b.name}\t${b.bytes} bytes\t${b.createdISO}`);
+    if(!list.length) console.log(`no backups in ${BACKUP_DIR}`);
+    return 0;
+  }
+  if(cmd === "restore"){
+    const name = args.find(a => !a.startsWith("--"));
+    if(!name){
+      console.error("usage: node server.js restore <backup name> [--check]");
+      return 1;
+    }
+    const r = args.includes("--check") ? await inspectBackup(name) : await restoreBackup(name);
+    if(!r.ok){
+      console.error(r.error);
+      for(const p of r.problems || []) console.error(`  ${p}`);
+      return 1;
+    }
+    if(r.safetyBackup){
+      audit(null, { actor:{ type:"cli" }, action:"backup.restore", entity:{ type:"backup", id: name }, after:{ counts: r.counts, uploads: r.uploads, safetyBackup: r.safetyBackup } });
+    }
+    for(const [t, n] of Object.entries(r.counts)) console.log(`${t}\t${n}`);
+    console.log(`uploads\t${typeof r.uploads === "number" ? r.uploads : r.uploads.length}`);
+    console.log(r.safetyBackup ? `restored ${name} (previous data saved as ${r.safetyBackup})` : `${name} is valid`);
+    return 0;
+  }
+  if(cmd === "remind"){
+    const nowArg = args.includes("--now") ? args[args.indexOf("--now") + 1] : "";
+    const fakeNow = nowArg ? Date.parse(nowArg) : Date.now();
+    if(!Number.isFinite(fakeNow)){
+      console.error("usage: node server.js remind [--now <ISO time>] [--dry-run]");
+      return 1;
+    }
+    const dryRun = args.includes("--dry-run");
+    const engine = createReminderEngine({
+      now: () => fakeNow,
+      send: dryRun ? async () => ({ ok:true }) : sendReminderEmail,
+      save: dryRun ? () => {} : saveReminders,
+    });
+    const done = await engine.tick();
+    for(const d of done) console.log(`${d.key}\t${d.id}\t${d.result}${dryRun ? " (dry run)" : ""}`);
+    if(!done.length) console.log("no reminders due");
+    return 0;
+  }
+  if(cmd === "add-user"){
+    const [username, role, password, ...nameParts] = args;
+    if(!username || !ROLES.includes(role) || !password){
+      console.error(`usage: node server.js add-user <username> <${ROLES.join("|")}> <password> [display name]`);
+      return 1;
+    }
+    const existing = findUserByUsername(username);
+    const user = normalizeUser({ username, role, password, name: nameParts.join(" ") }, existing);
+    db.tx(t => t.put("users", user));
+    audit(null, { actor:{ type:"cli" }, action: existing ? "user.update" : "user.create", entity:{ type:"user", id: user.id }, before: existing, after: user });
+    console.log(`${existing ? "updated" : "created"} ${user.role} "${user.username}" (${user.id})`);
+    return 0;
+  }
+  if(cmd === "hash-pin"){
+    if(!args[0]){
+      console.error("usage: node server.js hash-pin <pin>");
+      return 1;
+    }
+    console.log(hashPin(args[0]));
+    return 0;
+  }
+  console.error(`unknown command: ${cmd}`);
+  return 1;
+}
+
+const reminders = createReminderEngine({ send: sendReminderEmail });
+
+if(require.main !== module){
+  // Required from a script/test: expose internals, don't listen
+  module.exports = { server, db, createStore, createReminderEngine, customerEmailTemplate };
+}else if(process.argv.length > 2){
+  runCli(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}else{
+  const leaks = servedDataFiles();
+  if(leaks.length){
+    console.error(`[STATIC] refusing to start: ${leaks.join(", ")} would be served to anyone`);
+    process.exit(1);
+  }
+  server.listen(PORT, "0.0.0.0", () => {
+    console.log("[NET] listening on", PORT);
+    console.log(`[DATA] booked=${bookedAppts().length} pending=${pendingAppts().length}  dir=${DATA_DIR}  seq=${db.seq()}`);
+    const linked = linkUnmatchedRecords();
+    if(linked) console.log(`[CRM] linked ${linked} earlier record(s) to customers`);
+    reminders.start();
+    console.log(`[REMIND] offsets=${REMINDER_OFFSETS_HOURS.join(",")}h every ${REMINDER_INTERVAL_MS/60000}min`);
+    if(startBackupSchedule()) console.log(`[BACKUP] every ${BACKUP_INTERVAL_HOURS}h, keeping ${BACKUP_KEEP}  dir=${BACKUP_DIR}`);
+    if(startUploadGcSchedule()) console.log(`[UPLOADS] unused files quarantined every ${UPLOAD_GC_INTERVAL_HOURS}h (grace ${UPLOAD_GRACE_MS/3600000}h)`);
+    startLivePings();
+  });
+}